@@ -3,9 +3,12 @@ import express from "express";
 import cookieParser from "cookie-parser";
 import dotenv from "dotenv";
 import { connectDB } from "./src/services/db.js";
+import { connectRedis, createRedisAdapter } from "./src/services/redis.js";
 import cors from "cors";
 import companyChat from "./src/route/company.chat.route.js";
 import { initializeSocket } from "./src/services/socket.js";
+import { startRoomPurgeJob } from "./src/services/roomPurge.js";
+import { startUploadSweepJob } from "./src/services/uploadSweep.js";
 import http from "http";
 
 dotenv.config();
@@ -31,6 +34,8 @@ app.use(
   cors({
     origin: allowedOrigins,
     credentials: true,
+    // Multipart uploads to the local storage driver read each part's ETag
+    exposedHeaders: ["ETag"],
   })
 );
 app.use(express.json());
@@ -53,6 +58,10 @@ app.set("io", io);
 async function startServer() {
   try {
     await connectDB();
+    await connectRedis();
+    io.adapter(createRedisAdapter());
+    startRoomPurgeJob(io);
+    startUploadSweepJob();
     server.listen(PORT, () => {
       console.log(`Server is running on port ${PORT}`);
     });
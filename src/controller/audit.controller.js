@@ -0,0 +1,161 @@
+import { getDB } from "../services/db.js";
+import { AUDIT_ACTIONS } from "../services/audit.js";
+import { paginateByTimestamp, parsePageParams } from "../utils/pagination.js";
+
+const MAX_AUDIT_EXPORT_ROWS = 10000;
+
+const CSV_COLUMNS = [
+  ["timestamp", (entry) => entry.timestamp.toISOString()],
+  ["action", (entry) => entry.action],
+  ["actorId", (entry) => entry.actor?.userId],
+  ["actorName", (entry) => entry.actor?.name],
+  ["actorRole", (entry) => entry.actor?.role],
+  ["actorPosition", (entry) => entry.actor?.position],
+  ["roomId", (entry) => entry.roomId],
+  ["targetType", (entry) => entry.target?.type],
+  ["targetId", (entry) => entry.target?.id],
+  ["ip", (entry) => entry.source?.ip],
+  ["socketId", (entry) => entry.source?.socketId],
+  ["job", (entry) => entry.source?.job],
+  ["before", (entry) => entry.before && JSON.stringify(entry.before)],
+  ["after", (entry) => entry.after && JSON.stringify(entry.after)],
+  ["metadata", (entry) => entry.metadata && JSON.stringify(entry.metadata)],
+];
+
+// Quote every field; a leading =, +, - or @ is prefixed so spreadsheet apps
+// do not evaluate it as a formula
+const csvField = (value) => {
+  if (value === undefined || value === null) return "";
+  let text = String(value);
+  if (/^[=+\-@]/.test(text)) text = `'${text}`;
+  return `"${text.replace(/"/g, '""')}"`;
+};
+
+const toCsv = (entries) =>
+  [
+    CSV_COLUMNS.map(([name]) => name).join(","),
+    ...entries.map((entry) =>
+      CSV_COLUMNS.map(([, read]) => csvField(read(entry))).join(",")
+    ),
+  ].join("\n");
+
+const formatEntry = (entry) => ({
+  ...entry,
+  _id: entry._id.toString(),
+  timestamp: entry.timestamp.toISOString(),
+});
+
+// Build the Mongo filter from ?action=&actorId=&roomId=&targetId=&from=&to=
+const buildAuditFilter = (companyId, query) => {
+  const filter = { companyId: String(companyId) };
+
+  if (query.action !== undefined) {
+    const actions = String(query.action)
+      .split(",")
+      .map((action) => action.trim())
+      .filter(Boolean);
+    const unknown = actions.filter((action) => !AUDIT_ACTIONS.includes(action));
+    if (actions.length === 0 || unknown.length > 0) {
+      return {
+        error: `action must be a comma-separated list of: ${AUDIT_ACTIONS.join(", ")}`,
+      };
+    }
+    filter.action = { $in: actions };
+  }
+  if (query.actorId) filter["actor.userId"] = String(query.actorId);
+  if (query.roomId) filter.roomId = String(query.roomId);
+  if (query.targetId) filter["target.id"] = String(query.targetId);
+
+  if (query.from || query.to) {
+    filter.timestamp = {};
+    for (const [key, value] of [
+      ["$gte", query.from],
+      ["$lte", query.to],
+    ]) {
+      if (!value) continue;
+      const date = new Date(value);
+      if (Number.isNaN(date.getTime())) {
+        return { error: "from and to must be valid dates" };
+      }
+      filter.timestamp[key] = date;
+    }
+  }
+  return { filter };
+};
+
+export const getAuditLogs = async (req, res) => {
+  try {
+    // Check if req.user is set by authMiddleware
+    if (!req.user) {
+      console.warn("No authenticated user found in req.user");
+      return res
+        .status(401)
+        .json({ message: "Unauthorized: No user data found" });
+    }
+
+    const { userId, companyId } = req.user;
+    if (!companyId) {
+      console.warn(`No companyId found for user: ${userId}`);
+      return res
+        .status(400)
+        .json({ message: "Invalid user data: companyId not found" });
+    }
+
+    const { filter, error } = buildAuditFilter(companyId, req.query);
+    if (error) {
+      console.warn(`⚠️ [Validation Failed] ${error}`);
+      return res.status(400).json({ message: error });
+    }
+
+    const auditCollection = getDB().collection("auditLogs");
+
+    // ?format=csv exports the newest matching entries in one file
+    if (req.query.format === "csv") {
+      const entries = await auditCollection
+        .find(filter)
+        .sort({ timestamp: -1, _id: -1 })
+        .limit(MAX_AUDIT_EXPORT_ROWS)
+        .toArray();
+      res.setHeader("Content-Type", "text/csv; charset=utf-8");
+      res.setHeader(
+        "Content-Disposition",
+        `attachment; filename="audit-${new Date().toISOString().slice(0, 10)}.csv"`
+      );
+      return res.status(200).send(toCsv(entries));
+    }
+    if (req.query.format !== undefined && req.query.format !== "json") {
+      return res.status(400).json({ message: "format must be json or csv" });
+    }
+
+    const pageParams = parsePageParams(req.query);
+    if (pageParams.error) {
+      return res.status(400).json({ message: pageParams.error });
+    }
+    if (pageParams.around) {
+      return res
+        .status(400)
+        .json({ message: "around is not supported for audit logs" });
+    }
+
+    const page = await paginateByTimestamp(
+      auditCollection,
+      filter,
+      pageParams,
+      -1
+    );
+    if (page.error) {
+      return res.status(page.status).json({ message: page.error });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: page.items.map(formatEntry),
+      pageInfo: page.pageInfo,
+    });
+  } catch (error) {
+    console.error("❌ [getAuditLogs Error]:", error.message);
+    return res
+      .status(500)
+      .json({ message: "Server error while fetching audit logs" });
+  }
+};
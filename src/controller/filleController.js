@@ -1,42 +1,45 @@
 import multer from "multer";
-import {
-  S3Client,
-  PutObjectCommand,
-  GetObjectCommand,
-  DeleteObjectCommand,
-  DeleteObjectsCommand,
-  HeadObjectCommand,
-} from "@aws-sdk/client-s3";
-import { getSignedUrl } from "@aws-sdk/s3-request-presigner";
 import { fileURLToPath } from "url";
 import path from "path";
 import { getDB } from "../services/db.js";
 import { ObjectId } from "mongodb";
 import dotenv from "dotenv";
+import { paginateByTimestamp, parsePageParams } from "../utils/pagination.js";
+import { canInRoom, getRoomRole } from "../services/room.js";
+import { checkSlowMode } from "../services/rateLimit.js";
+import { auditSource, recordAudit } from "../services/audit.js";
+import { tombstoneMessage } from "../utils/message.utils.js";
+import { getStorage, storageConfigError } from "../services/storage/index.js";
+import { releaseStorage, reserveStorage } from "../services/storageUsage.js";
+import {
+  createStoredThumbnail,
+  createThumbnail,
+  storedKeysFor,
+  thumbnailUrlFor,
+} from "../services/thumbnails.js";
+import { checkFileSignature } from "../services/fileType.js";
+import { getScanner } from "../services/scanner/index.js";
+import {
+  isServable,
+  scanAndStore,
+  scanStored,
+} from "../services/uploadScan.js";
 
 dotenv.config();
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-// Initialize S3 Client
-const s3 = new S3Client({
-  region: process.env.AWS_REGION,
-  credentials: {
-    accessKeyId: process.env.AWS_ACCESS_KEY_ID,
-    secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
-  },
-});
+// Images, PDFs and Word documents, checked on both extension and MIME type
+const ALLOWED_FILE_TYPES = /jpeg|jpg|png|pdf|doc|docx/;
+export const isAllowedFile = (originalName, mimeType) =>
+  ALLOWED_FILE_TYPES.test(path.extname(originalName).toLowerCase()) &&
+  ALLOWED_FILE_TYPES.test(mimeType);
 
 const upload = multer({
   storage: multer.memoryStorage(),
   limits: { fileSize: 6 * 1024 * 1024 }, // 6MB limit
   fileFilter: (req, file, cb) => {
-    const allowedTypes = /jpeg|jpg|png|pdf|doc|docx/;
-    const extname = allowedTypes.test(
-      path.extname(file.originalname).toLowerCase()
-    );
-    const mimetype = allowedTypes.test(file.mimetype);
-    if (extname && mimetype) {
+    if (isAllowedFile(file.originalname, file.mimetype)) {
       return cb(null, true);
     } else {
       cb(
@@ -61,24 +64,177 @@ export const uploadMiddleware = (req, res, next) => {
       console.error("❌ [Upload Error]:", err.message);
       return res.status(400).json({ error: err.message });
     }
+    // The filter above only sees the name and the client's MIME type
+    const mismatch =
+      req.file &&
+      checkFileSignature(
+        req.file.buffer,
+        req.file.originalname,
+        req.file.mimetype
+      );
+    if (mismatch) {
+      console.warn(`⚠️ [Validation Failed] ${mismatch}`);
+      return res.status(400).json({ error: mismatch });
+    }
     next();
   });
 };
 
+/**
+ * Client view of stored file metadata with presigned download and thumbnail
+ * URLs (thumbnailUrl is null for files without a preview; both are null
+ * while the file is being scanned or after it was blocked)
+ */
+export const withFileUrls = async (file) => ({
+  filename: file.filename,
+  originalName: file.originalName,
+  mimeType: file.mimeType,
+  size: file.size,
+  ...(file.scanStatus ? { scanStatus: file.scanStatus } : {}),
+  ...(file.width ? { width: file.width, height: file.height } : {}),
+  url: isServable(file)
+    ? await getStorage().presignGet(file.s3Key, { expiresIn: 3600 })
+    : null,
+  thumbnailUrl: isServable(file) ? await thumbnailUrlFor(file) : null,
+  ...(file.thumbnail
+    ? {
+        thumbnailWidth: file.thumbnail.width,
+        thumbnailHeight: file.thumbnail.height,
+      }
+    : {}),
+});
+
+/**
+ * Whether `user` may post an upload to `roomId`: room membership, archived
+ * and read-only rooms, and slow mode (skipped with `slowMode: false`, since
+ * checking it uses up the user's slot). Returns { success: true } or
+ * { success: false, status, body, retryAfter } with the JSON to send.
+ */
+export const checkRoomUpload = async (
+  user,
+  roomId,
+  { slowMode = true } = {}
+) => {
+  if (!roomId.startsWith("room_")) return { success: true };
+
+  const room = await getDB().collection("rooms").findOne({ roomId });
+  if (!room || !room.users.includes(user.userId)) {
+    console.log("❌ Not authorized for room:", roomId);
+    return {
+      success: false,
+      status: 403,
+      body: { error: "Not authorized to upload to this room" },
+    };
+  }
+  if (room.archivedAt || room.deletedAt) {
+    return {
+      success: false,
+      status: 403,
+      body: { error: "This room is archived and read-only" },
+    };
+  }
+  if (!canInRoom(room, user.userId, "message.send")) {
+    return {
+      success: false,
+      status: 403,
+      body: { error: "You have read-only access to this room" },
+    };
+  }
+  if (slowMode && !["owner", "admin"].includes(getRoomRole(room, user.userId))) {
+    const slow = await checkSlowMode(roomId, user.userId, room.slowModeSeconds);
+    if (!slow.allowed) {
+      return {
+        success: false,
+        status: 429,
+        retryAfter: slow.retryAfter,
+        body: {
+          error: "rateLimited",
+          message: "Slow mode is enabled in this room",
+          retryAfter: slow.retryAfter,
+          scope: "slowMode",
+        },
+      };
+    }
+  }
+  return { success: true };
+};
+
+/**
+ * Scan the attachments of a message posted with scanStatus "scanning",
+ * after the upload request has answered, and record each verdict on the
+ * message. `buffers` holds the bytes of uploads not yet in storage by
+ * filename; other files are scanned where the client uploaded them. Each
+ * verdict is announced to the room with a `fileScanned` event.
+ */
+export const scanMessageFiles = async ({ io, message, buffers = {} }) => {
+  const messageCollection = getDB().collection("messages");
+  const field = message.files ? "files" : "file";
+
+  for (const file of message.files || [message.file]) {
+    const buffer = buffers[file.filename];
+    let scanned;
+    try {
+      const verdict = buffer
+        ? await scanAndStore(file.s3Key, buffer, file.mimeType)
+        : await scanStored(file.s3Key);
+      const preview =
+        verdict.scanStatus !== "clean"
+          ? null
+          : buffer
+          ? await createThumbnail(file.s3Key, buffer, file.mimeType)
+          : await createStoredThumbnail(file);
+      scanned = { ...file, ...verdict, ...preview };
+    } catch (error) {
+      console.error(`❌ [Scan Error] ${file.s3Key}:`, error.message);
+      scanned = { ...file, scanStatus: "blocked", scanError: error.message };
+    }
+
+    const result = await messageCollection.updateOne(
+      { _id: message._id, [`${field}.filename`]: file.filename },
+      { $set: { [field === "files" ? "files.$" : "file"]: scanned } }
+    );
+    if (result.matchedCount === 0) {
+      // Deleted while it was being scanned
+      await getStorage().deleteMany(storedKeysFor(scanned));
+      continue;
+    }
+    if (scanned.scanStatus === "blocked") {
+      await recordAudit({
+        action: "file.quarantine",
+        actor: null,
+        companyId: message.companyId,
+        roomId: message.roomId,
+        target: { type: "file", id: file.filename },
+        after: { uploadedBy: message.userId, ...scanned },
+        source: auditSource("malwareScan"),
+      });
+    }
+
+    io.to(message.roomId).emit("fileScanned", {
+      fileId: file.filename,
+      messageId: message._id.toString(),
+      roomId: message.roomId,
+      scanStatus: scanned.scanStatus,
+      file: await withFileUrls(scanned),
+      timestamp: new Date().toISOString(),
+    });
+  }
+};
+
 export const uploadFile = async (req, res) => {
   try {
-    // Check AWS environment variables
-    if (
-      !process.env.AWS_ACCESS_KEY_ID ||
-      !process.env.AWS_SECRET_ACCESS_KEY ||
-      !process.env.AWS_REGION ||
-      !process.env.AWS_BUCKET_NAME
-    ) {
-      console.error("❌ Missing AWS environment variables");
+    // Check storage settings
+    const configError = storageConfigError();
+    if (configError) {
+      console.error(`❌ ${configError}`);
       return res
         .status(500)
-        .json({ error: "Server configuration error: Missing AWS credentials" });
+        .json({ error: "Server configuration error: Storage is not configured" });
     }
+    const storage = getStorage();
+    // With a scanner the file is posted as "scanning" and only stored once
+    // scanMessageFiles has checked it
+    const scanner = getScanner();
 
     // console.log("📥 [Upload Request] Headers:", req.headers);
     // console.log("📥 [Upload Request] Body:", req.body);
@@ -87,21 +243,6 @@ export const uploadFile = async (req, res) => {
 
     // Use user data from authMiddleware
     const user = req.user;
-    const allowedRoles = [
-      "Employee",
-      "CEO",
-      "Manager",
-      "HR",
-      "Client",
-      "TeamLeader",
-    ];
-    if (!allowedRoles.includes(user.position)) {
-      console.log("❌ Insufficient permissions:", user.position);
-      return res
-        .status(403)
-        .json({ error: "Insufficient position permissions" });
-    }
-
     if (!req.file) {
       console.log("❌ No file uploaded");
       return res.status(400).json({ error: "No file uploaded" });
@@ -112,16 +253,6 @@ export const uploadFile = async (req, res) => {
       req.file.originalname
     )}`;
 
-    const uploadParams = {
-      Bucket: process.env.AWS_BUCKET_NAME,
-      Key: `uploads/${filename}`,
-      Body: req.file.buffer,
-      ContentType: req.file.mimetype,
-    };
-    console.log("Uploading to S3 with params:", uploadParams);
-    await s3.send(new PutObjectCommand(uploadParams));
-    console.log("✅ S3 Upload Successful");
-
     const db = getDB();
     const messageCollection = db.collection("messages");
     const companyCollection = db.collection("companyregistrations");
@@ -129,13 +260,40 @@ export const uploadFile = async (req, res) => {
     console.log("📤 [Uploading to room]:", roomId);
     
     const roomCollection = db.collection("rooms");
-    if (roomId.startsWith("room_")) {
-      const room = await roomCollection.findOne({ roomId });
-      if (!room || !room.users.includes(user.userId)) {
-        console.log("❌ Not authorized for room:", roomId);
-        return res
-          .status(403)
-          .json({ error: "Not authorized to upload to this room" });
+    const allowed = await checkRoomUpload(user, roomId);
+    if (!allowed.success) {
+      if (allowed.retryAfter) {
+        res.set("Retry-After", String(allowed.retryAfter));
+      }
+      return res.status(allowed.status).json(allowed.body);
+    }
+
+    // Count the file against the company's storage quota
+    const quota = await reserveStorage(user.companyId, roomId, req.file.size);
+    if (!quota.success) {
+      return res.status(quota.status).json({
+        error: quota.error,
+        usedBytes: quota.usedBytes,
+        quotaBytes: quota.quotaBytes,
+      });
+    }
+
+    let preview;
+    if (!scanner) {
+      try {
+        console.log(`Uploading to ${storage.name} storage: uploads/${filename}`);
+        await storage.put(`uploads/${filename}`, req.file.buffer, {
+          contentType: req.file.mimetype,
+        });
+        console.log("✅ Storage Upload Successful");
+        preview = await createThumbnail(
+          `uploads/${filename}`,
+          req.file.buffer,
+          req.file.mimetype
+        );
+      } catch (error) {
+        await releaseStorage(user.companyId, roomId, req.file.size);
+        throw error;
       }
     }
 
@@ -163,20 +321,27 @@ export const uploadFile = async (req, res) => {
         mimeType: req.file.mimetype,
         size: req.file.size,
         s3Key: `uploads/${filename}`,
-        bucket: process.env.AWS_BUCKET_NAME,
+        bucket: storage.bucket,
+        ...(scanner ? { scanStatus: "scanning" } : preview),
       },
     };
 
-    await messageCollection.insertOne(fileMetadata);
+    try {
+      await messageCollection.insertOne(fileMetadata);
+    } catch (error) {
+      await releaseStorage(user.companyId, roomId, req.file.size);
+      throw error;
+    }
+    await recordAudit({
+      action: "file.upload",
+      actor: user,
+      roomId,
+      target: { type: "file", id: filename },
+      after: fileMetadata.file,
+      source: auditSource(req),
+    });
 
-    const presignedUrl = await getSignedUrl(
-      s3,
-      new GetObjectCommand({
-        Bucket: process.env.AWS_BUCKET_NAME,
-        Key: `uploads/${filename}`,
-      }),
-      { expiresIn: 3600 }
-    );
+    const fileWithUrls = await withFileUrls(fileMetadata.file);
 
     const io = req.app.get("io");
     
@@ -189,13 +354,7 @@ export const uploadFile = async (req, res) => {
       roomId: fileMetadata.roomId,
       companyName: fileMetadata.companyName,
       timestamp: fileMetadata.timestamp.toISOString(),
-      file: {
-        filename: fileMetadata.file.filename,
-        originalName: fileMetadata.file.originalName,
-        mimeType: fileMetadata.file.mimeType,
-        size: fileMetadata.file.size,
-        url: presignedUrl,
-      },
+      file: fileWithUrls,
     };
 
     // Get all users in the room to determine their roles and send appropriate messages
@@ -247,9 +406,21 @@ export const uploadFile = async (req, res) => {
       io.to(roomId).emit("newFile", baseMessage);
     }
 
-    res.status(200).json({
-      message: "File uploaded successfully",
-      file: { ...fileMetadata.file, url: presignedUrl },
+    if (scanner) {
+      scanMessageFiles({
+        io,
+        message: fileMetadata,
+        buffers: { [filename]: req.file.buffer },
+      }).catch((error) =>
+        console.error("❌ [Scan Error]:", error.message, error.stack)
+      );
+    }
+
+    res.status(scanner ? 202 : 200).json({
+      message: scanner
+        ? "File uploaded, scanning for malware"
+        : "File uploaded successfully",
+      file: { ...fileMetadata.file, ...fileWithUrls },
     });
   } catch (error) {
     console.error("❌ [Upload Error]:", error.message, error.stack, error);
@@ -267,21 +438,6 @@ export const downloadFile = async (req, res) => {
 
     // Use user data from authMiddleware
     const user = req.user;
-    const allowedRoles = [
-      "Employee",
-      "CEO",
-      "Manager",
-      "HR",
-      "Client",
-      "TeamLeader",
-    ];
-    if (!allowedRoles.includes(user.position)) {
-      console.log("❌ Insufficient permissions:", user.position);
-      return res
-        .status(403)
-        .json({ error: "Insufficient position permissions" });
-    }
-
     const { fileID } = req.params;
     if (!fileID) {
       console.log("❌ No filename provided");
@@ -294,10 +450,15 @@ export const downloadFile = async (req, res) => {
       $or: [
         { _id: fileID }, // If fileID is the message _id
         { "file.filename": fileID }, // If fileID is the file filename
+        { "files.filename": fileID }, // One attachment of a multi-file message
       ],
     });
+    const file =
+      fileMetadata?.files?.find((entry) => entry.filename === fileID) ||
+      fileMetadata?.file ||
+      fileMetadata?.files?.[0];
 
-    if (!fileMetadata) {
+    if (!fileMetadata || !file) {
       console.log("❌ File not found in database:", fileID);
       return res.status(404).json({ error: "File not found" });
     }
@@ -322,24 +483,41 @@ export const downloadFile = async (req, res) => {
         .json({ error: "Not authorized to access this file" });
     }
 
-    const getObjectParams = {
-      Bucket: process.env.AWS_BUCKET_NAME,
-      Key: fileMetadata.file.s3Key,
-    };
-    const command = new GetObjectCommand(getObjectParams);
-    const { Body, ContentType, ContentLength } = await s3.send(command);
+    if (file.scanStatus === "scanning") {
+      return res
+        .status(409)
+        .json({ error: "File is still being scanned for malware" });
+    }
+    if (!isServable(file)) {
+      return res
+        .status(403)
+        .json({ error: "File was blocked by the malware scanner" });
+    }
+
+    const {
+      body: Body,
+      contentType: ContentType,
+      contentLength: ContentLength,
+    } = await getStorage().getStream(file.s3Key);
+    await recordAudit({
+      action: "file.download",
+      actor: user,
+      roomId,
+      target: { type: "file", id: file.filename },
+      source: auditSource(req),
+    });
 
-    res.setHeader("Content-Type", ContentType || fileMetadata.file.mimeType);
+    res.setHeader("Content-Type", ContentType || file.mimeType);
     res.setHeader(
       "Content-Disposition",
-      `attachment; filename="${fileMetadata.file.originalName}"`
+      `attachment; filename="${file.originalName}"`
     );
-    res.setHeader("Content-Length", ContentLength || fileMetadata.file.size);
+    res.setHeader("Content-Length", ContentLength || file.size);
 
     Body.pipe(res);
 
     // console.log(
-    //   `📤 [Downloading file] ${fileID} as ${fileMetadata.file.originalName}`
+    //   `📤 [Downloading file] ${fileID} as ${file.originalName}`
     // );
   } catch (error) {
     console.error("❌ [Download Error]:", error.message, error.stack, error);
@@ -357,21 +535,6 @@ export const deleteFile = async (req, res) => {
 
     // Use user data from authMiddleware
     const user = req.user;
-    const allowedRoles = [
-      "Employee",
-      "CEO",
-      "Manager",
-      "HR",
-      "Client",
-      "TeamLeader",
-    ];
-    if (!allowedRoles.includes(user.position)) {
-      console.log("❌ Insufficient permissions:", user.position);
-      return res
-        .status(403)
-        .json({ error: "Insufficient position permissions" });
-    }
-
     const { fileID } = req.params;
     if (!fileID) {
       console.log("❌ No fileID provided");
@@ -381,11 +544,14 @@ export const deleteFile = async (req, res) => {
     const db = getDB();
     const messageCollection = db.collection("messages");
     const fileMetadata = await messageCollection.findOne({
-      "file.filename": fileID,
+      $or: [{ "file.filename": fileID }, { "files.filename": fileID }],
       companyId: new ObjectId(user.companyId),
     });
+    const file =
+      fileMetadata?.files?.find((entry) => entry.filename === fileID) ||
+      fileMetadata?.file;
 
-    if (!fileMetadata) {
+    if (!fileMetadata || !file) {
       console.log("❌ File not found in database:", fileID);
       return res.status(404).json({ error: "File not found" });
     }
@@ -400,6 +566,11 @@ export const deleteFile = async (req, res) => {
           .status(403)
           .json({ error: "Not authorized to delete this file" });
       }
+      if (room.archivedAt || room.deletedAt) {
+        return res
+          .status(403)
+          .json({ error: "This room is archived and read-only" });
+      }
     } else if (
       roomId.startsWith("company_") &&
       roomId !== `company_${user.companyId}`
@@ -410,22 +581,42 @@ export const deleteFile = async (req, res) => {
         .json({ error: "Not authorized to delete this file" });
     }
 
-    const deleteParams = {
-      Bucket: process.env.AWS_BUCKET_NAME,
-      Key: fileMetadata.file.s3Key,
-    };
-    console.log("Deleting from S3 with params:", deleteParams);
-    await s3.send(new DeleteObjectCommand(deleteParams));
-    console.log("✅ S3 Delete Successful");
+    console.log("Deleting from storage:", file.s3Key);
+    await getStorage().deleteMany(storedKeysFor(file));
+    console.log("✅ Storage Delete Successful");
 
-    await messageCollection.deleteOne({
-      "file.filename": fileID,
-      companyId: new ObjectId(user.companyId),
+    // Drop one attachment of a multi-file message; once nothing is left,
+    // leave a tombstone so the conversation keeps the message's place
+    const remaining = (fileMetadata.files || []).filter(
+      (entry) => entry.filename !== fileID
+    );
+    const removed =
+      remaining.length > 0
+        ? await messageCollection.updateOne(
+            { _id: fileMetadata._id },
+            { $pull: { files: { filename: fileID } } }
+          )
+        : await tombstoneMessage(
+            messageCollection,
+            { _id: fileMetadata._id },
+            user.userId
+          );
+    if (removed.modifiedCount > 0) {
+      await releaseStorage(user.companyId, roomId, file.size || 0);
+    }
+    await recordAudit({
+      action: "file.delete",
+      actor: user,
+      roomId,
+      target: { type: "file", id: fileID },
+      before: { uploadedBy: fileMetadata.userId, ...file },
+      source: auditSource(req),
     });
 
     const io = req.app.get("io");
     io.to(roomId).emit("fileDeleted", {
       fileId: fileID,
+      messageId: fileMetadata._id.toString(),
       roomId: roomId,
       message: "File deleted",
       timestamp: new Date().toISOString(),
@@ -475,40 +666,28 @@ export const deleteS3FilesByRoom = async (adata) => {
     }
 
     // Fetch all messages with files for the room
-    const messages = await messageCollection
-      .find({
-        roomId,
-        file: { $exists: true },
-      })
-      .toArray();
+    const fileFilter = {
+      roomId,
+      $or: [{ file: { $exists: true } }, { files: { $exists: true } }],
+    };
+    const messages = await messageCollection.find(fileFilter).toArray();
 
-    // Collect S3 keys
+    // Collect storage keys
     const fileKeys = messages
-      .filter((message) => message.file && message.file.s3Key)
-      .map((message) => ({ Key: message.file.s3Key }));
+      .flatMap((message) => [message.file, ...(message.files || [])])
+      .flatMap(storedKeysFor);
 
-    // Delete files from S3
+    // Delete files from storage
     let deletedCount = 0;
     if (fileKeys.length > 0) {
-      const deleteParams = {
-        Bucket: process.env.AWS_BUCKET_NAME,
-        Delete: {
-          Objects: fileKeys,
-          Quiet: false,
-        },
-      };
-      console.log("Deleting S3 files for room:", deleteParams);
-      const result = await s3.send(new DeleteObjectsCommand(deleteParams));
-      deletedCount = result.Deleted ? result.Deleted.length : fileKeys.length;
-      console.log(`✅ Deleted ${deletedCount} S3 files for room ${roomId}`);
+      console.log(`Deleting ${fileKeys.length} stored files for room:`, roomId);
+      deletedCount = await getStorage().deleteMany(fileKeys);
+      console.log(`✅ Deleted ${deletedCount} stored files for room ${roomId}`);
 
       // Delete corresponding messages from MongoDB
-      await messageCollection.deleteMany({
-        roomId,
-        file: { $exists: true },
-      });
+      await messageCollection.deleteMany(fileFilter);
     } else {
-      console.log(`No S3 files to delete for room ${roomId}`);
+      console.log(`No stored files to delete for room ${roomId}`);
     }
 
     // Emit socket event
@@ -543,21 +722,6 @@ export const getFilesByRoom = async (req, res) => {
 
     // Use user data from authMiddleware
     const user = req.user;
-    const allowedRoles = [
-      "Employee",
-      "CEO",
-      "Manager",
-      "HR",
-      "Client",
-      "TeamLeader",
-    ];
-    if (!allowedRoles.includes(user.position)) {
-      console.log("❌ Insufficient permissions:", user.position);
-      return res
-        .status(403)
-        .json({ success: false, error: "Insufficient position permissions" });
-    }
-
     // Get roomId from URL parameter
     const { roomId } = req.params;
     if (!roomId) {
@@ -620,47 +784,46 @@ export const getFilesByRoom = async (req, res) => {
       return res.status(404).json({ message: "User not found" });
     }
 
-    // Fetch file messages from MongoDB
+    const pageParams = parsePageParams(req.query);
+    if (pageParams.error) {
+      return res
+        .status(400)
+        .json({ success: false, error: pageParams.error });
+    }
+
+    // Fetch a page of file messages from MongoDB, newest first
     const messageCollection = db.collection("messages");
-    const messages = await messageCollection
-      .find({
+    const page = await paginateByTimestamp(
+      messageCollection,
+      {
         roomId,
         companyId: new ObjectId(user.companyId),
-      })
-      .sort({ timestamp: -1 })
-      .toArray();
+      },
+      pageParams,
+      -1
+    );
+    if (page.error) {
+      return res.status(page.status).json({ success: false, error: page.error });
+    }
+    const messages = page.items;
 
-    // Validate files in S3 and generate presigned URLs
+    // Validate files in storage and generate presigned URLs
     const messagesWithUrls = await Promise.all(
       messages.map(async (message) => {
         try {
           let fileData = null;
           if (message.file && message.file.s3Key) {
-            // Validate file existence in S3
-            const headParams = {
-              Bucket: process.env.AWS_BUCKET_NAME,
-              Key: message.file.s3Key,
-            };
-            await s3.send(new HeadObjectCommand(headParams));
-            // console.log(`✅ S3 File Exists: ${message.file.s3Key}`);
-
-            // Generate presigned URL
-            const presignedUrl = await getSignedUrl(
-              s3,
-              new GetObjectCommand({
-                Bucket: process.env.AWS_BUCKET_NAME,
-                Key: message.file.s3Key,
-              }),
-              { expiresIn: 3600 } // 1-hour expiry
-            );
+            // Validate file existence in storage; files being scanned are
+            // not stored yet
+            if (
+              message.file.scanStatus !== "scanning" &&
+              !(await getStorage().head(message.file.s3Key))
+            ) {
+              throw new Error("File not found in storage");
+            }
 
-            fileData = {
-              filename: message.file.filename,
-              originalName: message.file.originalName,
-              mimeType: message.file.mimeType,
-              size: message.file.size,
-              url: presignedUrl,
-            };
+            // Generate presigned URLs (1-hour expiry)
+            fileData = await withFileUrls(message.file);
           }
 
           // Apply the same username logic as getMessagesByRoom
@@ -691,12 +854,17 @@ export const getFilesByRoom = async (req, res) => {
           if (fileData) {
             messageData.file = fileData;
           }
+          if (message.files?.length > 0) {
+            messageData.files = await Promise.all(
+              message.files.map(withFileUrls)
+            );
+          }
 
           // console.log(`📤 [Processed Message]:`, JSON.stringify(messageData));
           return messageData;
         } catch (s3Error) {
           console.error(
-            `❌ [S3 Error] Message ID: ${message._id}, File: ${
+            `❌ [Storage Error] Message ID: ${message._id}, File: ${
               message.file?.s3Key || "N/A"
             }`,
             s3Error.message
@@ -741,6 +909,7 @@ export const getFilesByRoom = async (req, res) => {
       success: true,
       message: "Messages retrieved successfully",
       data: validMessages,
+      pageInfo: page.pageInfo,
     });
   } catch (error) {
     console.error("❌ [Get Files Error]:", error.message, error.stack);
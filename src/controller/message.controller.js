@@ -4,23 +4,174 @@ import cookie from "cookie";
 import jwt from "jsonwebtoken";
 import { deleteS3FilesByRoom } from "./filleController.js";
 import { deleteS3VoicesByRoom } from "./voiceController.js";
+import {
+  formatMessage,
+  MAX_MESSAGE_LENGTH,
+  messageIdFilter,
+  reactorIds,
+  resolveUserRole,
+  tombstoneMessage,
+} from "../utils/message.utils.js";
+import {
+  MAX_PAGE_LIMIT,
+  paginateByTimestamp,
+  parsePageParams,
+} from "../utils/pagination.js";
+import {
+  canInRoom,
+  getRoomDeleteGraceHours,
+  getRoomRole,
+} from "../services/room.js";
+import { uncacheRoom } from "../services/roomCache.js";
+import { emitToRoom, leaveRoom } from "../services/broadcast.js";
+import { can } from "../services/permissions.js";
+import { getMessageWindows, isWithinWindow } from "../services/messagePolicy.js";
+import { auditSource, recordAudit } from "../services/audit.js";
+import { getStorage } from "../services/storage/index.js";
+import {
+  attachmentsOf,
+  releaseRoomStorage,
+  releaseStorage,
+} from "../services/storageUsage.js";
+import { storedKeysFor } from "../services/thumbnails.js";
+import { transferRoomOwnership, withAvatarUrl } from "./room.controller.js";
+
+const MENTION_PATTERN = /@([a-f0-9]{24}|here|all)\b/gi;
+const MAX_CLIENT_MSG_ID_LENGTH = 100;
+const MAX_DELIVERY_BATCH = 100;
+const MAX_RESYNC_ROOMS = 50;
+
+/**
+ * Parse @userId, @here and @all tokens. Mentioned users are validated against
+ * room membership; @here only targets members currently online in the room.
+ */
+const parseMentions = (text, roomUsers, onlineUserIds, senderId) => {
+  const mentions = [];
+  const mentioned = new Set();
+
+  for (const [, token] of text.matchAll(MENTION_PATTERN)) {
+    const type = token.toLowerCase();
+    if (type === "all" || type === "here") {
+      if (mentions.some((m) => m.type === type)) continue;
+      mentions.push({ type });
+      const targets =
+        type === "all"
+          ? roomUsers
+          : onlineUserIds.filter((id) => roomUsers.includes(id));
+      targets.forEach((id) => mentioned.add(id));
+    } else if (roomUsers.includes(type)) {
+      if (mentions.some((m) => m.userId === type)) continue;
+      mentions.push({ type: "user", userId: type });
+      mentioned.add(type);
+    }
+  }
+
+  mentioned.delete(senderId);
+  return { mentions, mentionedUserIds: [...mentioned] };
+};
 
-export const handleSendMessage = async (socket, message, targetRoom) => {
+// Errors thrown by handleSendMessage carry the status the socket layer reports
+const sendError = (message, status = 400) =>
+  Object.assign(new Error(message), { status });
+
+const toSavedMessage = (doc, extra = {}) => ({
+  ...doc,
+  _id: doc._id.toString(),
+  timestamp: new Date(doc.timestamp).toISOString(),
+  parentThread: null,
+  ...extra,
+});
+
+export const handleSendMessage = async (
+  socket,
+  message,
+  targetRoom,
+  options = {}
+) => {
   const db = getDB();
   const messageCollection = db.collection("messages");
   const companyCollection = db.collection("companyregistrations");
 
   try {
     const user = socket.user;
+    const { parentId, clientMsgId, onlineUserIds = [] } = options;
 
     if (!message || typeof message !== "string" || message.trim() === "") {
       console.warn("⚠️ [Validation Failed] Empty or invalid message");
-      throw new Error("Message is required and must be a non-empty string");
+      throw sendError("Message is required and must be a non-empty string");
+    }
+    if (message.trim().length > MAX_MESSAGE_LENGTH) {
+      console.warn("⚠️ [Validation Failed] Message too long");
+      throw sendError(
+        `Message cannot be longer than ${MAX_MESSAGE_LENGTH} characters`
+      );
+    }
+
+    if (
+      clientMsgId !== undefined &&
+      (typeof clientMsgId !== "string" ||
+        clientMsgId.trim() === "" ||
+        clientMsgId.length > MAX_CLIENT_MSG_ID_LENGTH)
+    ) {
+      console.warn("⚠️ [Validation Failed] Invalid clientMsgId");
+      throw sendError(
+        `clientMsgId must be a non-empty string of at most ${MAX_CLIENT_MSG_ID_LENGTH} characters`
+      );
     }
 
     if (!targetRoom || typeof targetRoom !== "string") {
       console.warn("⚠️ [Validation Failed] Invalid or missing target room");
-      throw new Error("Target room is required");
+      throw sendError("Target room is required");
+    }
+    const room = await db.collection("rooms").findOne({ roomId: targetRoom });
+    if (!room || room.deletedAt) {
+      console.warn(`⚠️ [Validation Failed] Room not found: ${targetRoom}`);
+      throw sendError("Room not found", 404);
+    }
+
+    // A retried send returns the message stored by the first attempt; ids
+    // are only unique per sender and room
+    if (clientMsgId) {
+      const existing = await messageCollection.findOne({
+        userId: user.userId,
+        roomId: targetRoom,
+        clientMsgId,
+      });
+      if (existing) {
+        console.log(
+          `♻️ [Duplicate Send] clientMsgId=${clientMsgId} userId=${user.userId} roomId=${targetRoom}`
+        );
+        return toSavedMessage(existing, { duplicate: true });
+      }
+    }
+
+    // Resolve the thread root when replying to a message
+    let parent = null;
+    if (parentId !== undefined && parentId !== null) {
+      if (typeof parentId !== "string" || parentId.trim() === "") {
+        console.warn("⚠️ [Validation Failed] Invalid parent message ID");
+        throw sendError("Invalid parent message ID");
+      }
+      parent = await messageCollection.findOne({
+        _id: messageIdFilter(parentId),
+        roomId: targetRoom,
+      });
+      if (!parent) {
+        console.warn(
+          `⚠️ [Validation Failed] Parent message not found for ID: ${parentId} in room: ${targetRoom}`
+        );
+        throw sendError("Parent message not found in this room", 404);
+      }
+      // Threads are one level deep: replies to a reply go to the same thread
+      if (parent.parentId) {
+        parent = await messageCollection.findOne({
+          _id: messageIdFilter(parent.parentId),
+          roomId: targetRoom,
+        });
+        if (!parent) {
+          throw sendError("Parent message not found in this room", 404);
+        }
+      }
     }
 
     // Fetch company name from companyInfo.companyName
@@ -29,6 +180,13 @@ export const handleSendMessage = async (socket, message, targetRoom) => {
     });
     const companyName = company?.companyInfo?.companyName || "Unknown Company";
 
+    const { mentions, mentionedUserIds } = parseMentions(
+      message,
+      room.users || [],
+      onlineUserIds,
+      user.userId
+    );
+
     const formattedMessage = {
       userId: user.userId,
       username: user.firstName || "Anonymous",
@@ -38,24 +196,61 @@ export const handleSendMessage = async (socket, message, targetRoom) => {
       companyId: new ObjectId(user.companyId),
       roomId: targetRoom,
     };
+    if (parent) {
+      formattedMessage.parentId = parent._id.toString();
+    }
+    if (mentions.length > 0) {
+      formattedMessage.mentions = mentions;
+      formattedMessage.mentionedUserIds = mentionedUserIds;
+    }
+    if (clientMsgId) {
+      formattedMessage.clientMsgId = clientMsgId;
+    }
 
-    const savedMessage = await messageCollection.insertOne(formattedMessage);
+    let savedMessage;
+    try {
+      savedMessage = await messageCollection.insertOne(formattedMessage);
+    } catch (error) {
+      // Two retries raced past the lookup above; keep the first one
+      if (error.code === 11000 && clientMsgId) {
+        const existing = await messageCollection.findOne({
+          userId: user.userId,
+          roomId: targetRoom,
+          clientMsgId,
+        });
+        if (existing) return toSavedMessage(existing, { duplicate: true });
+      }
+      throw error;
+    }
 
-    return {
-      ...formattedMessage,
-      _id: savedMessage.insertedId.toString(),
-      timestamp: formattedMessage.timestamp.toISOString(),
-    };
+    // Update thread metadata on the parent message
+    let parentThread = null;
+    if (parent) {
+      const updatedParent = await messageCollection.findOneAndUpdate(
+        { _id: parent._id },
+        {
+          $inc: { "thread.replyCount": 1 },
+          $set: { "thread.lastReplyAt": formattedMessage.timestamp },
+          $addToSet: { "thread.participants": user.userId },
+        },
+        { returnDocument: "after" }
+      );
+      parentThread = updatedParent?.thread || null;
+    }
+
+    return toSavedMessage(
+      { ...formattedMessage, _id: savedMessage.insertedId },
+      { parentThread }
+    );
   } catch (error) {
+    // The socket layer reports the failure to the sender
     console.error("❌ [handleSendMessage Error]:", error.message);
-    socket.emit(
-      "errorMessage",
-      error.message || "Server error while sending message"
-    );
     throw error;
   }
 };
 
+// Returns { success: true } once the edit is broadcast, or
+// { success: false, status, error }
 export const handleEditMessage = async (socket, data, targetRoom) => {
   const db = getDB();
   const messageCollection = db.collection("messages");
@@ -66,7 +261,11 @@ export const handleEditMessage = async (socket, data, targetRoom) => {
 
     if (!messageId || !ObjectId.isValid(messageId)) {
       console.warn("⚠️ [Validation Failed] Invalid or missing message ID");
-      return socket.emit("errorMessage", "Invalid or missing message ID");
+      return {
+        success: false,
+        status: 400,
+        error: "Invalid or missing message ID",
+      };
     }
     if (
       !newMessage ||
@@ -74,14 +273,23 @@ export const handleEditMessage = async (socket, data, targetRoom) => {
       newMessage.trim() === ""
     ) {
       console.warn("⚠️ [Validation Failed] Empty or invalid new message");
-      return socket.emit(
-        "errorMessage",
-        "New message is required and must be a non-empty string"
-      );
+      return {
+        success: false,
+        status: 400,
+        error: "New message is required and must be a non-empty string",
+      };
+    }
+    if (newMessage.trim().length > MAX_MESSAGE_LENGTH) {
+      console.warn("⚠️ [Validation Failed] New message too long");
+      return {
+        success: false,
+        status: 400,
+        error: `Message cannot be longer than ${MAX_MESSAGE_LENGTH} characters`,
+      };
     }
     if (!targetRoom || typeof targetRoom !== "string") {
       console.warn("⚠️ [Validation Failed] Invalid or missing target room");
-      return socket.emit("errorMessage", "Target room is required");
+      return { success: false, status: 400, error: "Target room is required" };
     }
 
     const message = await messageCollection.findOne({
@@ -92,52 +300,124 @@ export const handleEditMessage = async (socket, data, targetRoom) => {
       console.warn(
         `⚠️ [Validation Failed] Message not found for ID: ${messageId} in room: ${targetRoom}`
       );
-      return socket.emit("errorMessage", "Message not found in this room");
+      return {
+        success: false,
+        status: 404,
+        error: "Message not found in this room",
+      };
     }
     if (message.userId !== user.userId) {
       console.warn(
         `⚠️ [Validation Failed] User ${user.userId} not authorized to edit message ${messageId}`
       );
-      return socket.emit(
-        "errorMessage",
-        "You are not authorized to edit this message"
+      return {
+        success: false,
+        status: 403,
+        error: "You are not authorized to edit this message",
+      };
+    }
+    if (message.deletedAt) {
+      console.warn(
+        `⚠️ [Validation Failed] Message ${messageId} was deleted and cannot be edited`
+      );
+      return {
+        success: false,
+        status: 409,
+        error: "This message was deleted",
+      };
+    }
+
+    const { editWindowMinutes } = await getMessageWindows(user.companyId);
+    if (!isWithinWindow(message.timestamp, editWindowMinutes)) {
+      console.warn(
+        `⚠️ [Validation Failed] Edit window of ${editWindowMinutes} minutes passed for message ${messageId}`
       );
+      return {
+        success: false,
+        status: 403,
+        error: `Messages can only be edited within ${editWindowMinutes} minutes of sending`,
+      };
     }
 
     const updatedMessage = {
       ...message,
       message: newMessage.trim(),
       updatedAt: new Date(),
+      editCount: (message.editCount || 0) + 1,
     };
 
+    // Only apply the edit if nobody changed or deleted the message since it
+    // was read, so the saved version below is the one being replaced
     const result = await messageCollection.updateOne(
-      { _id: new ObjectId(messageId), roomId: targetRoom },
-      { $set: { message: newMessage.trim(), updatedAt: new Date() } }
+      {
+        _id: new ObjectId(messageId),
+        roomId: targetRoom,
+        message: message.message,
+        deletedAt: { $exists: false },
+      },
+      {
+        $set: {
+          message: updatedMessage.message,
+          updatedAt: updatedMessage.updatedAt,
+        },
+        $inc: { editCount: 1 },
+      }
     );
 
     if (result.modifiedCount === 0) {
       console.warn(
-        `⚠️ [Update Failed] Message not updated for ID: ${messageId} in room: ${targetRoom}`
+        `⚠️ [Update Failed] Message changed while editing for ID: ${messageId} in room: ${targetRoom}`
       );
-      return socket.emit("errorMessage", "Failed to update message");
+      return {
+        success: false,
+        status: 409,
+        error: "Message was changed by someone else, please retry",
+      };
     }
 
-    const messageToSend = {
-      ...updatedMessage,
-      _id: messageId,
-      userId: user.userId,
-      timestamp: message.timestamp,
-      updatedAt: updatedMessage.updatedAt.toISOString(),
-    };
+    await db.collection("messageVersions").insertOne({
+      messageId,
+      roomId: targetRoom,
+      companyId: String(user.companyId),
+      version: updatedMessage.editCount,
+      message: message.message,
+      createdAt: message.updatedAt || message.timestamp,
+      replacedAt: updatedMessage.updatedAt,
+      replacedBy: user.userId,
+    });
 
-    socket.to(targetRoom).emit("messageUpdated", messageToSend);
-    socket.emit("messageUpdated", messageToSend);
+    // Formatted per recipient, like newMessage, so reaction users, mentions
+    // and receipts stay hidden from clients
+    await emitToRoom(
+      socket.server,
+      targetRoom,
+      "messageUpdated",
+      (recipient) =>
+        formatMessage(updatedMessage, recipient.role, recipient.userId),
+      { personalized: [user.userId, ...reactorIds(updatedMessage.reactions)] }
+    );
+    await recordAudit({
+      action: "message.edit",
+      actor: user,
+      roomId: targetRoom,
+      target: { type: "message", id: messageId },
+      before: { message: message.message },
+      after: { message: updatedMessage.message },
+      source: auditSource(socket),
+    });
+    return { success: true };
   } catch (error) {
     console.error(`❌ [handleEditMessage Error]: ${error.message}`);
-    socket.emit("errorMessage", "Server error while editing message");
+    return {
+      success: false,
+      status: 500,
+      error: "Server error while editing message",
+    };
   }
 };
 
+// Returns { success: true } once the deletion is broadcast, or
+// { success: false, status, error }
 export const handleDeleteMessage = async (socket, messageId, targetRoom) => {
   const db = getDB();
   const messageCollection = db.collection("messages");
@@ -147,11 +427,11 @@ export const handleDeleteMessage = async (socket, messageId, targetRoom) => {
 
     if (!messageId || !ObjectId.isValid(messageId)) {
       console.warn("⚠️ [Validation Failed] Invalid message ID");
-      return socket.emit("errorMessage", "Invalid message ID");
+      return { success: false, status: 400, error: "Invalid message ID" };
     }
     if (!targetRoom || typeof targetRoom !== "string") {
       console.warn("⚠️ [Validation Failed] Invalid or missing target room");
-      return socket.emit("errorMessage", "Target room is required");
+      return { success: false, status: 400, error: "Target room is required" };
     }
 
     const message = await messageCollection.findOne({
@@ -162,37 +442,476 @@ export const handleDeleteMessage = async (socket, messageId, targetRoom) => {
       console.warn(
         `⚠️ [Validation Failed] Message not found for ID: ${messageId} in room: ${targetRoom}`
       );
-      return socket.emit("errorMessage", "Message not found in this room");
+      return {
+        success: false,
+        status: 404,
+        error: "Message not found in this room",
+      };
     }
-    if (message.userId !== user.userId) {
+    // Room owners and admins, and users granted message.deleteAny for the
+    // company, can delete other people's messages
+    const room =
+      message.userId === user.userId
+        ? null
+        : await db.collection("rooms").findOne({ roomId: targetRoom });
+    if (
+      message.userId !== user.userId &&
+      !canInRoom(room, user.userId, "message.deleteAny") &&
+      !(await can(user, "message.deleteAny"))
+    ) {
       console.warn(
         `⚠️ [Validation Failed] User ${user.userId} not authorized to delete message ${messageId}`
       );
-      return socket.emit(
-        "errorMessage",
-        "You are not authorized to delete this message"
-      );
+      return {
+        success: false,
+        status: 403,
+        error: "You are not authorized to delete this message",
+      };
+    }
+    if (message.deletedAt) {
+      console.warn(`⚠️ [Validation Failed] Message ${messageId} already deleted`);
+      return {
+        success: false,
+        status: 409,
+        error: "This message was already deleted",
+      };
     }
 
-    const result = await messageCollection.deleteOne({
-      _id: new ObjectId(messageId),
-      roomId: targetRoom,
-    });
-    if (result.deletedCount === 0) {
+    // The delete window limits authors; moderators can always delete
+    if (message.userId === user.userId) {
+      const { deleteWindowMinutes } = await getMessageWindows(user.companyId);
+      if (!isWithinWindow(message.timestamp, deleteWindowMinutes)) {
+        console.warn(
+          `⚠️ [Validation Failed] Delete window of ${deleteWindowMinutes} minutes passed for message ${messageId}`
+        );
+        return {
+          success: false,
+          status: 403,
+          error: `Messages can only be deleted within ${deleteWindowMinutes} minutes of sending`,
+        };
+      }
+    }
+
+    const result = await tombstoneMessage(
+      messageCollection,
+      { _id: new ObjectId(messageId), roomId: targetRoom },
+      user.userId
+    );
+    if (result.modifiedCount === 0) {
       console.warn(
         `⚠️ [Delete Failed] Message not deleted for ID: ${messageId} in room: ${targetRoom}`
       );
-      return socket.emit("errorMessage", "Failed to delete message");
+      return {
+        success: false,
+        status: 409,
+        error: "This message was already deleted",
+      };
+    }
+    // Attachments go too, and stop counting against the storage quota
+    const attachments = attachmentsOf(message);
+    if (attachments.length > 0) {
+      try {
+        await getStorage().deleteMany(attachments.flatMap(storedKeysFor));
+      } catch (error) {
+        console.error("❌ [Storage Delete Error]:", error.message);
+      }
+      await releaseStorage(
+        user.companyId,
+        targetRoom,
+        attachments.reduce((sum, attachment) => sum + (attachment.size || 0), 0),
+        attachments.length
+      );
     }
 
-    socket.to(targetRoom).emit("messageDeleted", { messageId });
-    socket.emit("messageDeleted", { messageId });
+    const deleted = { messageId, deletedAt: new Date().toISOString() };
+    socket.to(targetRoom).emit("messageDeleted", deleted);
+    socket.emit("messageDeleted", deleted);
+    await recordAudit({
+      action: "message.delete",
+      actor: user,
+      roomId: targetRoom,
+      target: { type: "message", id: messageId },
+      before: {
+        userId: message.userId,
+        message: message.message,
+        timestamp: message.timestamp,
+        ...(message.file ? { file: message.file } : {}),
+        ...(message.files ? { files: message.files } : {}),
+        ...(message.voice ? { voice: message.voice } : {}),
+      },
+      source: auditSource(socket),
+    });
+    return { success: true };
   } catch (error) {
     console.error("❌ [handleDeleteMessage Error]:", error.message);
-    socket.emit("errorMessage", "Server error while deleting message");
+    return {
+      success: false,
+      status: 500,
+      error: "Server error while deleting message",
+    };
+  }
+};
+
+const MAX_EMOJI_LENGTH = 32;
+
+const validateReaction = async (data, targetRoom) => {
+  const db = getDB();
+  const messageCollection = db.collection("messages");
+  const { messageId, emoji } = data || {};
+
+  if (!messageId || typeof messageId !== "string") {
+    console.warn("⚠️ [Validation Failed] Invalid or missing message ID");
+    return {
+      success: false,
+      status: 400,
+      error: "Invalid or missing message ID",
+    };
+  }
+  if (
+    !emoji ||
+    typeof emoji !== "string" ||
+    emoji.trim() === "" ||
+    emoji.trim().length > MAX_EMOJI_LENGTH
+  ) {
+    console.warn("⚠️ [Validation Failed] Invalid emoji");
+    return {
+      success: false,
+      status: 400,
+      error: "Emoji is required and must be a short string",
+    };
+  }
+  if (!targetRoom || typeof targetRoom !== "string") {
+    console.warn("⚠️ [Validation Failed] Invalid or missing target room");
+    return { success: false, status: 400, error: "Target room is required" };
+  }
+
+  const message = await messageCollection.findOne(
+    { _id: messageIdFilter(messageId), roomId: targetRoom },
+    { projection: { _id: 1, deletedAt: 1 } }
+  );
+  if (!message) {
+    console.warn(
+      `⚠️ [Validation Failed] Message not found for ID: ${messageId} in room: ${targetRoom}`
+    );
+    return {
+      success: false,
+      status: 404,
+      error: "Message not found in this room",
+    };
+  }
+  if (message.deletedAt) {
+    console.warn(`⚠️ [Validation Failed] Message ${messageId} was deleted`);
+    return { success: false, status: 409, error: "This message was deleted" };
+  }
+
+  return { success: true, messageCollection, message, emoji: emoji.trim() };
+};
+
+// Returns { success: true, update } with the message's updated reactions, or
+// { success: false, status, error }
+export const handleAddReaction = async (socket, data, targetRoom) => {
+  try {
+    const userId = socket.user.userId;
+    const validated = await validateReaction(data, targetRoom);
+    if (!validated.success) return validated;
+    const { messageCollection, message, emoji } = validated;
+
+    // Add the user to an existing emoji entry, or create the entry
+    const existing = await messageCollection.updateOne(
+      { _id: message._id, "reactions.emoji": emoji },
+      { $addToSet: { "reactions.$.users": userId } }
+    );
+    if (existing.matchedCount === 0) {
+      await messageCollection.updateOne(
+        { _id: message._id, "reactions.emoji": { $ne: emoji } },
+        { $push: { reactions: { emoji, users: [userId] } } }
+      );
+    }
+
+    const updated = await messageCollection.findOne(
+      { _id: message._id },
+      { projection: { reactions: 1 } }
+    );
+    return {
+      success: true,
+      update: {
+        messageId: message._id.toString(),
+        roomId: targetRoom,
+        reactions: updated?.reactions || [],
+      },
+    };
+  } catch (error) {
+    console.error("❌ [handleAddReaction Error]:", error.message);
+    return {
+      success: false,
+      status: 500,
+      error: "Server error while adding reaction",
+    };
+  }
+};
+
+// Returns { success: true, update } with the message's updated reactions, or
+// { success: false, status, error }
+export const handleRemoveReaction = async (socket, data, targetRoom) => {
+  try {
+    const userId = socket.user.userId;
+    const validated = await validateReaction(data, targetRoom);
+    if (!validated.success) return validated;
+    const { messageCollection, message, emoji } = validated;
+
+    await messageCollection.updateOne(
+      { _id: message._id, "reactions.emoji": emoji },
+      { $pull: { "reactions.$.users": userId } }
+    );
+    // Drop emoji entries nobody reacts with anymore
+    await messageCollection.updateOne(
+      { _id: message._id },
+      { $pull: { reactions: { emoji, users: { $size: 0 } } } }
+    );
+
+    const updated = await messageCollection.findOne(
+      { _id: message._id },
+      { projection: { reactions: 1 } }
+    );
+    return {
+      success: true,
+      update: {
+        messageId: message._id.toString(),
+        roomId: targetRoom,
+        reactions: updated?.reactions || [],
+      },
+    };
+  } catch (error) {
+    console.error("❌ [handleRemoveReaction Error]:", error.message);
+    return {
+      success: false,
+      status: 500,
+      error: "Server error while removing reaction",
+    };
+  }
+};
+
+// Returns { receipt, senderIds }, or null when nothing changed or on failure.
+// senderIds are the authors of the messages that just became read.
+export const handleMarkRead = async (socket, data) => {
+  const db = getDB();
+  const messageCollection = db.collection("messages");
+  const readCollection = db.collection("roomReads");
+
+  try {
+    const user = socket.user;
+    const { roomId, messageId } = data || {};
+
+    if (!roomId || typeof roomId !== "string") {
+      console.warn("⚠️ [Validation Failed] Invalid or missing roomId");
+      socket.emit("errorMessage", "Room ID is required");
+      return null;
+    }
+
+    // Mark up to the given message, or up to the latest message in the room
+    const message = messageId
+      ? await messageCollection.findOne({
+          _id: messageIdFilter(messageId),
+          roomId,
+        })
+      : await messageCollection.findOne(
+          { roomId },
+          { sort: { timestamp: -1 } }
+        );
+    if (!message) {
+      if (messageId) {
+        console.warn(
+          `⚠️ [Validation Failed] Message not found for ID: ${messageId} in room: ${roomId}`
+        );
+        socket.emit("errorMessage", "Message not found in this room");
+      }
+      return null;
+    }
+
+    // Read markers only move forward
+    const current = await readCollection.findOne({
+      roomId,
+      userId: user.userId,
+    });
+    if (current && current.lastReadAt >= message.timestamp) {
+      return null;
+    }
+
+    const readAt = new Date();
+    await readCollection.updateOne(
+      { roomId, userId: user.userId },
+      {
+        $set: {
+          lastReadMessageId: message._id.toString(),
+          lastReadAt: message.timestamp,
+          updatedAt: readAt,
+        },
+      },
+      { upsert: true }
+    );
+
+    const timestamp = { $lte: message.timestamp };
+    if (current?.lastReadAt) timestamp.$gt = current.lastReadAt;
+    const senderIds = await messageCollection.distinct("userId", {
+      roomId,
+      timestamp,
+      userId: { $nin: [user.userId, "system"] },
+    });
+
+    return {
+      receipt: {
+        roomId,
+        userId: user.userId,
+        username: user.firstName || "Anonymous",
+        messageId: message._id.toString(),
+        readAt: readAt.toISOString(),
+      },
+      senderIds,
+    };
+  } catch (error) {
+    console.error("❌ [handleMarkRead Error]:", error.message);
+    socket.emit("errorMessage", "Server error while marking room as read");
+    return null;
   }
 };
 
+/**
+ * Record that the socket's user received the given messages. Returns one
+ * entry per message that was newly delivered, for notifying its sender.
+ */
+export const handleMessagesDelivered = async (socket, data) => {
+  const db = getDB();
+  const messageCollection = db.collection("messages");
+
+  try {
+    const user = socket.user;
+    const { roomId, messageIds } = data || {};
+
+    if (!roomId || typeof roomId !== "string") {
+      console.warn("⚠️ [Validation Failed] Invalid or missing roomId");
+      socket.emit("errorMessage", "Room ID is required");
+      return [];
+    }
+    if (
+      !Array.isArray(messageIds) ||
+      messageIds.length === 0 ||
+      messageIds.length > MAX_DELIVERY_BATCH ||
+      messageIds.some((id) => typeof id !== "string" || id.trim() === "")
+    ) {
+      console.warn("⚠️ [Validation Failed] Invalid messageIds");
+      socket.emit(
+        "errorMessage",
+        `messageIds must list between 1 and ${MAX_DELIVERY_BATCH} message IDs`
+      );
+      return [];
+    }
+
+    const pending = await messageCollection
+      .find(
+        {
+          _id: { $in: messageIds.flatMap((id) => messageIdFilter(id).$in) },
+          roomId,
+          userId: { $nin: [user.userId, "system"] },
+          deliveredTo: { $ne: user.userId },
+        },
+        { projection: { userId: 1, deliveredTo: 1 } }
+      )
+      .toArray();
+    if (pending.length === 0) return [];
+
+    await messageCollection.updateMany(
+      { _id: { $in: pending.map((msg) => msg._id) } },
+      { $addToSet: { deliveredTo: user.userId } }
+    );
+
+    const deliveredAt = new Date().toISOString();
+    return pending.map((msg) => ({
+      messageId: msg._id.toString(),
+      roomId,
+      senderId: msg.userId,
+      userId: user.userId,
+      deliveredCount: (msg.deliveredTo?.length || 0) + 1,
+      deliveredAt,
+    }));
+  } catch (error) {
+    console.error("❌ [handleMessagesDelivered Error]:", error.message);
+    socket.emit("errorMessage", "Server error while acknowledging delivery");
+    return [];
+  }
+};
+
+// Latest read marker of the other members of a room, for the sender's read state
+const getOthersReadAt = async (db, roomId, userId) => {
+  const marker = await db
+    .collection("roomReads")
+    .findOne(
+      { roomId, userId: { $ne: userId } },
+      { sort: { lastReadAt: -1 }, projection: { lastReadAt: 1 } }
+    );
+  return marker?.lastReadAt || null;
+};
+
+/**
+ * Messages a reconnecting client missed. `rooms` lists the last message id
+ * the client has per room; each room returns up to MAX_PAGE_LIMIT messages
+ * (thread replies included) and hasMore tells the client to page through
+ * GET /api/messages?after=.
+ */
+export const handleResync = async (socket, rooms) => {
+  const db = getDB();
+  const messageCollection = db.collection("messages");
+  const user = socket.user;
+
+  if (
+    !Array.isArray(rooms) ||
+    rooms.length === 0 ||
+    rooms.length > MAX_RESYNC_ROOMS
+  ) {
+    return {
+      success: false,
+      status: 400,
+      error: `rooms must list between 1 and ${MAX_RESYNC_ROOMS} rooms`,
+    };
+  }
+
+  const results = [];
+  for (const { roomId, lastMessageId } of rooms.map((entry) => entry || {})) {
+    if (!roomId || typeof roomId !== "string") {
+      results.push({ roomId: roomId ?? null, error: "Room ID is required" });
+      continue;
+    }
+
+    const room = await db
+      .collection("rooms")
+      .findOne({ roomId, deletedAt: { $exists: false } });
+    if (!room || !room.users.includes(user.userId)) {
+      results.push({ roomId, error: "Room not found" });
+      continue;
+    }
+
+    const page = await paginateByTimestamp(
+      messageCollection,
+      { roomId },
+      { after: lastMessageId || undefined, limit: MAX_PAGE_LIMIT }
+    );
+    if (page.error) {
+      results.push({ roomId, error: page.error });
+      continue;
+    }
+
+    const othersReadAt = await getOthersReadAt(db, roomId, user.userId);
+    results.push({
+      roomId,
+      messages: page.items.map((msg) =>
+        formatMessage(msg, user.role, user.userId, othersReadAt)
+      ),
+      hasMore: lastMessageId ? page.pageInfo.hasNewer : page.pageInfo.hasOlder,
+    });
+  }
+
+  return { success: true, rooms: results };
+};
+
 export const getLogginUser = async (req, res) => {
   try {
     // Check if req.user is set by authMiddleware
@@ -318,9 +1037,6 @@ export const getMessagesByRoom = async (req, res) => {
   const db = getDB();
   const messageCollection = db.collection("messages");
   const roomCollection = db.collection("rooms");
-  const userCollection = db.collection("users");
-  const employeeCollection = db.collection("admins");
-  const clientCollection = db.collection("clients");
 
   try {
     // Authentication is handled by authMiddleware, so req.user should be populated
@@ -337,7 +1053,7 @@ export const getMessagesByRoom = async (req, res) => {
 
     // Check if the room exists and the user is a member
     const room = await roomCollection.findOne({ roomId });
-    if (!room) {
+    if (!room || room.deletedAt) {
       console.warn(`⚠️ [Validation Failed] Room not found: ${roomId}`);
       return res.status(404).json({ message: "Room not found" });
     }
@@ -352,73 +1068,272 @@ export const getMessagesByRoom = async (req, res) => {
     }
 
     // Fetch user role
-    let role = null;
-    const user = await userCollection.findOne({ _id: new ObjectId(userId) });
-    if (user) {
-      role = "user";
-    } else {
-      const employee = await employeeCollection.findOne({
-        _id: new ObjectId(userId),
+    const role = await resolveUserRole(db, userId);
+    if (!role) {
+      console.warn(`⚠️ [Validation Failed] User not found: ${userId}`);
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    const pageParams = parsePageParams(req.query);
+    if (pageParams.error) {
+      console.warn(`⚠️ [Validation Failed] ${pageParams.error}`);
+      return res.status(400).json({ message: pageParams.error });
+    }
+
+    // Fetch a page of messages for the room, oldest first (thread replies
+    // are fetched separately through the thread route)
+    const page = await paginateByTimestamp(
+      messageCollection,
+      { roomId, parentId: { $exists: false } },
+      pageParams
+    );
+    if (page.error) {
+      console.warn(`⚠️ [Validation Failed] ${page.error}`);
+      return res.status(page.status).json({ message: page.error });
+    }
+
+    // Format messages for frontend
+    const othersReadAt = await getOthersReadAt(db, roomId, userId);
+    const formattedMessages = page.items.map((msg) =>
+      formatMessage(msg, role, userId, othersReadAt)
+    );
+
+    return res.status(200).json({
+      success: true,
+      data: formattedMessages,
+      pageInfo: page.pageInfo,
+    });
+  } catch (error) {
+    console.error("❌ [getMessagesByRoom Error]:", error.message);
+    return res
+      .status(500)
+      .json({ message: "Server error while fetching messages" });
+  }
+};
+
+export const getMentions = async (req, res) => {
+  const db = getDB();
+  const messageCollection = db.collection("messages");
+  const roomCollection = db.collection("rooms");
+
+  try {
+    const userId = req.user.userId;
+
+    const pageParams = parsePageParams(req.query);
+    if (pageParams.error) {
+      console.warn(`⚠️ [Validation Failed] ${pageParams.error}`);
+      return res.status(400).json({ message: pageParams.error });
+    }
+
+    const role = await resolveUserRole(db, userId);
+    if (!role) {
+      console.warn(`⚠️ [Validation Failed] User not found: ${userId}`);
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    // Only rooms the user is still a member of
+    const rooms = await roomCollection
+      .find(
+        { users: userId, deletedAt: { $exists: false } },
+        { projection: { roomId: 1, roomName: 1 } }
+      )
+      .toArray();
+    const roomNames = new Map(rooms.map((room) => [room.roomId, room.roomName]));
+
+    const page = await paginateByTimestamp(
+      messageCollection,
+      {
+        mentionedUserIds: userId,
+        roomId: { $in: [...roomNames.keys()] },
+        companyId: new ObjectId(req.user.companyId),
+      },
+      pageParams,
+      -1
+    );
+    if (page.error) {
+      console.warn(`⚠️ [Validation Failed] ${page.error}`);
+      return res.status(page.status).json({ message: page.error });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: page.items.map((msg) => ({
+        ...formatMessage(msg, role, userId),
+        roomName: roomNames.get(msg.roomId) || null,
+      })),
+      pageInfo: page.pageInfo,
+    });
+  } catch (error) {
+    console.error("❌ [getMentions Error]:", error.message);
+    return res
+      .status(500)
+      .json({ message: "Server error while fetching mentions" });
+  }
+};
+
+export const getThreadMessages = async (req, res) => {
+  const db = getDB();
+  const messageCollection = db.collection("messages");
+  const roomCollection = db.collection("rooms");
+
+  try {
+    const userId = req.user.userId;
+
+    // Validate messageId
+    const { messageId } = req.params;
+    if (!messageId || typeof messageId !== "string" || messageId.trim() === "") {
+      console.warn("⚠️ [Validation Failed] Invalid or missing messageId");
+      return res.status(400).json({
+        message: "Message ID is required and must be a non-empty string",
       });
-      if (employee) {
-        role = "admin";
-      } else {
-        const client = await clientCollection.findOne({
-          _id: new ObjectId(userId),
-        });
-        if (client) {
-          role = "Client";
-        }
-      }
     }
 
+    const parent = await messageCollection.findOne({
+      _id: messageIdFilter(messageId),
+    });
+    if (!parent) {
+      console.warn(`⚠️ [Validation Failed] Message not found: ${messageId}`);
+      return res.status(404).json({ message: "Message not found" });
+    }
+
+    // Replies always point at the thread root
+    const root = parent.parentId
+      ? await messageCollection.findOne({
+          _id: messageIdFilter(parent.parentId),
+        })
+      : parent;
+    if (!root) {
+      console.warn(`⚠️ [Validation Failed] Thread root not found: ${messageId}`);
+      return res.status(404).json({ message: "Thread not found" });
+    }
+
+    // Check if the room exists and the user is a member
+    const room = await roomCollection.findOne({ roomId: root.roomId });
+    if (!room || room.deletedAt) {
+      console.warn(`⚠️ [Validation Failed] Room not found: ${root.roomId}`);
+      return res.status(404).json({ message: "Room not found" });
+    }
+
+    if (!room.users.includes(userId)) {
+      console.warn(
+        `⚠️ [Validation Failed] User ${userId} not authorized for room ${root.roomId}`
+      );
+      return res
+        .status(403)
+        .json({ message: "You are not authorized to access this room" });
+    }
+
+    const role = await resolveUserRole(db, userId);
     if (!role) {
       console.warn(`⚠️ [Validation Failed] User not found: ${userId}`);
       return res.status(404).json({ message: "User not found" });
     }
 
-    // Fetch messages for the room, sorted by timestamp
-    const messages = await messageCollection
-      .find({ roomId })
+    const replies = await messageCollection
+      .find({ roomId: root.roomId, parentId: root._id.toString() })
       .sort({ timestamp: 1 })
       .toArray();
 
-    // Format messages for frontend
-    const formattedMessages = messages.map((msg) => {
-      const message = {
-        _id: msg._id.toString(),
-        userId: msg.userId ? msg.userId.toString() : "unknown",
-        username: msg.username || "Anonymous",
-        message: msg.message,
-        roomId: msg.roomId,
-        companyId: msg.companyId ? msg.companyId.toString() : null,
-        timestamp: msg.timestamp.toISOString(),
-        companyName: msg.companyName || "Unknown Company",
-        updatedAt: msg.updatedAt ? msg.updatedAt.toISOString() : null,
-      };
+    return res.status(200).json({
+      success: true,
+      data: {
+        parent: formatMessage(root, role, userId),
+        replies: replies.map((msg) => formatMessage(msg, role, userId)),
+      },
+    });
+  } catch (error) {
+    console.error("❌ [getThreadMessages Error]:", error.message);
+    return res
+      .status(500)
+      .json({ message: "Server error while fetching thread" });
+  }
+};
 
-      // For clients: Use companyName for admin/user messages, username for client messages
-      if (role === "Client") {
-        message.username =
-          msg.userId === userId ? msg.username : msg.companyName;
-      }
-      // For admins/users: Always use username (firstName)
-      return message;
+export const getMessageHistory = async (req, res) => {
+  const db = getDB();
+  const messageCollection = db.collection("messages");
+  const roomCollection = db.collection("rooms");
+
+  try {
+    const userId = req.user.userId;
+
+    const { messageId } = req.params;
+    if (!messageId || typeof messageId !== "string" || messageId.trim() === "") {
+      console.warn("⚠️ [Validation Failed] Invalid or missing messageId");
+      return res.status(400).json({
+        message: "Message ID is required and must be a non-empty string",
+      });
+    }
+
+    const message = await messageCollection.findOne({
+      _id: messageIdFilter(messageId),
     });
+    if (!message) {
+      console.warn(`⚠️ [Validation Failed] Message not found: ${messageId}`);
+      return res.status(404).json({ message: "Message not found" });
+    }
+
+    // Check if the room exists and the user is a member
+    const room = await roomCollection.findOne({ roomId: message.roomId });
+    if (!room || room.deletedAt) {
+      console.warn(`⚠️ [Validation Failed] Room not found: ${message.roomId}`);
+      return res.status(404).json({ message: "Room not found" });
+    }
+
+    if (!room.users.includes(userId)) {
+      console.warn(
+        `⚠️ [Validation Failed] User ${userId} not authorized for room ${message.roomId}`
+      );
+      return res
+        .status(403)
+        .json({ message: "You are not authorized to access this room" });
+    }
 
+    // Versions stay under a tombstone, but only moderators (room owners and
+    // admins, or message.deleteAny for the company) can still read them
+    if (
+      message.deletedAt &&
+      !canInRoom(room, userId, "message.deleteAny") &&
+      !(await can(req.user, "message.deleteAny"))
+    ) {
+      return res.status(410).json({ message: "This message was deleted" });
+    }
+
+    const role = await resolveUserRole(db, userId);
+    if (!role) {
+      console.warn(`⚠️ [Validation Failed] User not found: ${userId}`);
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    const versions = await db
+      .collection("messageVersions")
+      .find({ messageId: message._id.toString() })
+      .sort({ version: 1 })
+      .toArray();
+
+    // Oldest first; `current` is the text shown in the room today
     return res.status(200).json({
       success: true,
-      data: formattedMessages,
+      data: {
+        current: formatMessage(message, role, userId),
+        versions: versions.map((version) => ({
+          version: version.version,
+          message: version.message,
+          createdAt: new Date(version.createdAt).toISOString(),
+          replacedAt: new Date(version.replacedAt).toISOString(),
+        })),
+      },
     });
   } catch (error) {
-    console.error("❌ [getMessagesByRoom Error]:", error.message);
+    console.error("❌ [getMessageHistory Error]:", error.message);
     return res
       .status(500)
-      .json({ message: "Server error while fetching messages" });
+      .json({ message: "Server error while fetching message history" });
   }
 };
 
-export const handleLeaveRoom = async (socket, roomId) => {
+// Returns { success: true } or { success: false, status, error }
+export const handleLeaveRoom = async (socket, roomId, options = {}) => {
   const db = getDB();
   const roomCollection = db.collection("rooms");
 
@@ -428,33 +1343,35 @@ export const handleLeaveRoom = async (socket, roomId) => {
     // Validate user
     if (!user || !user.userId) {
       console.warn("⚠️ [Validation Failed] User not authenticated");
-      return socket.emit("errorMessage", "Authentication required");
+      return { success: false, status: 401, error: "Authentication required" };
     }
 
     // Validate roomId
     if (!roomId || typeof roomId !== "string" || roomId.trim() === "") {
       console.warn("⚠️ [Validation Failed] Invalid or missing roomId");
-      return socket.emit(
-        "errorMessage",
-        "Room ID is required and must be a non-empty string"
-      );
+      return {
+        success: false,
+        status: 400,
+        error: "Room ID is required and must be a non-empty string",
+      };
     }
 
     // Check if the room exists and matches companyId
-    const room = await roomCollection.findOne({ roomId });
+    let room = await roomCollection.findOne({ roomId });
     if (!room) {
       console.warn(`⚠️ [Validation Failed] Room not found: ${roomId}`);
-      return socket.emit("errorMessage", "Room not found");
+      return { success: false, status: 404, error: "Room not found" };
     }
 
     if (room.companyId !== user.companyId) {
       console.warn(
         `⚠️ [Validation Failed] User ${user.userId} not authorized for company ${room.companyId}`
       );
-      return socket.emit(
-        "errorMessage",
-        "You are not authorized to access this room"
-      );
+      return {
+        success: false,
+        status: 403,
+        error: "You are not authorized to access this room",
+      };
     }
 
     // Check if the user is in the room
@@ -462,28 +1379,58 @@ export const handleLeaveRoom = async (socket, roomId) => {
       console.warn(
         `⚠️ [Validation Failed] User ${user.userId} not in room ${roomId}`
       );
-      return socket.emit("errorMessage", "You are not a member of this room");
+      return {
+        success: false,
+        status: 403,
+        error: "You are not a member of this room",
+      };
     }
 
-    // Prevent creator from leaving (optional)
+    // Reopening a direct room never adds anyone back, so nobody leaves one
+    if (room.type === "direct") {
+      console.warn(`⚠️ [Validation Failed] Room ${roomId} is a direct room`);
+      return {
+        success: false,
+        status: 400,
+        error: "Direct conversations cannot be left",
+      };
+    }
+
+    // The creator has to hand the room over before leaving
     if (room.creator === user.userId) {
-      console.warn(
-        `⚠️ [Validation Failed] Creator ${user.userId} cannot leave room ${roomId}`
+      if (!options.transferTo) {
+        console.warn(
+          `⚠️ [Validation Failed] Creator ${user.userId} cannot leave room ${roomId} without transferring ownership`
+        );
+        return {
+          success: false,
+          status: 409,
+          error: "Room creator must transfer ownership before leaving the room",
+        };
+      }
+
+      const transfer = await transferRoomOwnership(
+        socket.server,
+        user,
+        roomId,
+        options.transferTo,
+        auditSource(socket)
       );
-      return socket.emit("errorMessage", "Room creator cannot leave the room");
+      if (!transfer.success) return transfer;
+      room = transfer.room;
     }
 
     // Remove user from room's user list
     const result = await roomCollection.updateOne(
       { roomId },
-      { $pull: { users: user.userId } }
+      { $pull: { users: user.userId }, $unset: { [`roles.${user.userId}`]: "" } }
     );
 
     if (result.modifiedCount === 0) {
       console.warn(
         `⚠️ [Update Failed] User ${user.userId} not removed from room ${roomId}`
       );
-      return socket.emit("errorMessage", "Failed to leave room");
+      return { success: false, status: 500, error: "Failed to leave room" };
     }
 
     // Check if room is empty and delete if necessary (optional)
@@ -493,7 +1440,7 @@ export const handleLeaveRoom = async (socket, roomId) => {
     }
 
     // Leave the socket room
-    socket.leave(roomId);
+    leaveRoom(socket, roomId);
 
     // Notify the user and others in the room
     socket.emit("roomLeft", {
@@ -508,12 +1455,171 @@ export const handleLeaveRoom = async (socket, roomId) => {
       roomId,
       roomName: room.roomName,
     });
+    await recordAudit({
+      action: "room.member.leave",
+      actor: user,
+      roomId,
+      target: { type: "user", id: user.userId },
+      before: { users: room.users },
+      after: { users: updatedRoom.users },
+      source: auditSource(socket),
+    });
+    return { success: true };
   } catch (error) {
     console.error("❌ [handleLeaveRoom Error]:", error.message);
-    socket.emit("errorMessage", "Server error while leaving room");
+    return {
+      success: false,
+      status: 500,
+      error: "Server error while leaving room",
+    };
   }
 };
 
+/**
+ * Permanently delete a room with its S3 voice files, S3 files and messages.
+ * `user` must belong to the room's company; `source` is recorded in the
+ * audit log.
+ */
+export const purgeRoom = async ({ room, user, io, source }) => {
+  const db = getDB();
+  const roomId = room.roomId;
+
+  // Delete all S3 voice files for the room
+  const voiceDeletionResult = await deleteS3VoicesByRoom({ user, roomId, io });
+
+  // Delete all S3 files for the room
+  const fileDeletionResult = await deleteS3FilesByRoom({ user, roomId, io });
+
+  // Delete all messages for the room
+  const messageDeletionResult = await db
+    .collection("messages")
+    .deleteMany({ roomId });
+  await db.collection("messageVersions").deleteMany({ roomId });
+  await releaseRoomStorage(room.companyId, roomId);
+
+  // Delete the room from MongoDB
+  const deleteResult = await db.collection("rooms").deleteOne({ roomId });
+  if (deleteResult.deletedCount === 0) {
+    throw new Error("Failed to delete room from rooms collection");
+  }
+  await uncacheRoom(roomId);
+
+  // Emit Socket.IO event to notify clients
+  io.to(roomId).emit("roomDeleted", {
+    roomId,
+    userId: user.userId,
+    timestamp: new Date().toISOString(),
+  });
+
+  const result = {
+    deletedRoomCount: deleteResult.deletedCount,
+    deletedVoiceCount: voiceDeletionResult.deletedCount,
+    deletedFileCount: fileDeletionResult.deletedCount,
+    deletedMessageCount: messageDeletionResult.deletedCount,
+  };
+  await recordAudit({
+    action: "room.purge",
+    actor: user,
+    companyId: room.companyId,
+    roomId,
+    target: { type: "room", id: roomId },
+    before: { roomName: room.roomName, users: room.users },
+    metadata: result,
+    source,
+  });
+  return result;
+};
+
+/**
+ * Delete a room on behalf of its creator: soft delete during the grace
+ * period (ROOM_DELETE_GRACE_HOURS), or purge right away when there is none.
+ * Shared by the REST route and the deleteRoom socket event. Returns
+ * { success: true, purgeAt } or { success: true, purged } for an immediate
+ * purge, or { success: false, status, error }.
+ */
+export const deleteRoom = async (io, user, roomId, source) => {
+  if (!roomId || typeof roomId !== "string") {
+    console.warn("⚠️ [Validation Failed] No roomId provided");
+    return { success: false, status: 400, error: "roomId is required" };
+  }
+
+  const roomCollection = getDB().collection("rooms");
+
+  // Verify room exists and user is authorized
+  const room = await roomCollection.findOne({ roomId });
+  if (!room || room.deletedAt) {
+    console.warn(`⚠️ [Validation Failed] Room not found: ${roomId}`);
+    return { success: false, status: 404, error: "Room not found" };
+  }
+  if (String(room.companyId) !== String(user.companyId)) {
+    console.warn(
+      `⚠️ [Validation Failed] Unauthorized company access for user ${user.userId}: ${room.companyId}`
+    );
+    return { success: false, status: 403, error: "Not authorized for this company" };
+  }
+  // Direct rooms are reopened rather than restored, so they are never deleted
+  if (room.type === "direct") {
+    console.warn(`⚠️ [Validation Failed] Room ${roomId} is a direct room`);
+    return {
+      success: false,
+      status: 400,
+      error: "Direct conversations cannot be deleted",
+    };
+  }
+  // Check if the user is the creator of the room
+  if (String(room.creator) !== String(user.userId)) {
+    console.warn(
+      `⚠️ [Validation Failed] User ${user.userId} is not the creator of room ${roomId}`
+    );
+    return {
+      success: false,
+      status: 403,
+      error: "Only the room creator can delete this room",
+    };
+  }
+
+  // Keep the room restorable during the grace period; the purge job
+  // removes it afterwards
+  const graceHours = getRoomDeleteGraceHours();
+  if (graceHours > 0) {
+    const deletedAt = new Date();
+    const purgeAt = new Date(deletedAt.getTime() + graceHours * 3600 * 1000);
+    await roomCollection.updateOne(
+      { roomId },
+      { $set: { deletedAt, deletedBy: user.userId, purgeAt } }
+    );
+    await uncacheRoom(roomId);
+    await recordAudit({
+      action: "room.delete",
+      actor: user,
+      roomId,
+      target: { type: "room", id: roomId },
+      before: { roomName: room.roomName, users: room.users },
+      after: { deletedAt, purgeAt },
+      source,
+    });
+
+    io.to(roomId).emit("roomDeleted", {
+      roomId,
+      userId: user.userId,
+      purgeAt: purgeAt.toISOString(),
+      timestamp: deletedAt.toISOString(),
+    });
+    return { success: true, purgeAt };
+  }
+
+  await recordAudit({
+    action: "room.delete",
+    actor: user,
+    roomId,
+    target: { type: "room", id: roomId },
+    before: { roomName: room.roomName, users: room.users },
+    source,
+  });
+  const purged = await purgeRoom({ room, user, io, source });
+  return { success: true, purged };
+};
+
 export const handleDeleteRoom = async (req, res) => {
   try {
     // Check if req.user is set by authMiddleware
@@ -537,79 +1643,26 @@ export const handleDeleteRoom = async (req, res) => {
 
     // Get roomId from URL parameter
     const { roomId } = req.params;
-    if (!roomId) {
-      console.warn("No roomId provided");
-      return res.status(400).json({ error: "roomId is required" });
-    }
-
-    const db = getDB();
-    const roomCollection = db.collection("rooms");
-
-    // Verify room exists and user is authorized
-    const room = await roomCollection.findOne({ roomId });
-    if (!room) {
-      console.warn(`Room not found: ${roomId}`);
-      return res.status(404).json({ error: "Room not found" });
-    }
-    if (String(room.companyId) !== String(req.user.companyId)) {
-      console.warn(
-        `Unauthorized company access for user ${req.user.userId}: ${room.companyId}`
-      );
-      return res.status(403).json({ error: "Not authorized for this company" });
-    }
-    // Check if the user is the creator of the room
-    if (String(room.creator) !== String(req.user.userId)) {
-      console.warn(
-        `User ${req.user.userId} is not the creator of room ${roomId}`
-      );
-      return res
-        .status(403)
-        .json({ error: "Only the room creator can delete this room" });
-    }
-
-    // Delete all S3 voice files for the room
-    const voiceDeletionResult = await deleteS3VoicesByRoom({
-      user: req.user,
-      roomId,
-      app: req.app,
-    });
-
-    // Delete all S3 files for the room
-    const fileDeletionResult = await deleteS3FilesByRoom({
-      user: req.user,
+    const result = await deleteRoom(
+      req.app.get("io"),
+      req.user,
       roomId,
-      app: req.app,
-    });
-
-    // Delete all messages for the room
-    const messageCollection = db.collection("messages");
-    const messageDeletionResult = await messageCollection.deleteMany({
-      roomId,
-    });
-
-    // Delete the room from MongoDB
-    const deleteResult = await roomCollection.deleteOne({ roomId });
-    if (deleteResult.deletedCount === 0) {
-      console.warn(`Failed to delete room: ${roomId}`);
-      return res
-        .status(500)
-        .json({ error: "Failed to delete room from rooms collection" });
+      auditSource(req)
+    );
+    if (!result.success) {
+      return res.status(result.status).json({ error: result.error });
     }
 
-    // Emit Socket.IO event to notify clients
-    const io = req.app.get("io");
-    io.to(roomId).emit("roomDeleted", {
-      roomId,
-      userId: req.user.userId,
-      timestamp: new Date().toISOString(),
-    });
-
+    if (result.purgeAt) {
+      return res.status(200).json({
+        message: `Room ${roomId} scheduled for deletion on ${result.purgeAt.toISOString()}`,
+        purgeAt: result.purgeAt.toISOString(),
+      });
+    }
+    const { purged } = result;
     res.status(200).json({
-      message: `Successfully deleted room ${roomId}, ${voiceDeletionResult.deletedCount} voice files, ${fileDeletionResult.deletedCount} files, and ${messageDeletionResult.deletedCount} messages`,
-      deletedRoomCount: deleteResult.deletedCount,
-      deletedVoiceCount: voiceDeletionResult.deletedCount,
-      deletedFileCount: fileDeletionResult.deletedCount,
-      deletedMessageCount: messageDeletionResult.deletedCount,
+      message: `Successfully deleted room ${roomId}, ${purged.deletedVoiceCount} voice files, ${purged.deletedFileCount} files, and ${purged.deletedMessageCount} messages`,
+      ...purged,
     });
   } catch (error) {
     console.error("❌ [Delete Room Error]:", error.message, error.stack);
@@ -632,22 +1685,89 @@ export const getRooms = async (req, res) => {
     const db = getDB();
     const roomCollection = db.collection("rooms");
 
-    // Query rooms where the user is in the users array and companyId matches
+    // Query rooms where the user is in the users array and companyId matches;
+    // rooms store companyId as an ObjectId or as a string, so match both.
+    // Archived rooms are only listed with ?archived=true
+    const showArchived = req.query.archived === "true";
     const rooms = await roomCollection
       .find({
         users: req.user.userId,
-        companyId: new ObjectId(req.user.companyId),
+        companyId: {
+          $in: [new ObjectId(req.user.companyId), String(req.user.companyId)],
+        },
+        deletedAt: { $exists: false },
+        archivedAt: { $exists: showArchived },
+      })
+      .toArray();
+
+    const role = await resolveUserRole(db, req.user.userId);
+
+    // Read markers of the user for the returned rooms
+    const reads = await db
+      .collection("roomReads")
+      .find({
+        userId: req.user.userId,
+        roomId: { $in: rooms.map((room) => room.roomId) },
       })
       .toArray();
+    const lastReadByRoom = new Map(
+      reads.map((read) => [read.roomId, read.lastReadAt])
+    );
+
+    const messageCollection = db.collection("messages");
+    const data = await Promise.all(
+      rooms.map(async (storedRoom) => {
+        const room = await withAvatarUrl(storedRoom);
+        const lastMessage = await messageCollection.findOne(
+          { roomId: room.roomId, parentId: { $exists: false } },
+          { sort: { timestamp: -1 } }
+        );
+
+        // Deleted messages and system notices never raise the badge
+        const unreadFilter = {
+          roomId: room.roomId,
+          parentId: { $exists: false },
+          deletedAt: { $exists: false },
+          userId: { $nin: [req.user.userId, "system"] },
+        };
+        const lastReadAt = lastReadByRoom.get(room.roomId);
+        if (lastReadAt) {
+          unreadFilter.timestamp = { $gt: lastReadAt };
+        }
+        const unreadCount = await messageCollection.countDocuments(
+          unreadFilter
+        );
+
+        const type = room.type || "group";
+        return {
+          roomId: room.roomId,
+          roomName: room.roomName,
+          users: room.users,
+          creator: room.creator,
+          roles: role === "Client" ? {} : room.roles || {},
+          myRole: getRoomRole(room, req.user.userId),
+          type,
+          description: room.description || "",
+          topic: room.topic || "",
+          avatarUrl: room.avatarUrl || null,
+          archived: Boolean(room.archivedAt),
+          archivedAt: room.archivedAt ? room.archivedAt.toISOString() : null,
+          // The other participant of a direct conversation
+          peerId:
+            type === "direct"
+              ? room.users.find((id) => id !== req.user.userId) || null
+              : undefined,
+          unreadCount,
+          lastMessage: lastMessage
+            ? formatMessage(lastMessage, role, req.user.userId)
+            : null,
+        };
+      })
+    );
 
     return res.status(200).json({
       success: true,
-      data: rooms.map((room) => ({
-        roomId: room.roomId,
-        roomName: room.roomName,
-        users: room.users,
-        creator: room.creator,
-      })),
+      data,
     });
   } catch (error) {
     console.error("❌ [Get Rooms Error]:", error.message, error.stack);
@@ -0,0 +1,65 @@
+import { getDB } from "../services/db.js";
+import {
+  formatPresenceForRole,
+  getCompanyPresence,
+} from "../services/presence.js";
+import { resolveUserRole } from "../utils/message.utils.js";
+
+const MAX_PRESENCE_USER_IDS = 200;
+
+export const getPresence = async (req, res) => {
+  try {
+    // Check if req.user is set by authMiddleware
+    if (!req.user) {
+      console.warn("No authenticated user found in req.user");
+      return res
+        .status(401)
+        .json({ message: "Unauthorized: No user data found" });
+    }
+
+    const { userId, companyId } = req.user;
+    if (!companyId) {
+      console.warn(`No companyId found for user: ${userId}`);
+      return res
+        .status(400)
+        .json({ message: "Invalid user data: companyId not found" });
+    }
+
+    // ?userIds=a,b,c narrows the list; otherwise the whole company
+    let userIds = null;
+    if (req.query.userIds !== undefined) {
+      userIds = [
+        ...new Set(
+          String(req.query.userIds)
+            .split(",")
+            .map((id) => id.trim())
+            .filter(Boolean)
+        ),
+      ];
+      if (userIds.length === 0 || userIds.length > MAX_PRESENCE_USER_IDS) {
+        return res.status(400).json({
+          message: `userIds must list between 1 and ${MAX_PRESENCE_USER_IDS} users`,
+        });
+      }
+    }
+
+    const role = await resolveUserRole(getDB(), userId);
+    if (!role) {
+      console.warn(`⚠️ [Validation Failed] User not found: ${userId}`);
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    const io = req.app.get("io");
+    const entries = await getCompanyPresence(io, companyId, userIds);
+
+    return res.status(200).json({
+      success: true,
+      data: formatPresenceForRole(entries, role),
+    });
+  } catch (error) {
+    console.error("❌ [getPresence Error]:", error.message);
+    return res
+      .status(500)
+      .json({ message: "Server error while fetching presence" });
+  }
+};
@@ -0,0 +1,1231 @@
+import multer from "multer";
+import path from "path";
+import { ObjectId } from "mongodb";
+import { getDB } from "../services/db.js";
+import { getStorage } from "../services/storage/index.js";
+import { cacheRoom, removeOnlineUser } from "../services/roomCache.js";
+import {
+  emitToRoom,
+  usersJoinRoom,
+  usersLeaveRoom,
+} from "../services/broadcast.js";
+import { auditSource, recordAudit } from "../services/audit.js";
+import {
+  announceRoomToUsers,
+  canInRoom,
+  formatRoomForRole,
+  getRoomRole,
+  getUserNames,
+  insertSystemMessage,
+  validateCompanyUsers,
+  validatePlanForRoomCreation,
+  ROOM_ROLES,
+} from "../services/room.js";
+
+const DIRECT_ROOM_NAME = "Direct message";
+const MAX_ROOM_NAME_LENGTH = 100;
+const MAX_TOPIC_LENGTH = 250;
+const MAX_DESCRIPTION_LENGTH = 1000;
+const MAX_SLOW_MODE_SECONDS = 60 * 60;
+
+const avatarUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 2 * 1024 * 1024 }, // 2MB limit
+  fileFilter: (req, file, cb) => {
+    const allowedTypes = /jpeg|jpg|png|webp|gif/;
+    const extname = allowedTypes.test(
+      path.extname(file.originalname).toLowerCase()
+    );
+    const mimetype = allowedTypes.test(file.mimetype);
+    if (extname && mimetype) {
+      return cb(null, true);
+    } else {
+      cb(new Error("Only JPEG, PNG, WebP and GIF avatars are allowed!"), false);
+    }
+  },
+});
+
+export const roomAvatarUploadMiddleware = (req, res, next) => {
+  avatarUpload.single("avatar")(req, res, (err) => {
+    if (err instanceof multer.MulterError) {
+      console.error("❌ [Multer Error]:", err.message, err.code);
+      if (err.code === "LIMIT_FILE_SIZE") {
+        return res
+          .status(400)
+          .json({ error: "Avatar too large. Maximum size is 2MB." });
+      }
+      return res.status(400).json({ error: `Multer error: ${err.message}` });
+    } else if (err) {
+      console.error("❌ [Avatar Upload Error]:", err.message);
+      return res.status(400).json({ error: err.message });
+    }
+    next();
+  });
+};
+
+// Attach a presigned avatarUrl to a room document
+export const withAvatarUrl = async (room) => {
+  if (!room?.avatar?.s3Key) return room;
+  try {
+    const avatarUrl = await getStorage().presignGet(room.avatar.s3Key, {
+      expiresIn: 3600,
+    });
+    return { ...room, avatarUrl };
+  } catch (error) {
+    console.error(
+      `❌ [Avatar URL Error] Room: ${room.roomId}, Key: ${room.avatar.s3Key}`,
+      error.message
+    );
+    return room;
+  }
+};
+
+const directKeyFor = (userIdA, userIdB) => [userIdA, userIdB].sort().join(":");
+
+/**
+ * Find or create the direct (1:1) room between `user` and `targetUserId`.
+ * A soft-deleted direct room is reopened live, with `reopened` set.
+ * Returns { success: true, room, created, reopened } or
+ * { success: false, status, error }.
+ */
+export const findOrCreateDirectRoom = async (user, targetUserId) => {
+  const db = getDB();
+  const roomCollection = db.collection("rooms");
+
+  if (
+    !targetUserId ||
+    typeof targetUserId !== "string" ||
+    !ObjectId.isValid(targetUserId)
+  ) {
+    console.warn("⚠️ [Validation Failed] Invalid or missing target user ID");
+    return { success: false, status: 400, error: "Invalid or missing user ID" };
+  }
+  if (targetUserId === user.userId) {
+    console.warn(`⚠️ [Validation Failed] User ${user.userId} tried to DM self`);
+    return {
+      success: false,
+      status: 400,
+      error: "You cannot open a direct conversation with yourself",
+    };
+  }
+
+  const planValidation = await validatePlanForRoomCreation(user.companyId, [
+    targetUserId,
+  ]);
+  if (!planValidation.allowed) {
+    console.error(
+      `Plan validation failed for companyId: ${user.companyId}, error: ${planValidation.error}`
+    );
+    return { success: false, status: 403, error: planValidation.error };
+  }
+
+  const validUserIds = await validateCompanyUsers(user.companyId, [
+    targetUserId,
+  ]);
+  if (!validUserIds.includes(targetUserId)) {
+    console.error("Validation failed: User does not belong to company", {
+      targetUserId,
+    });
+    return {
+      success: false,
+      status: 403,
+      error: "User does not belong to your company.",
+    };
+  }
+
+  const directKey = directKeyFor(user.userId, targetUserId);
+  // The upsert below matches deleted rooms too, so clear the deletion
+  // instead of handing out a room the purge job is about to remove
+  const revived = await roomCollection.updateOne(
+    { type: "direct", directKey, deletedAt: { $exists: true } },
+    { $unset: { deletedAt: "", deletedBy: "", purgeAt: "" } }
+  );
+  const reopened = revived.modifiedCount > 0;
+  if (reopened) {
+    console.log(`Direct room reopened: directKey=${directKey}`);
+  }
+
+  const roomId = `room_${Date.now()}_${Math.random()
+    .toString(36)
+    .substr(2, 9)}`;
+
+  let result;
+  try {
+    result = await roomCollection.findOneAndUpdate(
+      { type: "direct", directKey },
+      {
+        $setOnInsert: {
+          roomId,
+          roomName: DIRECT_ROOM_NAME,
+          type: "direct",
+          directKey,
+          users: [user.userId, targetUserId],
+          creator: user.userId,
+          companyId: user.companyId,
+          createdAt: new Date(),
+        },
+      },
+      { upsert: true, returnDocument: "after", includeResultMetadata: true }
+    );
+  } catch (error) {
+    // A concurrent open created the room first
+    if (error.code !== 11000) throw error;
+    const room = await roomCollection.findOne({ type: "direct", directKey });
+    return { success: true, room, created: false, reopened };
+  }
+
+  return {
+    success: true,
+    room: result.value,
+    created: !result.lastErrorObject?.updatedExisting,
+    reopened,
+  };
+};
+
+/**
+ * Open a direct room and notify both users. Shared by the openDirect socket
+ * event and the REST route.
+ */
+export const openDirectRoom = async (io, user, targetUserId, source) => {
+  const result = await findOrCreateDirectRoom(user, targetUserId);
+  if (!result.success) return result;
+
+  const { room, created, reopened } = result;
+  await cacheRoom(room);
+  if (reopened) {
+    await recordAudit({
+      action: "room.restore",
+      actor: user,
+      roomId: room.roomId,
+      target: { type: "room", id: room.roomId },
+      source,
+    });
+    await announceRoomToUsers(io, room, room.users);
+  } else if (created) {
+    console.log(`Direct room created: roomId=${room.roomId}, users=`, room.users);
+    await recordAudit({
+      action: "room.create",
+      actor: user,
+      roomId: room.roomId,
+      target: { type: "room", id: room.roomId },
+      after: { type: "direct", users: room.users },
+      source,
+    });
+    await announceRoomToUsers(io, room, room.users);
+  } else {
+    // Make sure the caller's sockets are in the room
+    usersJoinRoom(io, [user.userId], room.roomId);
+  }
+  return result;
+};
+
+export const openDirect = async (req, res) => {
+  try {
+    // Check if req.user is set by authMiddleware
+    if (!req.user) {
+      console.warn("No authenticated user found in req.user");
+      return res
+        .status(401)
+        .json({ error: "No authenticated user, authorization denied" });
+    }
+
+    const result = await openDirectRoom(
+      req.app.get("io"),
+      req.user,
+      req.body?.userId,
+      auditSource(req)
+    );
+    if (!result.success) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    return res.status(result.created ? 201 : 200).json({
+      success: true,
+      data: {
+        ...formatRoomForRole(result.room, req.user.role),
+        created: result.created,
+      },
+    });
+  } catch (error) {
+    console.error("❌ [Open Direct Error]:", error.message, error.stack);
+    return res
+      .status(500)
+      .json({ error: `Failed to open direct conversation: ${error.message}` });
+  }
+};
+
+// Load a group room the caller is allowed to manage with `action`.
+// Archived rooms are read-only unless `allowArchived` is set, deleted rooms
+// are only visible with `allowDeleted`.
+const loadManagedRoom = async (
+  user,
+  roomId,
+  action,
+  deniedError,
+  { allowArchived = false, allowDeleted = false } = {}
+) => {
+  const db = getDB();
+  if (!roomId || typeof roomId !== "string" || roomId.trim() === "") {
+    console.warn("⚠️ [Validation Failed] Invalid or missing roomId");
+    return {
+      success: false,
+      status: 400,
+      error: "Room ID is required and must be a non-empty string",
+    };
+  }
+
+  const room = await db.collection("rooms").findOne({ roomId });
+  if (!room || (room.deletedAt && !allowDeleted)) {
+    console.warn(`⚠️ [Validation Failed] Room not found: ${roomId}`);
+    return { success: false, status: 404, error: "Room not found" };
+  }
+  if (room.archivedAt && !allowArchived) {
+    console.warn(`⚠️ [Validation Failed] Room ${roomId} is archived`);
+    return {
+      success: false,
+      status: 409,
+      error: "This room is archived and read-only",
+    };
+  }
+  if (String(room.companyId) !== String(user.companyId)) {
+    console.warn(
+      `Unauthorized company access for user ${user.userId}: ${room.companyId}`
+    );
+    return {
+      success: false,
+      status: 403,
+      error: "Not authorized for this company",
+    };
+  }
+  if (room.type === "direct") {
+    console.warn(`⚠️ [Validation Failed] Room ${roomId} is a direct room`);
+    return {
+      success: false,
+      status: 400,
+      error: "Direct conversations cannot be changed",
+    };
+  }
+  if (!canInRoom(room, user.userId, action)) {
+    console.warn(
+      `User ${user.userId} (role=${getRoomRole(room, user.userId)}) cannot ${action} in room ${roomId}`
+    );
+    return { success: false, status: 403, error: deniedError };
+  }
+  return { success: true, room };
+};
+
+/**
+ * Add members to an existing room. Shared by the addMembers socket event
+ * and the REST route.
+ */
+export const addRoomMembers = async (io, user, roomId, userIds, source) => {
+  const db = getDB();
+  const roomCollection = db.collection("rooms");
+
+  if (!Array.isArray(userIds) || userIds.length === 0) {
+    console.warn("⚠️ [Validation Failed] Invalid or missing userIds");
+    return { success: false, status: 400, error: "Invalid users." };
+  }
+
+  const loaded = await loadManagedRoom(
+    user,
+    roomId,
+    "members.manage",
+    "Only room owners and admins can manage members"
+  );
+  if (!loaded.success) return loaded;
+  const { room } = loaded;
+
+  const newUserIds = [...new Set(userIds)].filter(
+    (id) => !room.users.includes(id)
+  );
+  if (newUserIds.length === 0) {
+    return {
+      success: false,
+      status: 400,
+      error: "Users are already members of this room.",
+    };
+  }
+
+  // Same limits as room creation, applied to the resulting member list
+  const planValidation = await validatePlanForRoomCreation(
+    user.companyId,
+    [...room.users, ...newUserIds].filter((id) => id !== room.creator)
+  );
+  if (!planValidation.allowed) {
+    console.error(
+      `Plan validation failed for companyId: ${user.companyId}, error: ${planValidation.error}`
+    );
+    return { success: false, status: 403, error: planValidation.error };
+  }
+
+  const validUserIds = await validateCompanyUsers(user.companyId, newUserIds);
+  const invalidUserIds = newUserIds.filter((id) => !validUserIds.includes(id));
+  if (invalidUserIds.length > 0) {
+    console.error("Validation failed: Some users do not belong to company", {
+      invalidUserIds,
+    });
+    return {
+      success: false,
+      status: 403,
+      error: "Some users do not belong to your company.",
+    };
+  }
+
+  await roomCollection.updateOne(
+    { roomId },
+    { $addToSet: { users: { $each: newUserIds } } }
+  );
+  const updatedRoom = await roomCollection.findOne({ roomId });
+  await cacheRoom(updatedRoom);
+
+  await announceRoomToUsers(io, await withAvatarUrl(updatedRoom), newUserIds);
+
+  const names = await getUserNames(newUserIds);
+  await insertSystemMessage(
+    io,
+    updatedRoom,
+    `${user.firstName || "Someone"} added ${names.join(", ")} to the room`
+  );
+
+  console.log(`Members added: roomId=${roomId}, users=`, newUserIds);
+  await recordAudit({
+    action: "room.member.add",
+    actor: user,
+    roomId,
+    target: { type: "users", id: newUserIds.join(",") },
+    before: { users: room.users },
+    after: { users: updatedRoom.users },
+    source,
+  });
+  return { success: true, room: updatedRoom, addedUserIds: newUserIds };
+};
+
+/**
+ * Remove a member from an existing room. Shared by the removeMember socket
+ * event and the REST route.
+ */
+export const removeRoomMember = async (io, user, roomId, memberId, source) => {
+  const db = getDB();
+  const roomCollection = db.collection("rooms");
+
+  if (!memberId || typeof memberId !== "string") {
+    console.warn("⚠️ [Validation Failed] Invalid or missing member ID");
+    return { success: false, status: 400, error: "Invalid or missing user ID" };
+  }
+
+  const loaded = await loadManagedRoom(
+    user,
+    roomId,
+    "members.manage",
+    "Only room owners and admins can manage members"
+  );
+  if (!loaded.success) return loaded;
+  const { room } = loaded;
+
+  if (!room.users.includes(memberId)) {
+    return {
+      success: false,
+      status: 404,
+      error: "User is not a member of this room",
+    };
+  }
+  if (memberId === room.creator) {
+    return {
+      success: false,
+      status: 400,
+      error: "Room creator cannot be removed from the room",
+    };
+  }
+  if (
+    getRoomRole(room, memberId) === "admin" &&
+    getRoomRole(room, user.userId) !== "owner"
+  ) {
+    return {
+      success: false,
+      status: 403,
+      error: "Only the room owner can remove admins",
+    };
+  }
+
+  await roomCollection.updateOne(
+    { roomId },
+    { $pull: { users: memberId }, $unset: { [`roles.${memberId}`]: "" } }
+  );
+  const updatedRoom = await roomCollection.findOne({ roomId });
+  await cacheRoom(updatedRoom);
+  await removeOnlineUser(roomId, memberId);
+
+  usersLeaveRoom(io, [memberId], roomId);
+  io.to(memberId).emit("removedFromRoom", {
+    roomId,
+    roomName: room.roomName,
+    removedBy: user.userId,
+    timestamp: new Date().toISOString(),
+  });
+
+  const [name] = await getUserNames([memberId]);
+  await insertSystemMessage(
+    io,
+    updatedRoom,
+    `${user.firstName || "Someone"} removed ${name} from the room`
+  );
+
+  console.log(`Member removed: roomId=${roomId}, user=${memberId}`);
+  await recordAudit({
+    action: "room.member.remove",
+    actor: user,
+    roomId,
+    target: { type: "user", id: memberId },
+    before: { users: room.users, role: getRoomRole(room, memberId) },
+    after: { users: updatedRoom.users },
+    source,
+  });
+  return { success: true, room: updatedRoom, removedUserId: memberId };
+};
+
+export const addMembers = async (req, res) => {
+  try {
+    // Check if req.user is set by authMiddleware
+    if (!req.user) {
+      console.warn("No authenticated user found in req.user");
+      return res
+        .status(401)
+        .json({ error: "No authenticated user, authorization denied" });
+    }
+
+    const result = await addRoomMembers(
+      req.app.get("io"),
+      req.user,
+      req.params.roomId,
+      req.body?.userIds,
+      auditSource(req)
+    );
+    if (!result.success) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        ...formatRoomForRole(result.room, req.user.role),
+        addedUserIds: result.addedUserIds,
+      },
+    });
+  } catch (error) {
+    console.error("❌ [Add Members Error]:", error.message, error.stack);
+    return res
+      .status(500)
+      .json({ error: `Failed to add members: ${error.message}` });
+  }
+};
+
+export const removeMember = async (req, res) => {
+  try {
+    // Check if req.user is set by authMiddleware
+    if (!req.user) {
+      console.warn("No authenticated user found in req.user");
+      return res
+        .status(401)
+        .json({ error: "No authenticated user, authorization denied" });
+    }
+
+    const result = await removeRoomMember(
+      req.app.get("io"),
+      req.user,
+      req.params.roomId,
+      req.params.userId,
+      auditSource(req)
+    );
+    if (!result.success) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        ...formatRoomForRole(result.room, req.user.role),
+        removedUserId: result.removedUserId,
+      },
+    });
+  } catch (error) {
+    console.error("❌ [Remove Member Error]:", error.message, error.stack);
+    return res
+      .status(500)
+      .json({ error: `Failed to remove member: ${error.message}` });
+  }
+};
+
+const ROLE_LABELS = {
+  admin: "an admin",
+  member: "a member",
+  readonly: "read-only",
+};
+
+// Broadcast a role change to members; clients do not see room roles
+const emitRoleUpdate = (io, roomId, payload) =>
+  emitToRoom(io, roomId, "roomRoleUpdated", (recipient) =>
+    recipient.role === "Client" ? null : payload
+  );
+
+/**
+ * Change the role of a room member (admin, member or read-only). Only the
+ * owner can change roles; ownership moves through transferRoomOwnership.
+ */
+export const setRoomMemberRole = async (
+  io,
+  user,
+  roomId,
+  memberId,
+  role,
+  source
+) => {
+  const db = getDB();
+  const roomCollection = db.collection("rooms");
+
+  if (!ROOM_ROLES.includes(role) || role === "owner") {
+    console.warn(`⚠️ [Validation Failed] Invalid room role: ${role}`);
+    return {
+      success: false,
+      status: 400,
+      error: "Role must be one of admin, member or readonly",
+    };
+  }
+
+  const loaded = await loadManagedRoom(
+    user,
+    roomId,
+    "roles.manage",
+    "Only the room owner can change roles"
+  );
+  if (!loaded.success) return loaded;
+  const { room } = loaded;
+
+  if (!room.users.includes(memberId)) {
+    return {
+      success: false,
+      status: 404,
+      error: "User is not a member of this room",
+    };
+  }
+  if (memberId === room.creator) {
+    return {
+      success: false,
+      status: 400,
+      error: "Transfer ownership to change the owner's role",
+    };
+  }
+
+  const update =
+    role === "member"
+      ? { $unset: { [`roles.${memberId}`]: "" } }
+      : { $set: { [`roles.${memberId}`]: role } };
+  await roomCollection.updateOne({ roomId }, update);
+  const updatedRoom = await roomCollection.findOne({ roomId });
+  await cacheRoom(updatedRoom);
+
+  await emitRoleUpdate(io, roomId, { roomId, userId: memberId, role });
+
+  const [name] = await getUserNames([memberId]);
+  await insertSystemMessage(
+    io,
+    updatedRoom,
+    `${user.firstName || "Someone"} made ${name} ${ROLE_LABELS[role]}`
+  );
+
+  console.log(`Role updated: roomId=${roomId}, user=${memberId}, role=${role}`);
+  await recordAudit({
+    action: "room.member.role",
+    actor: user,
+    roomId,
+    target: { type: "user", id: memberId },
+    before: { role: getRoomRole(room, memberId) },
+    after: { role },
+    source,
+  });
+  return { success: true, room: updatedRoom, userId: memberId, role };
+};
+
+/**
+ * Hand the room over to another member. The previous owner stays in the
+ * room as an admin.
+ */
+export const transferRoomOwnership = async (
+  io,
+  user,
+  roomId,
+  newOwnerId,
+  source
+) => {
+  const db = getDB();
+  const roomCollection = db.collection("rooms");
+
+  if (!newOwnerId || typeof newOwnerId !== "string") {
+    console.warn("⚠️ [Validation Failed] Invalid or missing new owner ID");
+    return { success: false, status: 400, error: "Invalid or missing user ID" };
+  }
+
+  const loaded = await loadManagedRoom(
+    user,
+    roomId,
+    "roles.manage",
+    "Only the room owner can transfer ownership"
+  );
+  if (!loaded.success) return loaded;
+  const { room } = loaded;
+
+  if (newOwnerId === room.creator) {
+    return {
+      success: false,
+      status: 400,
+      error: "User already owns this room",
+    };
+  }
+  if (!room.users.includes(newOwnerId)) {
+    return {
+      success: false,
+      status: 404,
+      error: "User is not a member of this room",
+    };
+  }
+
+  // `creator` keeps meaning "owner" for existing clients
+  await roomCollection.updateOne(
+    { roomId, creator: room.creator },
+    {
+      $set: { creator: newOwnerId, [`roles.${room.creator}`]: "admin" },
+      $unset: { [`roles.${newOwnerId}`]: "" },
+    }
+  );
+  const updatedRoom = await roomCollection.findOne({ roomId });
+  await cacheRoom(updatedRoom);
+
+  await emitRoleUpdate(io, roomId, { roomId, userId: newOwnerId, role: "owner" });
+  await emitRoleUpdate(io, roomId, { roomId, userId: room.creator, role: "admin" });
+
+  const [name] = await getUserNames([newOwnerId]);
+  await insertSystemMessage(
+    io,
+    updatedRoom,
+    `${user.firstName || "Someone"} transferred ownership of the room to ${name}`
+  );
+
+  console.log(
+    `Ownership transferred: roomId=${roomId}, from=${room.creator}, to=${newOwnerId}`
+  );
+  await recordAudit({
+    action: "room.owner.transfer",
+    actor: user,
+    roomId,
+    target: { type: "user", id: newOwnerId },
+    before: { owner: room.creator },
+    after: { owner: newOwnerId },
+    source,
+  });
+  return { success: true, room: updatedRoom };
+};
+
+export const updateMemberRole = async (req, res) => {
+  try {
+    // Check if req.user is set by authMiddleware
+    if (!req.user) {
+      console.warn("No authenticated user found in req.user");
+      return res
+        .status(401)
+        .json({ error: "No authenticated user, authorization denied" });
+    }
+
+    const result = await setRoomMemberRole(
+      req.app.get("io"),
+      req.user,
+      req.params.roomId,
+      req.params.userId,
+      req.body?.role,
+      auditSource(req)
+    );
+    if (!result.success) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: formatRoomForRole(result.room, req.user.role),
+    });
+  } catch (error) {
+    console.error("❌ [Update Member Role Error]:", error.message, error.stack);
+    return res
+      .status(500)
+      .json({ error: `Failed to update member role: ${error.message}` });
+  }
+};
+
+export const transferOwnership = async (req, res) => {
+  try {
+    // Check if req.user is set by authMiddleware
+    if (!req.user) {
+      console.warn("No authenticated user found in req.user");
+      return res
+        .status(401)
+        .json({ error: "No authenticated user, authorization denied" });
+    }
+
+    const result = await transferRoomOwnership(
+      req.app.get("io"),
+      req.user,
+      req.params.roomId,
+      req.body?.userId,
+      auditSource(req)
+    );
+    if (!result.success) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: formatRoomForRole(result.room, req.user.role),
+    });
+  } catch (error) {
+    console.error("❌ [Transfer Ownership Error]:", error.message, error.stack);
+    return res
+      .status(500)
+      .json({ error: `Failed to transfer ownership: ${error.message}` });
+  }
+};
+
+/**
+ * Update room name, description, topic and avatar. Shared by the updateRoom
+ * socket event and the PATCH route; `avatarFile` is a multer file.
+ */
+export const updateRoomDetails = async (
+  io,
+  user,
+  roomId,
+  updates = {},
+  avatarFile = null,
+  source
+) => {
+  const db = getDB();
+  const roomCollection = db.collection("rooms");
+
+  const loaded = await loadManagedRoom(
+    user,
+    roomId,
+    "room.update",
+    "Only room owners and admins can update the room"
+  );
+  if (!loaded.success) return loaded;
+  const { room } = loaded;
+
+  const { roomName, description, topic, slowModeSeconds } = updates;
+  const removeAvatar = updates.removeAvatar === true || updates.removeAvatar === "true";
+  const changes = {};
+
+  if (roomName !== undefined) {
+    if (typeof roomName !== "string" || !roomName.trim()) {
+      return { success: false, status: 400, error: "Invalid room name." };
+    }
+    if (roomName.trim().length > MAX_ROOM_NAME_LENGTH) {
+      return {
+        success: false,
+        status: 400,
+        error: `Room name cannot be longer than ${MAX_ROOM_NAME_LENGTH} characters.`,
+      };
+    }
+    // Same restriction as createRoom
+    if (roomName.trim() === `Company ${user.companyId} Chat`) {
+      console.error(
+        `Attempt to rename room ${roomId} to restricted name: ${roomName}`
+      );
+      return {
+        success: false,
+        status: 400,
+        error: "Room name is reserved and cannot be used.",
+      };
+    }
+    changes.roomName = roomName.trim();
+  }
+
+  for (const [field, value, maxLength] of [
+    ["description", description, MAX_DESCRIPTION_LENGTH],
+    ["topic", topic, MAX_TOPIC_LENGTH],
+  ]) {
+    if (value === undefined) continue;
+    if (typeof value !== "string" || value.trim().length > maxLength) {
+      return {
+        success: false,
+        status: 400,
+        error: `The ${field} must be a string of at most ${maxLength} characters.`,
+      };
+    }
+    changes[field] = value.trim();
+  }
+
+  // Slow mode: members may post once every N seconds; 0 turns it off
+  if (slowModeSeconds !== undefined) {
+    const seconds = Number(slowModeSeconds);
+    if (
+      !Number.isInteger(seconds) ||
+      seconds < 0 ||
+      seconds > MAX_SLOW_MODE_SECONDS
+    ) {
+      return {
+        success: false,
+        status: 400,
+        error: `Slow mode must be a whole number of seconds between 0 and ${MAX_SLOW_MODE_SECONDS}.`,
+      };
+    }
+    changes.slowModeSeconds = seconds;
+  }
+
+  if (avatarFile) {
+    const uniqueSuffix = Date.now() + "-" + Math.round(Math.random() * 1e9);
+    const s3Key = `roomAvatars/${roomId}-${uniqueSuffix}${path.extname(
+      avatarFile.originalname
+    )}`;
+    const storage = getStorage();
+    await storage.put(s3Key, avatarFile.buffer, {
+      contentType: avatarFile.mimetype,
+    });
+    changes.avatar = {
+      s3Key,
+      bucket: storage.bucket,
+      mimeType: avatarFile.mimetype,
+      size: avatarFile.size,
+    };
+  }
+
+  const unset = {};
+  if (removeAvatar && !avatarFile) {
+    unset.avatar = "";
+  }
+
+  if (Object.keys(changes).length === 0 && Object.keys(unset).length === 0) {
+    return { success: false, status: 400, error: "Nothing to update." };
+  }
+
+  await roomCollection.updateOne(
+    { roomId },
+    {
+      $set: { ...changes, updatedAt: new Date() },
+      ...(Object.keys(unset).length > 0 ? { $unset: unset } : {}),
+    }
+  );
+
+  // Replaced or removed avatars are deleted from storage
+  if (room.avatar?.s3Key && (changes.avatar || unset.avatar !== undefined)) {
+    try {
+      await getStorage().deleteMany([room.avatar.s3Key]);
+    } catch (error) {
+      console.error(
+        `❌ [Avatar Delete Error] Room: ${roomId}, Key: ${room.avatar.s3Key}`,
+        error.message
+      );
+    }
+  }
+
+  const updatedRoom = await withAvatarUrl(
+    await roomCollection.findOne({ roomId })
+  );
+  await cacheRoom(updatedRoom);
+
+  io.to(roomId).emit("roomUpdated", {
+    roomId,
+    roomName: updatedRoom.roomName,
+    description: updatedRoom.description || "",
+    topic: updatedRoom.topic || "",
+    avatarUrl: updatedRoom.avatarUrl || null,
+    slowModeSeconds: updatedRoom.slowModeSeconds || 0,
+    updatedBy: user.userId,
+    timestamp: new Date().toISOString(),
+  });
+
+  const actor = user.firstName || "Someone";
+  if (changes.roomName && changes.roomName !== room.roomName) {
+    await insertSystemMessage(
+      io,
+      updatedRoom,
+      `${actor} renamed the room to "${changes.roomName}"`
+    );
+  }
+  if (changes.topic !== undefined && changes.topic !== (room.topic || "")) {
+    await insertSystemMessage(
+      io,
+      updatedRoom,
+      changes.topic
+        ? `${actor} changed the topic to "${changes.topic}"`
+        : `${actor} cleared the topic`
+    );
+  }
+
+  if (
+    changes.slowModeSeconds !== undefined &&
+    changes.slowModeSeconds !== (room.slowModeSeconds || 0)
+  ) {
+    await insertSystemMessage(
+      io,
+      updatedRoom,
+      changes.slowModeSeconds
+        ? `${actor} enabled slow mode (one message every ${changes.slowModeSeconds}s)`
+        : `${actor} turned off slow mode`
+    );
+  }
+
+  console.log(`Room updated: roomId=${roomId}, fields=`, [
+    ...Object.keys(changes),
+    ...Object.keys(unset),
+  ]);
+  const changedFields = [...Object.keys(changes), ...Object.keys(unset)];
+  await recordAudit({
+    action: "room.update",
+    actor: user,
+    roomId,
+    target: { type: "room", id: roomId },
+    before: Object.fromEntries(
+      changedFields.map((field) => [field, room[field] ?? null])
+    ),
+    after: Object.fromEntries(
+      changedFields.map((field) => [field, changes[field] ?? null])
+    ),
+    source,
+  });
+  return { success: true, room: updatedRoom };
+};
+
+export const updateRoom = async (req, res) => {
+  try {
+    // Check if req.user is set by authMiddleware
+    if (!req.user) {
+      console.warn("No authenticated user found in req.user");
+      return res
+        .status(401)
+        .json({ error: "No authenticated user, authorization denied" });
+    }
+
+    const { roomName, description, topic, removeAvatar, slowModeSeconds } =
+      req.body || {};
+    const result = await updateRoomDetails(
+      req.app.get("io"),
+      req.user,
+      req.params.roomId,
+      { roomName, description, topic, removeAvatar, slowModeSeconds },
+      req.file,
+      auditSource(req)
+    );
+    if (!result.success) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: formatRoomForRole(result.room, req.user.role),
+    });
+  } catch (error) {
+    console.error("❌ [Update Room Error]:", error.message, error.stack);
+    return res
+      .status(500)
+      .json({ error: `Failed to update room: ${error.message}` });
+  }
+};
+
+/**
+ * Archive or unarchive a room. Archived rooms stay readable but reject new
+ * messages, edits and uploads.
+ */
+export const setRoomArchived = async (io, user, roomId, archived, source) => {
+  const db = getDB();
+  const roomCollection = db.collection("rooms");
+
+  const loaded = await loadManagedRoom(
+    user,
+    roomId,
+    "room.archive",
+    "Only room owners and admins can archive the room",
+    { allowArchived: true }
+  );
+  if (!loaded.success) return loaded;
+  const { room } = loaded;
+
+  if (Boolean(room.archivedAt) === archived) {
+    return {
+      success: false,
+      status: 409,
+      error: archived ? "Room is already archived" : "Room is not archived",
+    };
+  }
+
+  const timestamp = new Date();
+  await roomCollection.updateOne(
+    { roomId },
+    archived
+      ? { $set: { archivedAt: timestamp, archivedBy: user.userId } }
+      : { $unset: { archivedAt: "", archivedBy: "" } }
+  );
+  const updatedRoom = await roomCollection.findOne({ roomId });
+  await cacheRoom(updatedRoom);
+
+  io.to(roomId).emit(archived ? "roomArchived" : "roomUnarchived", {
+    roomId,
+    userId: user.userId,
+    timestamp: timestamp.toISOString(),
+  });
+  await insertSystemMessage(
+    io,
+    updatedRoom,
+    `${user.firstName || "Someone"} ${archived ? "archived" : "unarchived"} the room`
+  );
+
+  console.log(`Room ${archived ? "archived" : "unarchived"}: roomId=${roomId}`);
+  await recordAudit({
+    action: archived ? "room.archive" : "room.unarchive",
+    actor: user,
+    roomId,
+    target: { type: "room", id: roomId },
+    source,
+  });
+  return { success: true, room: updatedRoom };
+};
+
+// Restore a soft-deleted room before the purge job removes it
+export const restoreDeletedRoom = async (io, user, roomId, source) => {
+  const db = getDB();
+  const roomCollection = db.collection("rooms");
+
+  const loaded = await loadManagedRoom(
+    user,
+    roomId,
+    "room.delete",
+    "Only the room owner can restore the room",
+    { allowArchived: true, allowDeleted: true }
+  );
+  if (!loaded.success) return loaded;
+  const { room } = loaded;
+
+  if (!room.deletedAt) {
+    return { success: false, status: 409, error: "Room is not deleted" };
+  }
+
+  await roomCollection.updateOne(
+    { roomId },
+    { $unset: { deletedAt: "", deletedBy: "", purgeAt: "" } }
+  );
+  const updatedRoom = await withAvatarUrl(
+    await roomCollection.findOne({ roomId })
+  );
+  await cacheRoom(updatedRoom);
+
+  await announceRoomToUsers(io, updatedRoom, updatedRoom.users);
+  await insertSystemMessage(
+    io,
+    updatedRoom,
+    `${user.firstName || "Someone"} restored the room`
+  );
+
+  console.log(`Room restored: roomId=${roomId}`);
+  await recordAudit({
+    action: "room.restore",
+    actor: user,
+    roomId,
+    target: { type: "room", id: roomId },
+    before: { deletedAt: room.deletedAt, deletedBy: room.deletedBy || null },
+    source,
+  });
+  return { success: true, room: updatedRoom };
+};
+
+export const archiveRoom = async (req, res) => {
+  try {
+    // Check if req.user is set by authMiddleware
+    if (!req.user) {
+      console.warn("No authenticated user found in req.user");
+      return res
+        .status(401)
+        .json({ error: "No authenticated user, authorization denied" });
+    }
+
+    const result = await setRoomArchived(
+      req.app.get("io"),
+      req.user,
+      req.params.roomId,
+      true,
+      auditSource(req)
+    );
+    if (!result.success) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: formatRoomForRole(result.room, req.user.role),
+    });
+  } catch (error) {
+    console.error("❌ [Archive Room Error]:", error.message, error.stack);
+    return res
+      .status(500)
+      .json({ error: `Failed to archive room: ${error.message}` });
+  }
+};
+
+export const unarchiveRoom = async (req, res) => {
+  try {
+    // Check if req.user is set by authMiddleware
+    if (!req.user) {
+      console.warn("No authenticated user found in req.user");
+      return res
+        .status(401)
+        .json({ error: "No authenticated user, authorization denied" });
+    }
+
+    const result = await setRoomArchived(
+      req.app.get("io"),
+      req.user,
+      req.params.roomId,
+      false,
+      auditSource(req)
+    );
+    if (!result.success) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: formatRoomForRole(result.room, req.user.role),
+    });
+  } catch (error) {
+    console.error("❌ [Unarchive Room Error]:", error.message, error.stack);
+    return res
+      .status(500)
+      .json({ error: `Failed to unarchive room: ${error.message}` });
+  }
+};
+
+export const restoreRoom = async (req, res) => {
+  try {
+    // Check if req.user is set by authMiddleware
+    if (!req.user) {
+      console.warn("No authenticated user found in req.user");
+      return res
+        .status(401)
+        .json({ error: "No authenticated user, authorization denied" });
+    }
+
+    const result = await restoreDeletedRoom(
+      req.app.get("io"),
+      req.user,
+      req.params.roomId,
+      auditSource(req)
+    );
+    if (!result.success) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: formatRoomForRole(result.room, req.user.role),
+    });
+  } catch (error) {
+    console.error("❌ [Restore Room Error]:", error.message, error.stack);
+    return res
+      .status(500)
+      .json({ error: `Failed to restore room: ${error.message}` });
+  }
+};
@@ -0,0 +1,200 @@
+import { ObjectId } from "mongodb";
+import { getDB } from "../services/db.js";
+import { formatMessage, resolveUserRole } from "../utils/message.utils.js";
+
+const DEFAULT_SEARCH_LIMIT = 20;
+const MAX_SEARCH_LIMIT = 50;
+const SNIPPET_RADIUS = 40;
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Split `has:file` / `has:voice` operators out of the free-text query
+const parseQuery = (q) => {
+  const has = new Set();
+  const words = [];
+  for (const token of q.split(/\s+/).filter(Boolean)) {
+    const match = /^has:(file|voice)$/i.exec(token);
+    if (match) {
+      has.add(match[1].toLowerCase());
+    } else {
+      words.push(token);
+    }
+  }
+  return { text: words.join(" "), has };
+};
+
+// Build a snippet around the first matched term with the match offsets
+const highlight = (field, value, terms) => {
+  if (!value || terms.length === 0) return null;
+  const pattern = new RegExp(terms.map(escapeRegExp).join("|"), "gi");
+  const first = pattern.exec(value);
+  if (!first) return null;
+
+  const start = Math.max(first.index - SNIPPET_RADIUS, 0);
+  const end = Math.min(
+    first.index + first[0].length + SNIPPET_RADIUS,
+    value.length
+  );
+  const snippet = value.slice(start, end);
+
+  const matches = [];
+  const snippetPattern = new RegExp(pattern.source, "gi");
+  let match;
+  while ((match = snippetPattern.exec(snippet)) !== null) {
+    matches.push({ start: match.index, length: match[0].length });
+  }
+
+  return {
+    field,
+    snippet: `${start > 0 ? "…" : ""}${snippet}${end < value.length ? "…" : ""}`,
+    matches: matches.map((m) => ({
+      start: m.start + (start > 0 ? 1 : 0),
+      length: m.length,
+    })),
+  };
+};
+
+export const searchMessages = async (req, res) => {
+  const db = getDB();
+  const messageCollection = db.collection("messages");
+  const roomCollection = db.collection("rooms");
+
+  try {
+    const userId = req.user.userId;
+    const companyId = req.user.companyId;
+    if (!companyId) {
+      console.warn(`No companyId found for user: ${userId}`);
+      return res
+        .status(400)
+        .json({ message: "Invalid user data: companyId not found" });
+    }
+
+    const { q = "", roomId, senderId, from, to } = req.query;
+    if (typeof q !== "string") {
+      return res.status(400).json({ message: "Query must be a string" });
+    }
+    const { text, has } = parseQuery(q);
+    if (req.query.has) {
+      const value = String(req.query.has).toLowerCase();
+      if (!["file", "voice"].includes(value)) {
+        return res
+          .status(400)
+          .json({ message: "has must be either file or voice" });
+      }
+      has.add(value);
+    }
+    if (!text && has.size === 0) {
+      console.warn("⚠️ [Validation Failed] Empty search query");
+      return res
+        .status(400)
+        .json({ message: "Search query or has filter is required" });
+    }
+
+    let limit = DEFAULT_SEARCH_LIMIT;
+    if (req.query.limit !== undefined) {
+      limit = Number.parseInt(req.query.limit, 10);
+      if (!Number.isInteger(limit) || limit < 1) {
+        return res
+          .status(400)
+          .json({ message: "Limit must be a positive integer" });
+      }
+      limit = Math.min(limit, MAX_SEARCH_LIMIT);
+    }
+
+    // Only search rooms the caller belongs to inside their company
+    const rooms = await roomCollection
+      .find(
+        {
+          users: userId,
+          companyId: { $in: [companyId, new ObjectId(companyId)] },
+          deletedAt: { $exists: false },
+        },
+        { projection: { roomId: 1, roomName: 1 } }
+      )
+      .toArray();
+    let roomIds = rooms.map((room) => room.roomId);
+    if (roomId) {
+      if (!roomIds.includes(roomId)) {
+        console.warn(
+          `⚠️ [Validation Failed] User ${userId} not authorized for room ${roomId}`
+        );
+        return res
+          .status(403)
+          .json({ message: "You are not authorized to access this room" });
+      }
+      roomIds = [roomId];
+    }
+
+    const filter = {
+      roomId: { $in: roomIds },
+      companyId: new ObjectId(companyId),
+    };
+    if (text) {
+      filter.$text = { $search: text };
+    }
+    if (senderId) {
+      filter.userId = String(senderId);
+    }
+    if (from || to) {
+      filter.timestamp = {};
+      for (const [key, value] of [
+        ["$gte", from],
+        ["$lte", to],
+      ]) {
+        if (!value) continue;
+        const date = new Date(value);
+        if (Number.isNaN(date.getTime())) {
+          return res
+            .status(400)
+            .json({ message: "from and to must be valid dates" });
+        }
+        filter.timestamp[key] = date;
+      }
+    }
+    // Single uploads keep `file`; presigned uploads keep a `files` array
+    if (has.has("file")) {
+      filter.$or = [{ file: { $exists: true } }, { files: { $exists: true } }];
+    }
+    if (has.has("voice")) {
+      filter.voice = { $exists: true };
+    }
+
+    const cursor = text
+      ? messageCollection
+          .find(filter, { projection: { score: { $meta: "textScore" } } })
+          .sort({ score: { $meta: "textScore" }, timestamp: -1 })
+      : messageCollection.find(filter).sort({ timestamp: -1 });
+    const messages = await cursor.limit(limit).toArray();
+
+    const role = await resolveUserRole(db, userId);
+    if (!role) {
+      console.warn(`⚠️ [Validation Failed] User not found: ${userId}`);
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    const terms = text.split(/\s+/).filter(Boolean);
+    const roomNames = new Map(rooms.map((room) => [room.roomId, room.roomName]));
+    const data = messages.map((msg) => ({
+      ...formatMessage(msg, role, userId),
+      roomName: roomNames.get(msg.roomId) || null,
+      highlights: [
+        highlight("message", msg.message, terms),
+        highlight("file.originalName", msg.file?.originalName, terms),
+        ...(msg.files || []).map((file) =>
+          highlight("files.originalName", file.originalName, terms)
+        ),
+        highlight("voice.originalName", msg.voice?.originalName, terms),
+      ].filter(Boolean),
+    }));
+
+    return res.status(200).json({
+      success: true,
+      data,
+    });
+  } catch (error) {
+    console.error("❌ [searchMessages Error]:", error.message);
+    return res
+      .status(500)
+      .json({ message: "Server error while searching messages" });
+  }
+};
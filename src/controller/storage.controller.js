@@ -0,0 +1,66 @@
+import path from "path";
+import { getStorage } from "../services/storage/index.js";
+
+// Presigned URLs of the local storage driver land here; the signed token in
+// the URL is the authorization, like an S3 presigned URL. Other drivers hand
+// out their own URLs, so these routes answer 404 for them.
+const verify = (req, res, method) => {
+  const storage = getStorage();
+  const payload = storage.verifyToken?.(req.params.token, method);
+  if (!payload) {
+    res.status(storage.verifyToken ? 403 : 404).json({
+      error: storage.verifyToken ? "Invalid or expired link" : "Not found",
+    });
+    return null;
+  }
+  return { storage, payload };
+};
+
+export const serveStoredObject = async (req, res) => {
+  try {
+    const verified = verify(req, res, "GET");
+    if (!verified) return;
+
+    const { key } = verified.payload;
+    const { body, contentType, contentLength } =
+      await verified.storage.getStream(key);
+    // The content type is whatever the uploader declared, so never let the
+    // browser render it (HTML or SVG would run on the API origin)
+    res.attachment(path.basename(key));
+    res.setHeader("Content-Type", contentType || "application/octet-stream");
+    res.setHeader("Content-Length", contentLength);
+    res.setHeader("X-Content-Type-Options", "nosniff");
+    body.pipe(res);
+  } catch (error) {
+    if (error.status === 404) {
+      return res.status(404).json({ error: "File not found" });
+    }
+    console.error("❌ [Storage Read Error]:", error.message);
+    res.status(500).json({ error: "Server error while reading file" });
+  }
+};
+
+export const receiveStoredObject = async (req, res) => {
+  try {
+    const verified = verify(req, res, "PUT");
+    if (!verified) return;
+
+    // Refuse early when the declared length is already too large
+    const { maxBytes } = verified.payload;
+    if (Number(req.get("content-length")) > maxBytes) {
+      return res
+        .status(413)
+        .json({ error: `Upload is larger than ${maxBytes} bytes` });
+    }
+
+    const etag = await verified.storage.receive(verified.payload, req);
+    res.setHeader("ETag", etag);
+    res.status(200).end();
+  } catch (error) {
+    if (error.status === 403 || error.status === 413) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error("❌ [Storage Write Error]:", error.message);
+    res.status(500).json({ error: "Server error while storing file" });
+  }
+};
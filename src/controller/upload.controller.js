@@ -0,0 +1,574 @@
+import path from "path";
+import { ObjectId } from "mongodb";
+import { getDB } from "../services/db.js";
+import { emitToRoom } from "../services/broadcast.js";
+import { auditSource, recordAudit } from "../services/audit.js";
+import { MAX_MESSAGE_LENGTH } from "../utils/message.utils.js";
+import { getStorage, storageConfigError } from "../services/storage/index.js";
+import {
+  checkStorageQuota,
+  releaseStorage,
+  reserveStorage,
+} from "../services/storageUsage.js";
+import { createStoredThumbnail } from "../services/thumbnails.js";
+import { checkFileSignature, SNIFF_BYTES } from "../services/fileType.js";
+import { getScanner } from "../services/scanner/index.js";
+import {
+  checkRoomUpload,
+  isAllowedFile,
+  scanMessageFiles,
+  withFileUrls,
+} from "./filleController.js";
+
+/**
+ * Direct-to-storage uploads. The client asks for presigned URLs, PUTs the
+ * bytes to storage itself (one PUT, or one PUT per part for large files),
+ * then confirms; the server checks every object with a head request before
+ * posting the message. Requests waiting for confirmation live in
+ * `pendingUploads`.
+ *
+ * Presigned URLs only ever point at a staging key under pending/<uploadId>/.
+ * On confirm the server copies each file to an uploads/ key of its own and
+ * checks and scans the copy, so bytes PUT after the checks never reach the
+ * message. Staged objects left behind can be expired with a bucket lifecycle
+ * rule on pending/.
+ */
+const MAX_ATTACHMENTS = 10;
+const MAX_FILENAME_LENGTH = 255;
+const DEFAULT_MAX_UPLOAD_SIZE_MB = 500;
+const MULTIPART_THRESHOLD = 64 * 1024 * 1024;
+const PART_SIZE = 16 * 1024 * 1024;
+const MAX_PARTS = 10000;
+const UPLOAD_URL_TTL_SECONDS = 60 * 60;
+
+// Largest single attachment (MAX_UPLOAD_SIZE_MB, default 500)
+const maxUploadBytes = () =>
+  (Number(process.env.MAX_UPLOAD_SIZE_MB) || DEFAULT_MAX_UPLOAD_SIZE_MB) *
+  1024 *
+  1024;
+
+const pendingUploads = () => getDB().collection("pendingUploads");
+
+const totalBytes = (files) => files.reduce((sum, file) => sum + file.size, 0);
+
+// Validate the { name, type, size } entries of a createUpload request
+const validateFiles = (files) => {
+  if (!Array.isArray(files) || files.length === 0) {
+    return "files must be a non-empty array";
+  }
+  if (files.length > MAX_ATTACHMENTS) {
+    return `A message can have at most ${MAX_ATTACHMENTS} attachments`;
+  }
+  const maxBytes = maxUploadBytes();
+  for (const [index, file] of files.entries()) {
+    const { name, type, size } = file || {};
+    if (
+      typeof name !== "string" ||
+      name.trim() === "" ||
+      name.length > MAX_FILENAME_LENGTH
+    ) {
+      return `files[${index}].name must be a non-empty string of at most ${MAX_FILENAME_LENGTH} characters`;
+    }
+    if (typeof type !== "string" || !isAllowedFile(name, type)) {
+      return `files[${index}]: only images, PDFs, and Word documents are allowed`;
+    }
+    if (!Number.isInteger(size) || size <= 0) {
+      return `files[${index}].size must be a positive integer`;
+    }
+    if (size > maxBytes) {
+      return `files[${index}] is too large. Maximum size is ${
+        maxBytes / (1024 * 1024)
+      }MB.`;
+    }
+  }
+  return null;
+};
+
+// Presigned URLs for one file: a single PUT, or one URL per multipart part.
+// Each URL is limited to the exact size of what it uploads
+const presignFile = async (storage, file) => {
+  if (file.size <= MULTIPART_THRESHOLD) {
+    const url = await storage.presignPut(file.stagingKey, {
+      contentType: file.mimeType,
+      maxBytes: file.size,
+      expiresIn: UPLOAD_URL_TTL_SECONDS,
+    });
+    return {
+      stored: file,
+      response: {
+        filename: file.filename,
+        method: "PUT",
+        url,
+        headers: { "Content-Type": file.mimeType },
+      },
+    };
+  }
+
+  const partSize = Math.max(PART_SIZE, Math.ceil(file.size / MAX_PARTS));
+  const partCount = Math.ceil(file.size / partSize);
+  const uploadId = await storage.createMultipart(file.stagingKey, {
+    contentType: file.mimeType,
+  });
+  const parts = [];
+  for (let partNumber = 1; partNumber <= partCount; partNumber++) {
+    parts.push({
+      partNumber,
+      url: await storage.presignPart(file.stagingKey, uploadId, partNumber, {
+        maxBytes:
+          partNumber < partCount
+            ? partSize
+            : file.size - partSize * (partCount - 1),
+        expiresIn: UPLOAD_URL_TTL_SECONDS,
+      }),
+    });
+  }
+  return {
+    stored: { ...file, multipartUploadId: uploadId, partCount },
+    response: {
+      filename: file.filename,
+      method: "MULTIPART",
+      partSize,
+      parts,
+    },
+  };
+};
+
+/**
+ * Abort unfinished multipart uploads and delete the staged objects of a
+ * pending upload. Used when a client cancels, when a confirm rejects the
+ * content and by the expiry sweep.
+ */
+export const discardPendingUpload = async (pending) => {
+  const storage = getStorage();
+  const keys = [];
+  for (const file of pending.files) {
+    if (file.multipartUploadId) {
+      await storage
+        .abortMultipart(file.stagingKey, file.multipartUploadId)
+        .catch((error) =>
+          console.warn(
+            `⚠️ [Abort Multipart Failed] ${file.stagingKey}:`,
+            error.message
+          )
+        );
+    } else {
+      keys.push(file.stagingKey);
+    }
+  }
+  if (keys.length > 0) {
+    await storage.deleteMany(keys);
+  }
+};
+
+// POST /uploads { roomId?, files: [{ name, type, size }] }
+export const createUpload = async (req, res) => {
+  try {
+    const configError = storageConfigError();
+    if (configError) {
+      console.error(`❌ ${configError}`);
+      return res
+        .status(500)
+        .json({ error: "Server configuration error: Storage is not configured" });
+    }
+    const storage = getStorage();
+
+    const user = req.user;
+    const { files } = req.body || {};
+    const roomId = req.body?.roomId || `company_${user.companyId}`;
+
+    if (typeof roomId !== "string") {
+      return res.status(400).json({ error: "roomId must be a string" });
+    }
+    if (!roomId.startsWith("room_") && roomId !== `company_${user.companyId}`) {
+      console.log("❌ Not authorized for room:", roomId);
+      return res
+        .status(403)
+        .json({ error: "Not authorized to upload to this room" });
+    }
+    const invalid = validateFiles(files);
+    if (invalid) {
+      console.warn(`⚠️ [Validation Failed] ${invalid}`);
+      return res.status(400).json({ error: invalid });
+    }
+
+    // Slow mode is checked when the message is posted on confirm
+    const allowed = await checkRoomUpload(user, roomId, { slowMode: false });
+    if (!allowed.success) {
+      return res.status(allowed.status).json(allowed.body);
+    }
+
+    // The quota is only reserved on confirm, once the bytes are in storage
+    const quota = await checkStorageQuota(user.companyId, totalBytes(files));
+    if (!quota.success) {
+      return res.status(quota.status).json({
+        error: quota.error,
+        usedBytes: quota.usedBytes,
+        quotaBytes: quota.quotaBytes,
+      });
+    }
+
+    const uploadId = new ObjectId();
+    const presigned = [];
+    for (const file of files) {
+      const uniqueSuffix = Date.now() + "-" + Math.round(Math.random() * 1e9);
+      const filename = `file-${uniqueSuffix}${path.extname(file.name)}`;
+      presigned.push(
+        await presignFile(storage, {
+          filename,
+          originalName: file.name,
+          mimeType: file.type,
+          size: file.size,
+          stagingKey: `pending/${uploadId}/${filename}`,
+          bucket: storage.bucket,
+        })
+      );
+    }
+
+    const now = new Date();
+    const pending = {
+      _id: uploadId,
+      userId: user.userId,
+      companyId: String(user.companyId),
+      roomId,
+      files: presigned.map((entry) => entry.stored),
+      createdAt: now,
+      expiresAt: new Date(now.getTime() + UPLOAD_URL_TTL_SECONDS * 1000),
+    };
+    await pendingUploads().insertOne(pending);
+
+    return res.status(201).json({
+      success: true,
+      data: {
+        uploadId: pending._id.toString(),
+        expiresAt: pending.expiresAt.toISOString(),
+        files: presigned.map((entry) => entry.response),
+      },
+    });
+  } catch (error) {
+    console.error("❌ [Create Upload Error]:", error.message, error.stack);
+    return res.status(500).json({
+      error: `An unexpected error occurred while preparing upload: ${error.message}`,
+    });
+  }
+};
+
+// Complete a multipart upload from the { partNumber, etag } list the client
+// collected while uploading parts
+const completeMultipart = async (file, parts) => {
+  if (
+    !Array.isArray(parts) ||
+    parts.length !== file.partCount ||
+    parts.some(
+      (part) =>
+        !Number.isInteger(part?.partNumber) || typeof part?.etag !== "string"
+    )
+  ) {
+    return `parts for ${file.filename} must list all ${file.partCount} parts with partNumber and etag`;
+  }
+  await getStorage().completeMultipart(
+    file.stagingKey,
+    file.multipartUploadId,
+    [...parts].sort((a, b) => a.partNumber - b.partNumber)
+  );
+  return null;
+};
+
+// Copy a staged file to its s3Key; later checks only look at the copy
+const promoteObject = async (file) => {
+  const storage = getStorage();
+  if (!(await storage.head(file.stagingKey))) {
+    return `${file.originalName} has not been uploaded`;
+  }
+  await storage.copy(file.stagingKey, file.s3Key);
+  return null;
+};
+
+// Check that the object exists in storage with the size the client declared
+const verifyObject = async (file) => {
+  const head = await getStorage().head(file.s3Key);
+  if (!head) {
+    return `${file.originalName} has not been uploaded`;
+  }
+  if (head.contentLength !== file.size) {
+    return `${file.originalName} is ${head.contentLength} bytes, expected ${file.size}`;
+  }
+  return null;
+};
+
+// Check the first bytes of an uploaded object against its declared type
+const verifySignature = async (file) => {
+  const { body } = await getStorage().getStream(file.s3Key);
+  const chunks = [];
+  let length = 0;
+  for await (const chunk of body) {
+    chunks.push(chunk);
+    length += chunk.length;
+    if (length >= SNIFF_BYTES) break;
+  }
+  body.destroy?.();
+  return checkFileSignature(
+    Buffer.concat(chunks).subarray(0, SNIFF_BYTES),
+    file.originalName,
+    file.mimeType
+  );
+};
+
+// POST /uploads/:uploadId/confirm { message?, parts?: { [filename]: [{ partNumber, etag }] } }
+export const confirmUpload = async (req, res) => {
+  try {
+    const user = req.user;
+    const { uploadId } = req.params;
+    const { message, parts = {} } = req.body || {};
+    // With a scanner the files are posted as "scanning" and checked by
+    // scanMessageFiles once this request has answered
+    const scanner = getScanner();
+
+    if (!ObjectId.isValid(uploadId)) {
+      return res.status(400).json({ error: "Invalid uploadId" });
+    }
+    if (
+      message !== undefined &&
+      (typeof message !== "string" || message.length > MAX_MESSAGE_LENGTH)
+    ) {
+      return res.status(400).json({
+        error: `message must be a string of at most ${MAX_MESSAGE_LENGTH} characters`,
+      });
+    }
+
+    const pending = await pendingUploads().findOne({
+      _id: new ObjectId(uploadId),
+      userId: user.userId,
+    });
+    if (!pending) {
+      return res.status(404).json({ error: "Upload not found" });
+    }
+    if (pending.expiresAt <= new Date()) {
+      return res.status(410).json({ error: "Upload has expired" });
+    }
+
+    const allowed = await checkRoomUpload(user, pending.roomId);
+    if (!allowed.success) {
+      if (allowed.retryAfter) {
+        res.set("Retry-After", String(allowed.retryAfter));
+      }
+      return res.status(allowed.status).json(allowed.body);
+    }
+
+    // Finish multipart uploads; a completed file keeps no upload id, so a
+    // retried confirm only checks it again
+    for (const file of pending.files) {
+      if (!file.multipartUploadId) continue;
+      const error = await completeMultipart(file, parts[file.filename]);
+      if (error) {
+        console.warn(`⚠️ [Validation Failed] ${error}`);
+        return res.status(400).json({ error });
+      }
+      await pendingUploads().updateOne(
+        { _id: pending._id, "files.filename": file.filename },
+        { $unset: { "files.$.multipartUploadId": "" } }
+      );
+      delete file.multipartUploadId;
+    }
+
+    // Each confirm copies to keys of its own, so a concurrent confirm of the
+    // same upload cannot overwrite the objects this one checked. The copies
+    // are removed again unless this confirm posts them
+    const copyPrefix = new ObjectId().toString();
+    const stored = pending.files.map((file) => ({
+      ...file,
+      s3Key: `uploads/${copyPrefix}-${file.filename}`,
+    }));
+    const discardCopies = () =>
+      getStorage()
+        .deleteMany(stored.map((file) => file.s3Key))
+        .catch((error) =>
+          console.warn(
+            `⚠️ [Upload Cleanup Failed] ${pending._id}:`,
+            error.message
+          )
+        );
+
+    for (const file of stored) {
+      const error =
+        (await promoteObject(file)) || (await verifyObject(file));
+      if (error) {
+        console.warn(`⚠️ [Upload Verification Failed] ${error}`);
+        await discardCopies();
+        return res.status(400).json({ error });
+      }
+    }
+
+    // Content that is not what the client declared is discarded outright
+    for (const file of stored) {
+      const mismatch = await verifySignature(file);
+      if (mismatch) {
+        console.warn(`⚠️ [Validation Failed] ${mismatch}`);
+        await discardCopies();
+        const discarded = await pendingUploads().findOneAndDelete({
+          _id: pending._id,
+        });
+        if (discarded) {
+          await discardPendingUpload(discarded);
+        }
+        return res.status(400).json({ error: mismatch });
+      }
+    }
+
+    const bytes = totalBytes(stored);
+    const quota = await reserveStorage(
+      user.companyId,
+      pending.roomId,
+      bytes,
+      stored.length
+    );
+    if (!quota.success) {
+      await discardCopies();
+      return res.status(quota.status).json({
+        error: quota.error,
+        usedBytes: quota.usedBytes,
+        quotaBytes: quota.quotaBytes,
+      });
+    }
+
+    // Claim the upload so a second confirm cannot post it twice
+    const claimed = await pendingUploads().findOneAndDelete({
+      _id: pending._id,
+      userId: user.userId,
+    });
+    if (!claimed) {
+      await releaseStorage(
+        user.companyId,
+        pending.roomId,
+        bytes,
+        stored.length
+      );
+      await discardCopies();
+      return res.status(409).json({ error: "Upload was already confirmed" });
+    }
+    await getStorage()
+      .deleteMany(stored.map((file) => file.stagingKey))
+      .catch((error) =>
+        console.warn(
+          `⚠️ [Upload Cleanup Failed] ${pending._id}:`,
+          error.message
+        )
+      );
+
+    const db = getDB();
+    const company = await db
+      .collection("companyregistrations")
+      .findOne({ _id: new ObjectId(user.companyId) });
+    const companyName = company?.companyInfo?.companyName || "Unknown Company";
+
+    const files = [];
+    for (const file of stored) {
+      files.push({
+        filename: file.filename,
+        originalName: file.originalName,
+        mimeType: file.mimeType,
+        size: file.size,
+        s3Key: file.s3Key,
+        bucket: file.bucket,
+        ...(scanner
+          ? { scanStatus: "scanning" }
+          : await createStoredThumbnail(file)),
+      });
+    }
+    const fileMessage = {
+      _id: new ObjectId(),
+      message: message?.trim() || "File uploaded",
+      userId: user.userId,
+      username: user.firstName || "Anonymous",
+      roomId: pending.roomId,
+      companyName,
+      companyId: new ObjectId(user.companyId),
+      timestamp: new Date(),
+      files,
+    };
+    try {
+      await db.collection("messages").insertOne(fileMessage);
+    } catch (error) {
+      await releaseStorage(user.companyId, pending.roomId, bytes, files.length);
+      await discardCopies();
+      throw error;
+    }
+    for (const file of files) {
+      await recordAudit({
+        action: "file.upload",
+        actor: user,
+        roomId: pending.roomId,
+        target: { type: "file", id: file.filename },
+        after: file,
+        source: auditSource(req),
+      });
+    }
+
+    const baseMessage = {
+      _id: fileMessage._id.toString(),
+      message: fileMessage.message,
+      userId: fileMessage.userId,
+      username: fileMessage.username,
+      roomId: fileMessage.roomId,
+      companyName,
+      timestamp: fileMessage.timestamp.toISOString(),
+      files: await Promise.all(files.map(withFileUrls)),
+    };
+
+    // Clients see the company name on other people's messages
+    const io = req.app.get("io");
+    await emitToRoom(
+      io,
+      pending.roomId,
+      "newFile",
+      (recipient) =>
+        recipient.role === "Client" && recipient.userId !== user.userId
+          ? { ...baseMessage, username: companyName }
+          : baseMessage,
+      { personalized: [user.userId] }
+    );
+
+    if (scanner) {
+      scanMessageFiles({ io, message: fileMessage }).catch((error) =>
+        console.error("❌ [Scan Error]:", error.message, error.stack)
+      );
+    }
+
+    return res.status(scanner ? 202 : 200).json({
+      message: scanner
+        ? "Files uploaded, scanning for malware"
+        : "Files uploaded successfully",
+      data: baseMessage,
+    });
+  } catch (error) {
+    console.error("❌ [Confirm Upload Error]:", error.message, error.stack);
+    return res.status(500).json({
+      error: `An unexpected error occurred while confirming upload: ${error.message}`,
+    });
+  }
+};
+
+// DELETE /uploads/:uploadId cancels an upload that was not confirmed
+export const abortUpload = async (req, res) => {
+  try {
+    const { uploadId } = req.params;
+    if (!ObjectId.isValid(uploadId)) {
+      return res.status(400).json({ error: "Invalid uploadId" });
+    }
+
+    const pending = await pendingUploads().findOneAndDelete({
+      _id: new ObjectId(uploadId),
+      userId: req.user.userId,
+    });
+    if (!pending) {
+      return res.status(404).json({ error: "Upload not found" });
+    }
+    await discardPendingUpload(pending);
+
+    return res.status(200).json({ message: "Upload cancelled" });
+  } catch (error) {
+    console.error("❌ [Abort Upload Error]:", error.message, error.stack);
+    return res.status(500).json({
+      error: `An unexpected error occurred while cancelling upload: ${error.message}`,
+    });
+  }
+};
@@ -0,0 +1,104 @@
+import { getDB } from "../services/db.js";
+import {
+  findLargestAttachments,
+  getStorageQuota,
+  getStorageUsage,
+  measureStorage,
+} from "../services/storageUsage.js";
+
+const DEFAULT_LARGEST_LIMIT = 20;
+const MAX_LARGEST_LIMIT = 100;
+
+// GET /usage?limit= — storage against the plan's quota, per-room storage
+// and message counts, and the largest attachments to clean up first
+export const getUsage = async (req, res) => {
+  try {
+    // Check if req.user is set by authMiddleware
+    if (!req.user) {
+      console.warn("No authenticated user found in req.user");
+      return res
+        .status(401)
+        .json({ message: "Unauthorized: No user data found" });
+    }
+
+    const { userId, companyId } = req.user;
+    if (!companyId) {
+      console.warn(`No companyId found for user: ${userId}`);
+      return res
+        .status(400)
+        .json({ message: "Invalid user data: companyId not found" });
+    }
+
+    const limit =
+      req.query.limit === undefined
+        ? DEFAULT_LARGEST_LIMIT
+        : Number(req.query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LARGEST_LIMIT) {
+      console.warn(`⚠️ [Validation Failed] Invalid limit: ${req.query.limit}`);
+      return res.status(400).json({
+        message: `limit must be an integer between 1 and ${MAX_LARGEST_LIMIT}`,
+      });
+    }
+
+    const [{ plan, quotaBytes }, usage, measured, largest] = await Promise.all([
+      getStorageQuota(companyId),
+      getStorageUsage(companyId),
+      measureStorage(companyId),
+      findLargestAttachments(companyId, limit),
+    ]);
+
+    const rooms = await getDB()
+      .collection("rooms")
+      .find(
+        { roomId: { $in: measured.map((room) => room._id) } },
+        { projection: { roomId: 1, roomName: 1 } }
+      )
+      .toArray();
+    const roomNames = new Map(rooms.map((room) => [room.roomId, room.roomName]));
+
+    const totals = measured.reduce(
+      (sum, room) => ({
+        messages: sum.messages + room.messages,
+        fileBytes: sum.fileBytes + room.fileBytes,
+        fileCount: sum.fileCount + room.fileCount,
+        voiceBytes: sum.voiceBytes + room.voiceBytes,
+        voiceCount: sum.voiceCount + room.voiceCount,
+      }),
+      { messages: 0, fileBytes: 0, fileCount: 0, voiceBytes: 0, voiceCount: 0 }
+    );
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        plan,
+        storage: {
+          quotaBytes,
+          usedBytes: usage.bytes,
+          remainingBytes: Math.max(quotaBytes - usage.bytes, 0),
+          files: { bytes: totals.fileBytes, count: totals.fileCount },
+          voice: { bytes: totals.voiceBytes, count: totals.voiceCount },
+        },
+        messages: totals.messages,
+        rooms: measured
+          .sort((a, b) => b.bytes - a.bytes || b.messages - a.messages)
+          .map((room) => ({
+            roomId: room._id,
+            roomName: roomNames.get(room._id) || null,
+            messages: room.messages,
+            bytes: room.bytes,
+            files: { bytes: room.fileBytes, count: room.fileCount },
+            voice: { bytes: room.voiceBytes, count: room.voiceCount },
+          })),
+        largestFiles: largest.map((entry) => ({
+          ...entry,
+          timestamp: entry.timestamp.toISOString(),
+        })),
+      },
+    });
+  } catch (error) {
+    console.error("❌ [getUsage Error]:", error.message);
+    return res
+      .status(500)
+      .json({ message: "Server error while fetching usage" });
+  }
+};
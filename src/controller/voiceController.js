@@ -1,32 +1,23 @@
 import multer from "multer";
-import {
-  S3Client,
-  PutObjectCommand,
-  GetObjectCommand,
-  DeleteObjectCommand,
-  DeleteObjectsCommand,
-  HeadObjectCommand,
-} from "@aws-sdk/client-s3";
-import { getSignedUrl } from "@aws-sdk/s3-request-presigner";
 import { fileURLToPath } from "url";
 import path from "path";
 import { getDB } from "../services/db.js";
 import { ObjectId } from "mongodb";
 import dotenv from "dotenv";
+import { paginateByTimestamp, parsePageParams } from "../utils/pagination.js";
+import { checkRoomUpload } from "./filleController.js";
+import { auditSource, recordAudit } from "../services/audit.js";
+import { tombstoneMessage } from "../utils/message.utils.js";
+import { getStorage, storageConfigError } from "../services/storage/index.js";
+import { releaseStorage, reserveStorage } from "../services/storageUsage.js";
+import { checkFileSignature } from "../services/fileType.js";
+import { getScanner } from "../services/scanner/index.js";
+import { scanAndStore } from "../services/uploadScan.js";
 
 dotenv.config();
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-// Initialize S3 Client
-const s3 = new S3Client({
-  region: process.env.AWS_REGION,
-  credentials: {
-    accessKeyId: process.env.AWS_ACCESS_KEY_ID,
-    secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
-  },
-});
-
 // Configure Multer for voice files
 const voiceUpload = multer({
   storage: multer.memoryStorage(),
@@ -69,24 +60,33 @@ export const voiceUploadMiddleware = (req, res, next) => {
       console.error("❌ [Voice Upload Error]:", err.message);
       return res.status(400).json({ error: err.message });
     }
+    // The filter above only sees the name and the client's MIME type
+    const mismatch =
+      req.file &&
+      checkFileSignature(
+        req.file.buffer,
+        req.file.originalname,
+        req.file.mimetype
+      );
+    if (mismatch) {
+      console.warn(`⚠️ [Validation Failed] ${mismatch}`);
+      return res.status(400).json({ error: mismatch });
+    }
     next();
   });
 };
 
 export const uploadVoice = async (req, res) => {
   try {
-    // Check AWS environment variables
-    if (
-      !process.env.AWS_ACCESS_KEY_ID ||
-      !process.env.AWS_SECRET_ACCESS_KEY ||
-      !process.env.AWS_REGION ||
-      !process.env.AWS_BUCKET_NAME
-    ) {
-      console.error("❌ Missing AWS environment variables");
+    // Check storage settings
+    const configError = storageConfigError();
+    if (configError) {
+      console.error(`❌ ${configError}`);
       return res
         .status(500)
-        .json({ error: "Server configuration error: Missing AWS credentials" });
+        .json({ error: "Server configuration error: Storage is not configured" });
     }
+    const storage = getStorage();
 
     // console.log("📥 [Voice Upload Request] Headers:", req.headers);
     // console.log("📥 [Voice Upload Request] Body:", req.body);
@@ -95,21 +95,6 @@ export const uploadVoice = async (req, res) => {
 
     // Use user data from authMiddleware
     const user = req.user;
-    const allowedRoles = [
-      "Employee",
-      "CEO",
-      "Manager",
-      "HR",
-      "Client",
-      "TeamLeader",
-    ];
-    if (!allowedRoles.includes(user.position)) {
-      // console.log("❌ Insufficient permissions:", user.position);
-      return res
-        .status(403)
-        .json({ error: "Insufficient position permissions" });
-    }
-
     // Check if a voice file was uploaded
     if (!req.file) {
       // console.log("❌ No voice file uploaded");
@@ -122,17 +107,6 @@ export const uploadVoice = async (req, res) => {
       req.file.originalname
     )}`;
 
-    // Upload to S3
-    const uploadParams = {
-      Bucket: process.env.AWS_BUCKET_NAME,
-      Key: `voiceUploads/${filename}`,
-      Body: req.file.buffer,
-      ContentType: req.file.mimetype,
-    };
-    // console.log("Uploading to S3 with params:", uploadParams);
-    await s3.send(new PutObjectCommand(uploadParams));
-    // console.log("✅ S3 Voice Upload Successful");
-
     const db = getDB();
     const messageCollection = db.collection("messages");
     const companyCollection = db.collection("companyregistrations");
@@ -140,14 +114,63 @@ export const uploadVoice = async (req, res) => {
     // console.log("📤 [Uploading voice to room]:", roomId);
     
     const roomCollection = db.collection("rooms");
-    if (roomId.startsWith("room_")) {
-      const room = await roomCollection.findOne({ roomId });
-      if (!room || !room.users.includes(user.userId)) {
-        // console.log("❌ Not authorized for room:", roomId);
-        return res
-          .status(403)
-          .json({ error: "Not authorized to upload to this room" });
+    const allowed = await checkRoomUpload(user, roomId);
+    if (!allowed.success) {
+      if (allowed.retryAfter) {
+        res.set("Retry-After", String(allowed.retryAfter));
       }
+      return res.status(allowed.status).json(allowed.body);
+    }
+
+    // Count the voice note against the company's storage quota
+    const quota = await reserveStorage(user.companyId, roomId, req.file.size);
+    if (!quota.success) {
+      return res.status(quota.status).json({
+        error: quota.error,
+        usedBytes: quota.usedBytes,
+        quotaBytes: quota.quotaBytes,
+      });
+    }
+
+    // With a scanner, voice notes are scanned before they are stored;
+    // flagged ones are kept under quarantine/ for review and never posted
+    let scanned = null;
+    try {
+      if (getScanner()) {
+        scanned = await scanAndStore(
+          `voiceUploads/${filename}`,
+          req.file.buffer,
+          req.file.mimetype
+        );
+      } else {
+        await storage.put(`voiceUploads/${filename}`, req.file.buffer, {
+          contentType: req.file.mimetype,
+        });
+      }
+      // console.log("✅ Storage Voice Upload Successful");
+    } catch (error) {
+      await releaseStorage(user.companyId, roomId, req.file.size);
+      throw error;
+    }
+    if (scanned?.scanStatus === "blocked") {
+      await releaseStorage(user.companyId, roomId, req.file.size);
+      await recordAudit({
+        action: "voice.quarantine",
+        actor: user,
+        roomId,
+        target: { type: "voice", id: filename },
+        after: {
+          filename,
+          originalName: req.file.originalname,
+          mimeType: req.file.mimetype,
+          size: req.file.size,
+          ...scanned,
+        },
+        source: auditSource(req),
+      });
+      return res
+        .status(422)
+        .json({ error: "Voice file was blocked by the malware scanner" });
     }
 
     // Fetch company name from companyInfo.companyName (same logic as messageController)
@@ -175,21 +198,30 @@ export const uploadVoice = async (req, res) => {
         mimeType: req.file.mimetype,
         size: req.file.size,
         s3Key: `voiceUploads/${filename}`,
-        bucket: process.env.AWS_BUCKET_NAME,
+        bucket: storage.bucket,
+        ...(scanned ? { scanStatus: scanned.scanStatus } : {}),
       },
     };
 
-    await messageCollection.insertOne(voiceMetadata);
+    try {
+      await messageCollection.insertOne(voiceMetadata);
+    } catch (error) {
+      await releaseStorage(user.companyId, roomId, req.file.size);
+      throw error;
+    }
+    await recordAudit({
+      action: "voice.upload",
+      actor: user,
+      roomId,
+      target: { type: "voice", id: filename },
+      after: voiceMetadata.voice,
+      source: auditSource(req),
+    });
 
     // Generate presigned URL for download
-    const presignedUrl = await getSignedUrl(
-      s3,
-      new GetObjectCommand({
-        Bucket: process.env.AWS_BUCKET_NAME,
-        Key: `voiceUploads/${filename}`,
-      }),
-      { expiresIn: 3600 }
-    );
+    const presignedUrl = await storage.presignGet(`voiceUploads/${filename}`, {
+      expiresIn: 3600,
+    });
 
     // Create the base message object
     const baseMessage = {
@@ -293,21 +325,6 @@ export const downloadVoice = async (req, res) => {
 
     // Use user data from authMiddleware
     const user = req.user;
-    const allowedRoles = [
-      "Employee",
-      "CEO",
-      "Manager",
-      "HR",
-      "Client",
-      "TeamLeader",
-    ];
-    if (!allowedRoles.includes(user.position)) {
-      // console.log("❌ Insufficient permissions:", user.position);
-      return res
-        .status(403)
-        .json({ error: "Insufficient position permissions" });
-    }
-
     // Get voiceId from URL parameter
     const { voiceId } = req.params;
     if (!voiceId) {
@@ -351,13 +368,19 @@ export const downloadVoice = async (req, res) => {
         .json({ error: "Not authorized to access this voice file" });
     }
 
-    // Fetch file from S3
-    const getObjectParams = {
-      Bucket: process.env.AWS_BUCKET_NAME,
-      Key: voiceMetadata.voice.s3Key,
-    };
-    const command = new GetObjectCommand(getObjectParams);
-    const { Body, ContentType, ContentLength } = await s3.send(command);
+    // Fetch file from storage
+    const {
+      body: Body,
+      contentType: ContentType,
+      contentLength: ContentLength,
+    } = await getStorage().getStream(voiceMetadata.voice.s3Key);
+    await recordAudit({
+      action: "voice.download",
+      actor: user,
+      roomId,
+      target: { type: "voice", id: voiceMetadata.voice.filename },
+      source: auditSource(req),
+    });
 
     // Set headers for download
     res.setHeader("Content-Type", ContentType || voiceMetadata.voice.mimeType);
@@ -389,21 +412,6 @@ export const deleteVoice = async (req, res) => {
 
     // Use user data from authMiddleware
     const user = req.user;
-    const allowedRoles = [
-      "Employee",
-      "CEO",
-      "Manager",
-      "HR",
-      "Client",
-      "TeamLeader",
-    ];
-    if (!allowedRoles.includes(user.position)) {
-      // console.log("❌ Insufficient permissions:", user.position);
-      return res
-        .status(403)
-        .json({ error: "Insufficient position permissions" });
-    }
-
     // Get voiceId from URL parameter
     const { voiceId } = req.params;
     if (!voiceId) {
@@ -437,6 +445,11 @@ export const deleteVoice = async (req, res) => {
           .status(403)
           .json({ error: "Not authorized to delete this voice" });
       }
+      if (room.archivedAt || room.deletedAt) {
+        return res
+          .status(403)
+          .json({ error: "This room is archived and read-only" });
+      }
     } else if (
       roomId.startsWith("company_") &&
       roomId !== `company_${user.companyId}`
@@ -447,23 +460,30 @@ export const deleteVoice = async (req, res) => {
         .json({ error: "Not authorized to delete this voice" });
     }
 
-    // Delete from S3
+    // Delete from storage
     if (voiceMetadata.voice && voiceMetadata.voice.s3Key) {
-      const deleteParams = {
-        Bucket: process.env.AWS_BUCKET_NAME,
-        Key: voiceMetadata.voice.s3Key,
-      };
-      // console.log("Deleting from S3 with params:", deleteParams);
-      await s3.send(new DeleteObjectCommand(deleteParams));
-      // console.log("✅ S3 Delete Successful");
+      await getStorage().deleteMany([voiceMetadata.voice.s3Key]);
+      // console.log("✅ Storage Delete Successful");
     } else {
-      // console.log("⚠️ No S3 key found, skipping S3 deletion");
+      // console.log("⚠️ No storage key found, skipping deletion");
     }
 
-    // Delete from MongoDB
-    await messageCollection.deleteOne({
-      "voice.filename": voiceId,
-      companyId: new ObjectId(user.companyId),
+    // Leave a tombstone so the conversation keeps the message's place
+    const tombstoned = await tombstoneMessage(
+      messageCollection,
+      { "voice.filename": voiceId, companyId: new ObjectId(user.companyId) },
+      user.userId
+    );
+    if (tombstoned.modifiedCount > 0) {
+      await releaseStorage(user.companyId, roomId, voiceMetadata.voice.size || 0);
+    }
+    await recordAudit({
+      action: "voice.delete",
+      actor: user,
+      roomId,
+      target: { type: "voice", id: voiceId },
+      before: { uploadedBy: voiceMetadata.userId, ...voiceMetadata.voice },
+      source: auditSource(req),
     });
 
     // Emit socket event
@@ -531,7 +551,7 @@ export const deleteS3VoicesByRoom = async (adata) => {
     //   `🔍 Found ${messages.length} messages with voice field for room ${roomId}`
     // );
 
-    // Collect S3 keys
+    // Collect storage keys
     const voiceKeys = messages
       .filter(
         (message) =>
@@ -539,28 +559,16 @@ export const deleteS3VoicesByRoom = async (adata) => {
           message.voice.s3Key &&
           typeof message.voice.s3Key === "string"
       )
-      .map((message) => ({ Key: message.voice.s3Key }));
-    // console.log(`🔍 Collected ${voiceKeys.length} voice S3 keys`);
+      .map((message) => message.voice.s3Key);
+    // console.log(`🔍 Collected ${voiceKeys.length} voice storage keys`);
 
-    // Delete voice files from S3
+    // Delete voice files from storage
     let deletedCount = 0;
     if (voiceKeys.length > 0) {
-      const deleteParams = {
-        Bucket: process.env.AWS_BUCKET_NAME,
-        Delete: {
-          Objects: voiceKeys,
-          Quiet: false,
-        },
-      };
-      // console.log("Deleting S3 voice files:", deleteParams);
-      const result = await s3.send(new DeleteObjectsCommand(deleteParams));
-      deletedCount = result.Deleted ? result.Deleted.length : voiceKeys.length;
+      deletedCount = await getStorage().deleteMany(voiceKeys);
       // console.log(
-      //   `✅ Deleted ${deletedCount} S3 voice files for room ${roomId}`
+      //   `✅ Deleted ${deletedCount} stored voice files for room ${roomId}`
       // );
-      if (result.Errors && result.Errors.length > 0) {
-        console.error("❌ S3 deletion errors:", result.Errors);
-      }
 
       // Delete corresponding messages from MongoDB
       await messageCollection.deleteMany({
@@ -598,21 +606,6 @@ export const getAllCompanyVoices = async (req, res) => {
 
     // Use user data from authMiddleware
     const user = req.user;
-    const allowedRoles = [
-      "Employee",
-      "CEO",
-      "Manager",
-      "HR",
-      "Client",
-      "TeamLeader",
-    ];
-    if (!allowedRoles.includes(user.position)) {
-      // console.log("❌ Insufficient permissions:", user.position);
-      return res
-        .status(403)
-        .json({ success: false, error: "Insufficient position permissions" });
-    }
-
     // Get roomId from URL parameter
     const { roomId } = req.params;
     if (!roomId) {
@@ -680,16 +673,29 @@ export const getAllCompanyVoices = async (req, res) => {
       return res.status(404).json({ message: "User not found" });
     }
 
-    // Fetch voice messages from MongoDB
+    const pageParams = parsePageParams(req.query);
+    if (pageParams.error) {
+      return res
+        .status(400)
+        .json({ success: false, error: pageParams.error });
+    }
+
+    // Fetch a page of voice messages from MongoDB, newest first
     const messageCollection = db.collection("messages");
-    const voiceMessages = await messageCollection
-      .find({
+    const page = await paginateByTimestamp(
+      messageCollection,
+      {
         roomId,
         companyId: new ObjectId(user.companyId),
         voice: { $exists: true },
-      })
-      .sort({ timestamp: -1 })
-      .toArray();
+      },
+      pageParams,
+      -1
+    );
+    if (page.error) {
+      return res.status(page.status).json({ success: false, error: page.error });
+    }
+    const voiceMessages = page.items;
 
     // console.log(
     //   `📜 [Found ${voiceMessages.length} voice messages in MongoDB] for room: ${roomId}`
@@ -700,6 +706,7 @@ export const getAllCompanyVoices = async (req, res) => {
         success: true,
         message: "No voice messages found",
         data: [],
+        pageInfo: page.pageInfo,
       });
     }
 
@@ -712,23 +719,15 @@ export const getAllCompanyVoices = async (req, res) => {
         }
 
         try {
-          // Validate file existence in S3
-          const headParams = {
-            Bucket: process.env.AWS_BUCKET_NAME,
-            Key: msg.voice.s3Key,
-          };
-          await s3.send(new HeadObjectCommand(headParams));
-          // console.log(`✅ S3 Voice Exists: ${msg.voice.s3Key}`);
+          // Validate file existence in storage
+          if (!(await getStorage().head(msg.voice.s3Key))) {
+            throw new Error("Voice file not found in storage");
+          }
 
           // Generate presigned URL
-          const presignedUrl = await getSignedUrl(
-            s3,
-            new GetObjectCommand({
-              Bucket: process.env.AWS_BUCKET_NAME,
-              Key: msg.voice.s3Key,
-            }),
-            { expiresIn: 3600 }
-          );
+          const presignedUrl = await getStorage().presignGet(msg.voice.s3Key, {
+            expiresIn: 3600,
+          });
 
           // Apply the same username logic as getMessagesByRoom
           let displayUsername = msg.username || "Anonymous";
@@ -764,7 +763,7 @@ export const getAllCompanyVoices = async (req, res) => {
           return messageData;
         } catch (s3Error) {
           console.error(
-            `❌ [S3 Error] Message ID: ${msg._id}, Voice: ${msg.voice.s3Key}`,
+            `❌ [Storage Error] Message ID: ${msg._id}, Voice: ${msg.voice.s3Key}`,
             s3Error.message
           );
           return null;
@@ -783,6 +782,7 @@ export const getAllCompanyVoices = async (req, res) => {
       success: true,
       message: "Voice messages retrieved successfully",
       data: validMessages,
+      pageInfo: page.pageInfo,
     });
   } catch (error) {
     console.error("❌ [Fetch All Voices Error]:", error.message, error.stack);
@@ -1,28 +1,70 @@
 import express from "express"
-import { getLogginUser, getMessagesByRoom, getRooms, getUsersByCompany, handleDeleteRoom } from "../controller/message.controller.js";
+import { getLogginUser, getMentions, getMessageHistory, getMessagesByRoom, getRooms, getThreadMessages, getUsersByCompany, handleDeleteRoom } from "../controller/message.controller.js";
 import { deleteFile , downloadFile, getFilesByRoom, uploadFile , uploadMiddleware } from "../controller/filleController.js";
 import { deleteVoice, downloadVoice, getAllCompanyVoices, uploadVoice , voiceUploadMiddleware } from "../controller/voiceController.js";
+import { addMembers, archiveRoom, openDirect, removeMember, restoreRoom, roomAvatarUploadMiddleware, transferOwnership, unarchiveRoom, updateMemberRole, updateRoom } from "../controller/room.controller.js";
+import { searchMessages } from "../controller/search.controller.js";
+import { getPresence } from "../controller/presence.controller.js";
+import { getAuditLogs } from "../controller/audit.controller.js";
+import { getUsage } from "../controller/usage.controller.js";
+import { abortUpload, confirmUpload, createUpload } from "../controller/upload.controller.js";
+import { receiveStoredObject, serveStoredObject } from "../controller/storage.controller.js";
 import authMiddleware from "../middleware/auth.middleware.js";
+import { requirePermission } from "../services/permissions.js";
+import { rateLimit } from "../services/rateLimit.js";
 const router = express.Router();
 
-router.get("/user", authMiddleware , getLogginUser)
-router.get("/companyUsers" , authMiddleware , getUsersByCompany)
-router.get("/messages", authMiddleware, getMessagesByRoom);
-router.get("/rooms" , authMiddleware , getRooms)
+// requirePermission declares the company-level permission of every route;
+// room routes are also checked against room roles in the controller.
+// rateLimit applies the per-user and per-company token buckets.
+
+router.get("/user", authMiddleware , rateLimit() , requirePermission("profile.view") , getLogginUser)
+router.get("/companyUsers" , authMiddleware , rateLimit() , requirePermission("users.list") , getUsersByCompany)
+router.get("/messages", authMiddleware, rateLimit() , requirePermission("message.read") , getMessagesByRoom);
+router.get("/messages/:messageId/thread", authMiddleware, rateLimit() , requirePermission("message.read") , getThreadMessages);
+router.get("/messages/:messageId/history", authMiddleware, rateLimit() , requirePermission("message.read") , getMessageHistory);
+router.get("/rooms" , authMiddleware , rateLimit() , requirePermission("room.list") , getRooms)
+router.post("/direct" , authMiddleware , rateLimit() , requirePermission("direct.open") , openDirect)
+router.patch("/rooms/:roomId" , authMiddleware , rateLimit() , requirePermission("room.update") , roomAvatarUploadMiddleware , updateRoom)
+
+//room membership
+router.post("/rooms/:roomId/members" , authMiddleware , rateLimit() , requirePermission("room.members") , addMembers)
+router.delete("/rooms/:roomId/members/:userId" , authMiddleware , rateLimit() , requirePermission("room.members") , removeMember)
+router.patch("/rooms/:roomId/members/:userId/role" , authMiddleware , rateLimit() , requirePermission("room.members") , updateMemberRole)
+router.post("/rooms/:roomId/transfer" , authMiddleware , rateLimit() , requirePermission("room.transfer") , transferOwnership)
+router.get("/search" , authMiddleware , rateLimit("search") , requirePermission("message.search") , searchMessages)
+router.get("/mentions" , authMiddleware , rateLimit() , requirePermission("message.read") , getMentions)
+router.get("/presence" , authMiddleware , rateLimit() , requirePermission("presence.view") , getPresence)
+router.get("/audit" , authMiddleware , rateLimit("search") , requirePermission("audit.view") , getAuditLogs)
+router.get("/usage" , authMiddleware , rateLimit("search") , requirePermission("usage.view") , getUsage)
 
 
 //room delete 
-router.delete("/delete/room/:roomId" , authMiddleware , handleDeleteRoom)
+router.delete("/delete/room/:roomId" , authMiddleware , rateLimit() , requirePermission("room.delete") , handleDeleteRoom)
+router.post("/rooms/:roomId/restore" , authMiddleware , rateLimit() , requirePermission("room.delete") , restoreRoom)
+
+//room archive
+router.post("/rooms/:roomId/archive" , authMiddleware , rateLimit() , requirePermission("room.archive") , archiveRoom)
+router.post("/rooms/:roomId/unarchive" , authMiddleware , rateLimit() , requirePermission("room.archive") , unarchiveRoom)
 
 //file upload and download
-router.post("/upload" , authMiddleware , uploadMiddleware , uploadFile)
-router.get("/download/:fileID" , authMiddleware  , downloadFile)
-router.delete("/delete/file/:fileID" , authMiddleware , deleteFile  ) // delete one file 
-router.get("/get/file/:roomId" , authMiddleware , getFilesByRoom) 
+router.post("/upload" , authMiddleware , rateLimit("upload") , requirePermission("file.upload") , uploadMiddleware , uploadFile)
+router.get("/download/:fileID" , authMiddleware , rateLimit() , requirePermission("file.download") , downloadFile)
+router.delete("/delete/file/:fileID" , authMiddleware , rateLimit() , requirePermission("file.delete") , deleteFile  ) // delete one file 
+router.get("/get/file/:roomId" , authMiddleware , rateLimit() , requirePermission("file.list") , getFilesByRoom) 
+
+//direct-to-storage uploads: presign, then confirm once the client has uploaded
+router.post("/uploads" , authMiddleware , rateLimit("upload") , requirePermission("file.upload") , createUpload)
+router.post("/uploads/:uploadId/confirm" , authMiddleware , rateLimit() , requirePermission("file.upload") , confirmUpload)
+router.delete("/uploads/:uploadId" , authMiddleware , rateLimit() , requirePermission("file.upload") , abortUpload)
+
+//presigned URLs of the local storage driver; the signed token is the auth
+router.get("/storage/:token" , serveStoredObject)
+router.put("/storage/:token" , receiveStoredObject)
 
 //voice upload and download
-router.post("/upload/voice",authMiddleware , voiceUploadMiddleware , uploadVoice)
-router.get("/download/voice/:voiceId" , authMiddleware ,downloadVoice)
-router.delete("/delete/voice/:voiceId" , authMiddleware , deleteVoice ) // delete one voice file
-router.get("/get/voice/:roomId" , authMiddleware , getAllCompanyVoices ) // delete all voice file of that roomes
+router.post("/upload/voice",authMiddleware , rateLimit("upload") , requirePermission("voice.upload") , voiceUploadMiddleware , uploadVoice)
+router.get("/download/voice/:voiceId" , authMiddleware , rateLimit() , requirePermission("voice.download") ,downloadVoice)
+router.delete("/delete/voice/:voiceId" , authMiddleware , rateLimit() , requirePermission("voice.delete") , deleteVoice ) // delete one voice file
+router.get("/get/voice/:roomId" , authMiddleware , rateLimit() , requirePermission("voice.list") , getAllCompanyVoices ) // delete all voice file of that roomes
 export default router ;
\ No newline at end of file
@@ -0,0 +1,90 @@
+import { getDB } from "./db.js";
+
+/**
+ * Append-only audit trail in the `auditLogs` collection. Entries are only
+ * ever inserted; nothing in the app updates or deletes them.
+ */
+export const AUDIT_ACTIONS = [
+  "room.create",
+  "room.update",
+  "room.delete",
+  "room.restore",
+  "room.purge",
+  "room.archive",
+  "room.unarchive",
+  "room.member.add",
+  "room.member.remove",
+  "room.member.leave",
+  "room.member.role",
+  "room.owner.transfer",
+  "message.edit",
+  "message.delete",
+  "file.upload",
+  "file.download",
+  "file.delete",
+  "file.quarantine",
+  "voice.upload",
+  "voice.download",
+  "voice.delete",
+  "voice.quarantine",
+];
+
+// Where an action came from: an Express request, a socket, or a job name
+export const auditSource = (origin) => {
+  if (!origin) return {};
+  if (typeof origin === "string") return { job: origin };
+  if (origin.handshake) {
+    return { socketId: origin.id, ip: origin.handshake.address || null };
+  }
+  return {
+    ip: origin.ip || null,
+    userAgent: origin.get?.("user-agent") || null,
+  };
+};
+
+/**
+ * Record one action. `actor` is a resolved identity (req.user / socket.user);
+ * `before` and `after` are snapshots of the changed fields. Failures are
+ * logged and never break the action being audited.
+ */
+export const recordAudit = async ({
+  action,
+  actor,
+  companyId,
+  roomId = null,
+  target = null,
+  before,
+  after,
+  metadata,
+  source,
+}) => {
+  if (!AUDIT_ACTIONS.includes(action)) {
+    console.error(`Unknown audit action: ${action}`);
+    return;
+  }
+  const entry = {
+    action,
+    companyId: String(companyId ?? actor?.companyId ?? ""),
+    actor: actor
+      ? {
+          userId: actor.userId,
+          role: actor.role || null,
+          position: actor.position || null,
+          name: actor.firstName || null,
+        }
+      : { userId: "system", role: null, position: null, name: null },
+    roomId,
+    target,
+    source: source || {},
+    timestamp: new Date(),
+  };
+  if (before !== undefined) entry.before = before;
+  if (after !== undefined) entry.after = after;
+  if (metadata !== undefined) entry.metadata = metadata;
+
+  try {
+    await getDB().collection("auditLogs").insertOne(entry);
+  } catch (error) {
+    console.error(`❌ [Audit Error] ${action}:`, error.message);
+  }
+};
@@ -0,0 +1,81 @@
+/**
+ * Payloads differ by role (clients see less), so every socket that joins a
+ * Socket.IO room also joins that room's sub-room for its role. A broadcast
+ * is then one emit per role, which the Redis adapter relays to every node,
+ * instead of fetching and emitting to each socket.
+ */
+export const BROADCAST_ROLES = ["user", "admin", "Client"];
+
+export const roleRoom = (target, role) => `role:${role}:${target}`;
+
+// Join a socket to `target` (a chat, personal or company room) and its role
+export const joinRoom = (socket, target) =>
+  socket.join([target, roleRoom(target, socket.data.user.role)]);
+
+export const leaveRoom = (socket, target) => {
+  socket.leave(target);
+  socket.leave(roleRoom(target, socket.data.user.role));
+};
+
+/**
+ * Join or leave every socket of `userIds`, on any node. A socket is only in
+ * the role sub-room of its personal room for its own role, so it ends up in
+ * the matching sub-room of `target`.
+ */
+export const usersJoinRoom = (io, userIds, target) => {
+  if (userIds.length === 0) return;
+  io.in(userIds).socketsJoin(target);
+  for (const role of BROADCAST_ROLES) {
+    io.in(userIds.map((id) => roleRoom(id, role))).socketsJoin(
+      roleRoom(target, role)
+    );
+  }
+};
+
+export const usersLeaveRoom = (io, userIds, target) => {
+  if (userIds.length === 0) return;
+  io.in(userIds).socketsLeave(target);
+  for (const role of BROADCAST_ROLES) {
+    io.in(userIds.map((id) => roleRoom(id, role))).socketsLeave(
+      roleRoom(target, role)
+    );
+  }
+};
+
+/**
+ * Emit to every socket in a Socket.IO room (a chat room or a user's personal
+ * room) on any server instance. `payloadFor` receives { role } and returns
+ * the payload for that role, or null to skip it.
+ *
+ * Payloads that depend on who receives them (their own reaction, their own
+ * message) list those users in `personalized`: they are left out of the role
+ * broadcasts and get payloadFor(socket.data.user) on each of their sockets.
+ */
+export const emitToRoom = async (
+  io,
+  target,
+  event,
+  payloadFor,
+  { exceptSocketId, personalized = [] } = {}
+) => {
+  const excluded = exceptSocketId
+    ? [...personalized, exceptSocketId]
+    : personalized;
+  for (const role of BROADCAST_ROLES) {
+    const payload = payloadFor({ role });
+    if (payload != null) {
+      io.to(roleRoom(target, role)).except(excluded).emit(event, payload);
+    }
+  }
+  if (personalized.length === 0) return;
+
+  const sockets = await io.in(personalized).fetchSockets();
+  for (const client of sockets) {
+    if (client.id === exceptSocketId || !client.data.user) continue;
+    if (!client.rooms.has(target)) continue;
+    const payload = payloadFor(client.data.user);
+    if (payload != null) {
+      client.emit(event, payload);
+    }
+  }
+};
@@ -1,6 +1,85 @@
 import { MongoClient } from "mongodb";
 
 let db;
+
+// Indexes the chat features rely on; createIndex is a no-op when they exist
+const ensureIndexes = async (db) => {
+  await db.collection("messages").createIndex({ roomId: 1, timestamp: 1 });
+  await db
+    .collection("messages")
+    .createIndex({ mentionedUserIds: 1, timestamp: -1 });
+  // message_search gained files.originalName; an index left under that name
+  // with the old keys is rebuilt
+  const messageSearchKeys = {
+    message: "text",
+    "file.originalName": "text",
+    "files.originalName": "text",
+    "voice.originalName": "text",
+  };
+  await db
+    .collection("messages")
+    .createIndex(messageSearchKeys, { name: "message_search" })
+    .catch(async (error) => {
+      if (
+        !["IndexKeySpecsConflict", "IndexOptionsConflict"].includes(
+          error.codeName
+        )
+      ) {
+        throw error;
+      }
+      await db.collection("messages").dropIndex("message_search");
+      await db
+        .collection("messages")
+        .createIndex(messageSearchKeys, { name: "message_search" });
+    });
+  await db.collection("rooms").createIndex(
+    { directKey: 1 },
+    { unique: true, partialFilterExpression: { type: "direct" } }
+  );
+  await db
+    .collection("roomReads")
+    .createIndex({ userId: 1, roomId: 1 }, { unique: true });
+  await db
+    .collection("roomReads")
+    .createIndex({ roomId: 1, lastReadAt: -1 });
+  // clientMsgId used to be unique per sender only; it is now per room too
+  await db
+    .collection("messages")
+    .dropIndex("userId_1_clientMsgId_1")
+    .catch((error) => {
+      if (!["IndexNotFound", "NamespaceNotFound"].includes(error.codeName)) {
+        throw error;
+      }
+    });
+  await db.collection("messages").createIndex(
+    { userId: 1, roomId: 1, clientMsgId: 1 },
+    { unique: true, partialFilterExpression: { clientMsgId: { $type: "string" } } }
+  );
+  await db.collection("presence").createIndex({ userId: 1 }, { unique: true });
+  await db.collection("presence").createIndex({ companyId: 1 });
+  await db
+    .collection("permissionPolicies")
+    .createIndex({ companyId: 1 }, { unique: true });
+  await db
+    .collection("messageVersions")
+    .createIndex({ messageId: 1, version: 1 }, { unique: true });
+  await db.collection("messageVersions").createIndex({ roomId: 1 });
+  await db
+    .collection("messagePolicies")
+    .createIndex({ companyId: 1 }, { unique: true });
+  await db.collection("pendingUploads").createIndex({ expiresAt: 1 });
+  await db
+    .collection("storageUsage")
+    .createIndex({ companyId: 1, roomId: 1 }, { unique: true });
+  await db.collection("auditLogs").createIndex({ companyId: 1, timestamp: -1 });
+  await db
+    .collection("auditLogs")
+    .createIndex({ companyId: 1, action: 1, timestamp: -1 });
+  await db
+    .collection("auditLogs")
+    .createIndex({ companyId: 1, roomId: 1, timestamp: -1 });
+};
+
 export const connectDB = async () => {
   console.log("Mongo URI:", process.env.MONGO_URI); // temporary debug
   const client = new MongoClient(process.env.MONGO_URI);
@@ -9,6 +88,7 @@ export const connectDB = async () => {
     await client.connect();
     console.log("connect to mongodb");
     db = client.db("tm");
+    await ensureIndexes(db);
   } catch (error) {
     console.log("error in connecting database", error);
   }
@@ -0,0 +1,107 @@
+import path from "path";
+
+// Enough of the start of a file to recognise every signature below
+export const SNIFF_BYTES = 64 * 1024;
+
+const startsWith = (buffer, bytes, offset = 0) =>
+  buffer.length >= offset + bytes.length &&
+  bytes.every((byte, index) => buffer[offset + index] === byte);
+
+const startsWithText = (buffer, text, offset = 0) =>
+  startsWith(buffer, [...Buffer.from(text, "latin1")], offset);
+
+/**
+ * Signatures of the types uploads accept, with the extensions and declared
+ * MIME types that may carry each one. DOCX is a ZIP archive, so it also
+ * has to contain the Word document parts.
+ */
+const FILE_TYPES = [
+  {
+    type: "image/jpeg",
+    extensions: [".jpg", ".jpeg"],
+    mimeTypes: ["image/jpeg", "image/jpg", "image/pjpeg"],
+    matches: (buffer) => startsWith(buffer, [0xff, 0xd8, 0xff]),
+  },
+  {
+    type: "image/png",
+    extensions: [".png"],
+    mimeTypes: ["image/png"],
+    matches: (buffer) =>
+      startsWith(buffer, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+  },
+  {
+    type: "application/pdf",
+    extensions: [".pdf"],
+    mimeTypes: ["application/pdf"],
+    matches: (buffer) => startsWithText(buffer, "%PDF-"),
+  },
+  {
+    type: "application/msword",
+    extensions: [".doc"],
+    mimeTypes: ["application/msword"],
+    // OLE2 compound document
+    matches: (buffer) =>
+      startsWith(buffer, [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]),
+  },
+  {
+    type: "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+    extensions: [".docx"],
+    mimeTypes: [
+      "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+    ],
+    matches: (buffer) =>
+      startsWith(buffer, [0x50, 0x4b, 0x03, 0x04]) &&
+      (buffer.includes("[Content_Types].xml") || buffer.includes("word/")),
+  },
+  {
+    type: "audio/mpeg",
+    extensions: [".mp3"],
+    mimeTypes: ["audio/mpeg"],
+    // An ID3 tag or an MPEG audio frame header
+    matches: (buffer) =>
+      startsWithText(buffer, "ID3") ||
+      (buffer.length >= 2 && buffer[0] === 0xff && (buffer[1] & 0xe0) === 0xe0),
+  },
+  {
+    type: "audio/wav",
+    extensions: [".wav"],
+    mimeTypes: ["audio/wav", "audio/x-wav", "audio/wave"],
+    matches: (buffer) =>
+      startsWithText(buffer, "RIFF") && startsWithText(buffer, "WAVE", 8),
+  },
+  {
+    type: "audio/ogg",
+    extensions: [".ogg"],
+    mimeTypes: ["audio/ogg"],
+    matches: (buffer) => startsWithText(buffer, "OggS"),
+  },
+  {
+    type: "audio/webm",
+    extensions: [".webm"],
+    mimeTypes: ["audio/webm"],
+    // EBML header
+    matches: (buffer) => startsWith(buffer, [0x1a, 0x45, 0xdf, 0xa3]),
+  },
+];
+
+// The type the bytes of a file actually are, or null when unrecognised
+export const detectFileType = (buffer) =>
+  FILE_TYPES.find((fileType) => fileType.matches(buffer))?.type || null;
+
+/**
+ * Check the first bytes of an upload against its name and the MIME type the
+ * client declared. Returns null when all three agree, or an error message.
+ */
+export const checkFileSignature = (buffer, originalName, mimeType) => {
+  const detected = FILE_TYPES.find((fileType) => fileType.matches(buffer));
+  if (!detected) {
+    return `${originalName} is not a supported file type`;
+  }
+  if (
+    !detected.extensions.includes(path.extname(originalName).toLowerCase()) ||
+    !detected.mimeTypes.includes(mimeType)
+  ) {
+    return `${originalName} contains ${detected.type}, which does not match its name or type`;
+  }
+  return null;
+};
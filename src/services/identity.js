@@ -0,0 +1,238 @@
+import jwt from "jsonwebtoken";
+import { ObjectId } from "mongodb";
+import { getDB } from "./db.js";
+import { getRedis } from "./redis.js";
+
+/**
+ * One identity model for REST (authMiddleware) and Socket.IO (io.use).
+ *
+ * Roles are "user", "admin" and "Client", matching the users, admins and
+ * clients collections. Positions are normalised to the spelling below; any
+ * position outside this list is rejected.
+ */
+export const POSITIONS = {
+  employee: "Employee",
+  ceo: "CEO",
+  manager: "Manager",
+  hr: "HR",
+  teamleader: "TeamLeader",
+  client: "Client",
+  admin: "Admin",
+};
+
+const ROLE_COLLECTIONS = {
+  user: "users",
+  admin: "admins",
+  Client: "clients",
+};
+
+const ROLE_BY_POSITION = {
+  client: "Client",
+  admin: "admin",
+};
+
+// Accounts are changed outside this service, so cached identities are kept
+// short: a deleted or demoted account keeps its old access at most this long
+const IDENTITY_CACHE_TTL_SECONDS = 30;
+const COMPANY_CACHE_TTL_SECONDS = 5 * 60;
+const identityKey = (role, id) => `chat:identity:${role}:${id}`;
+const companyKey = (companyId) => `chat:company:${companyId}`;
+
+const normalizeRole = (value) => {
+  const role = String(value || "").toLowerCase();
+  if (role === "client") return "Client";
+  if (role === "admin") return "admin";
+  if (["user", "employee"].includes(role)) return "user";
+  return null;
+};
+
+export const normalizePosition = (value) =>
+  POSITIONS[String(value || "").toLowerCase()] || null;
+
+/**
+ * Read the user id and role hint from decoded JWT claims. The id may be in
+ * userId, clientId, adminId or id; the role comes from the position, then
+ * from role/userRole/type claims, then from the id claim's name. A null role
+ * means "look it up".
+ */
+export const parseTokenClaims = (decoded) => {
+  const id = decoded?.userId || decoded?.clientId || decoded?.adminId || decoded?.id;
+  if (!id) {
+    return {
+      success: false,
+      status: 401,
+      error: "Invalid token structure, user ID not found",
+    };
+  }
+  if (!ObjectId.isValid(String(id))) {
+    return { success: false, status: 401, error: "Invalid user ID format" };
+  }
+
+  let role = null;
+  const position = decoded.position?.toLowerCase();
+  if (position) {
+    if (!POSITIONS[position]) {
+      return {
+        success: false,
+        status: 403,
+        error: "Authorization error: Invalid or unauthorized role",
+      };
+    }
+    role = ROLE_BY_POSITION[position] || "user";
+  } else {
+    role = normalizeRole(decoded.role || decoded.userRole || decoded.type);
+  }
+  // clientId / adminId claims tell which collection the id belongs to
+  if (!role && !decoded.userId) {
+    if (decoded.clientId) role = "Client";
+    else if (decoded.adminId) role = "admin";
+  }
+
+  return { success: true, userId: String(id), role };
+};
+
+// Accepts a raw token or a "Bearer <token>" value
+export const extractToken = (value) => {
+  if (typeof value !== "string" || value.trim() === "") return null;
+  const [scheme, token] = value.trim().split(/\s+/);
+  if (token) return scheme === "Bearer" ? token : null;
+  return scheme;
+};
+
+const findAccount = async (userId, role) => {
+  const db = getDB();
+  const projection = {
+    position: 1,
+    firstName: 1,
+    fullName: 1,
+    name: 1,
+    companyId: 1,
+    email: 1,
+  };
+  const _id = new ObjectId(userId);
+  // Without a role hint, look in users, admins, then clients
+  const roles = role ? [role] : Object.keys(ROLE_COLLECTIONS);
+  for (const candidate of roles) {
+    const account = await db
+      .collection(ROLE_COLLECTIONS[candidate])
+      .findOne({ _id }, { projection });
+    if (account) return { account, role: candidate };
+  }
+  return null;
+};
+
+const getCompanyName = async (companyId) => {
+  const redis = getRedis();
+  const cached = await redis.get(companyKey(companyId));
+  if (cached !== null) return cached;
+
+  let companyName = "Unknown";
+  try {
+    const company = await getDB()
+      .collection("companyregistrations")
+      .findOne(
+        { _id: new ObjectId(companyId) },
+        { projection: { "companyInfo.companyName": 1 } }
+      );
+    companyName = company?.companyInfo?.companyName || "Unknown";
+  } catch (error) {
+    console.error(`Error fetching company for ID: ${companyId}`, error.message);
+  }
+  await redis.set(companyKey(companyId), companyName, {
+    expiration: { type: "EX", value: COMPANY_CACHE_TTL_SECONDS },
+  });
+  return companyName;
+};
+
+const loadIdentity = async (userId, role, decoded) => {
+  const found = await findAccount(userId, role);
+  if (!found) {
+    console.warn(`User not found for ID: ${userId} with role: ${role}`);
+    return {
+      success: false,
+      status: 401,
+      error: "User not found, authorization denied",
+    };
+  }
+  const { account } = found;
+
+  // The stored position wins over the token's
+  const position = normalizePosition(account.position || decoded.position);
+  if (!position) {
+    console.error(`Invalid position for user ${userId}:`, account.position);
+    return {
+      success: false,
+      status: 403,
+      error: "Authorization error: Invalid or unauthorized role",
+    };
+  }
+
+  const companyId = account.companyId?.toString() || decoded.companyId || null;
+  const user = {
+    userId,
+    email: account.email || decoded.email || null,
+    companyId,
+    position,
+    firstName:
+      account.firstName ||
+      account.name ||
+      account.fullName ||
+      decoded.firstName ||
+      null,
+    companyName: companyId
+      ? await getCompanyName(companyId)
+      : decoded.companyName || null,
+    role: found.role,
+  };
+  if (user.role === "admin") user.adminId = userId;
+  if (user.role === "Client") user.clientId = userId;
+  return { success: true, user };
+};
+
+/**
+ * Verify a JWT and resolve the account behind it. Resolved identities are
+ * cached in Redis for IDENTITY_CACHE_TTL_SECONDS, keyed by role and id.
+ * Returns { success: true, user } or { success: false, status, error }.
+ */
+export const resolveIdentity = async (token) => {
+  if (!process.env.JWT_SECRET) {
+    console.error("JWT_SECRET not set");
+    return { success: false, status: 500, error: "Server configuration error" };
+  }
+  if (!token) {
+    return {
+      success: false,
+      status: 401,
+      error: "No token provided, authorization denied",
+    };
+  }
+
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    console.error("Token verification error:", error.message);
+    return {
+      success: false,
+      status: 401,
+      error: error.name === "TokenExpiredError" ? "Token expired" : "Invalid token",
+    };
+  }
+
+  const claims = parseTokenClaims(decoded);
+  if (!claims.success) return claims;
+
+  const redis = getRedis();
+  const key = identityKey(claims.role || "any", claims.userId);
+  const cached = await redis.get(key);
+  if (cached) return { success: true, user: JSON.parse(cached) };
+
+  const result = await loadIdentity(claims.userId, claims.role, decoded);
+  if (result.success) {
+    await redis.set(key, JSON.stringify(result.user), {
+      expiration: { type: "EX", value: IDENTITY_CACHE_TTL_SECONDS },
+    });
+  }
+  return result;
+};
+
@@ -0,0 +1,62 @@
+import { getDB } from "./db.js";
+import { getRedis } from "./redis.js";
+
+const POLICY_CACHE_TTL_SECONDS = 5 * 60;
+const policyKey = (companyId) => `chat:messagePolicy:${companyId}`;
+
+// Minutes from env, falling back to 0 (no limit) when unset or invalid
+const envMinutes = (name) => {
+  const minutes = Number(process.env[name] ?? 0);
+  return Number.isFinite(minutes) && minutes >= 0 ? minutes : 0;
+};
+
+const validMinutes = (value, fallback) =>
+  Number.isFinite(value) && value >= 0 ? value : fallback;
+
+/**
+ * How long after sending a user may edit or delete their own message.
+ * Defaults come from MESSAGE_EDIT_WINDOW_MINUTES and
+ * MESSAGE_DELETE_WINDOW_MINUTES; a company overrides them in
+ * `messagePolicies` as { companyId, editWindowMinutes, deleteWindowMinutes }.
+ * 0 means no limit.
+ */
+export const getMessageWindows = async (companyId) => {
+  const defaults = {
+    editWindowMinutes: envMinutes("MESSAGE_EDIT_WINDOW_MINUTES"),
+    deleteWindowMinutes: envMinutes("MESSAGE_DELETE_WINDOW_MINUTES"),
+  };
+  if (!companyId) return defaults;
+
+  const redis = getRedis();
+  const cached = await redis.get(policyKey(companyId));
+  let policy;
+  if (cached) {
+    policy = JSON.parse(cached);
+  } else {
+    const stored = await getDB()
+      .collection("messagePolicies")
+      .findOne({ companyId: String(companyId) });
+    policy = {
+      editWindowMinutes: stored?.editWindowMinutes ?? null,
+      deleteWindowMinutes: stored?.deleteWindowMinutes ?? null,
+    };
+    await redis.set(policyKey(companyId), JSON.stringify(policy), {
+      expiration: { type: "EX", value: POLICY_CACHE_TTL_SECONDS },
+    });
+  }
+
+  return {
+    editWindowMinutes: validMinutes(
+      policy.editWindowMinutes,
+      defaults.editWindowMinutes
+    ),
+    deleteWindowMinutes: validMinutes(
+      policy.deleteWindowMinutes,
+      defaults.deleteWindowMinutes
+    ),
+  };
+};
+
+// Whether a message sent at `timestamp` is still inside a window of `minutes`
+export const isWithinWindow = (timestamp, minutes) =>
+  !minutes || Date.now() - new Date(timestamp).getTime() <= minutes * 60 * 1000;
@@ -0,0 +1,118 @@
+import { getDB } from "./db.js";
+import { getRedis } from "./redis.js";
+import { normalizePosition } from "./identity.js";
+
+const ALL_ROLES = ["user", "admin", "Client"];
+
+/**
+ * Company-wide permissions. A user is allowed an action when their role
+ * (user, admin, Client) or their position (Employee, CEO, ...) is listed.
+ * Room-level rules (owner/admin/readonly) live in ROOM_PERMISSIONS in
+ * services/room.js and apply on top of these. Every route and socket event
+ * names one of these actions, so a company can restrict any of them.
+ */
+export const DEFAULT_PERMISSIONS = {
+  "profile.view": { roles: ALL_ROLES, positions: [] },
+  "room.list": { roles: ALL_ROLES, positions: [] },
+  "room.create": { roles: ALL_ROLES, positions: [] },
+  "room.join": { roles: ALL_ROLES, positions: [] },
+  "room.leave": { roles: ALL_ROLES, positions: [] },
+  "room.update": { roles: ALL_ROLES, positions: [] },
+  "room.members": { roles: ALL_ROLES, positions: [] },
+  "room.transfer": { roles: ALL_ROLES, positions: [] },
+  "room.archive": { roles: ALL_ROLES, positions: [] },
+  "room.delete": { roles: ALL_ROLES, positions: [] },
+  "direct.open": { roles: ALL_ROLES, positions: [] },
+  "message.read": { roles: ALL_ROLES, positions: [] },
+  "message.send": { roles: ALL_ROLES, positions: [] },
+  "message.edit": { roles: ALL_ROLES, positions: [] },
+  "message.delete": { roles: ALL_ROLES, positions: [] },
+  "message.deleteAny": { roles: ["admin"], positions: [] },
+  "message.react": { roles: ALL_ROLES, positions: [] },
+  "message.search": { roles: ALL_ROLES, positions: [] },
+  "message.typing": { roles: ALL_ROLES, positions: [] },
+  "file.upload": { roles: ALL_ROLES, positions: [] },
+  "file.download": { roles: ALL_ROLES, positions: [] },
+  "file.list": { roles: ALL_ROLES, positions: [] },
+  "file.delete": { roles: ALL_ROLES, positions: [] },
+  "voice.upload": { roles: ALL_ROLES, positions: [] },
+  "voice.download": { roles: ALL_ROLES, positions: [] },
+  "voice.list": { roles: ALL_ROLES, positions: [] },
+  "voice.delete": { roles: ALL_ROLES, positions: [] },
+  "users.list": { roles: ALL_ROLES, positions: [] },
+  "presence.view": { roles: ALL_ROLES, positions: [] },
+  "presence.update": { roles: ALL_ROLES, positions: [] },
+  "audit.view": { roles: ["admin"], positions: ["CEO", "Manager", "HR"] },
+  "usage.view": { roles: ["admin"], positions: ["CEO", "Manager", "HR"] },
+};
+
+const POLICY_CACHE_TTL_SECONDS = 5 * 60;
+const policyKey = (companyId) => `chat:permissions:${companyId}`;
+
+/**
+ * Company overrides are stored in `permissionPolicies` as
+ * { companyId, permissions: { "file.upload": { roles, positions } } } and
+ * replace the default entry for each listed action.
+ */
+export const getCompanyPermissions = async (companyId) => {
+  if (!companyId) return DEFAULT_PERMISSIONS;
+
+  const redis = getRedis();
+  const cached = await redis.get(policyKey(companyId));
+  let overrides;
+  if (cached) {
+    overrides = JSON.parse(cached);
+  } else {
+    const policy = await getDB()
+      .collection("permissionPolicies")
+      .findOne({ companyId: String(companyId) });
+    overrides = policy?.permissions || {};
+    await redis.set(policyKey(companyId), JSON.stringify(overrides), {
+      expiration: { type: "EX", value: POLICY_CACHE_TTL_SECONDS },
+    });
+  }
+
+  const permissions = { ...DEFAULT_PERMISSIONS };
+  for (const [action, rule] of Object.entries(overrides)) {
+    if (!DEFAULT_PERMISSIONS[action]) continue;
+    permissions[action] = {
+      roles: Array.isArray(rule?.roles) ? rule.roles : [],
+      positions: Array.isArray(rule?.positions)
+        ? rule.positions.map(normalizePosition).filter(Boolean)
+        : [],
+    };
+  }
+  return permissions;
+};
+
+// Whether a resolved identity (req.user / socket.user) may perform an action
+export const can = async (user, action) => {
+  if (!user) return false;
+  const rule = (await getCompanyPermissions(user.companyId))[action];
+  if (!rule) {
+    console.error(`Unknown permission: ${action}`);
+    return false;
+  }
+  return (
+    rule.roles.includes(user.role) ||
+    rule.positions.includes(normalizePosition(user.position))
+  );
+};
+
+// Express middleware: declare the permission a route needs
+export const requirePermission = (action) => async (req, res, next) => {
+  try {
+    if (await can(req.user, action)) return next();
+    console.log(
+      `❌ Insufficient permissions: userId=${req.user?.userId}, position=${req.user?.position}, action=${action}`
+    );
+    return res
+      .status(403)
+      .json({ error: "Insufficient permissions", permission: action });
+  } catch (error) {
+    console.error("❌ [Permission Check Error]:", error.message);
+    return res
+      .status(500)
+      .json({ error: "Server error while checking permissions" });
+  }
+};
@@ -0,0 +1,182 @@
+import { getDB } from "./db.js";
+import { emitToRoom } from "./broadcast.js";
+
+export const PRESENCE_STATES = ["online", "away"];
+const MAX_STATUS_TEXT_LENGTH = 100;
+
+// Every socket joins its company room so presence can be computed from the
+// live sockets on all instances (through the adapter) and nothing goes stale
+// when an instance dies
+export const companyRoom = (companyId) => `company:${companyId}`;
+
+const presenceCollection = () => getDB().collection("presence");
+
+const isDndActive = (doNotDisturb, now = new Date()) =>
+  Boolean(
+    doNotDisturb &&
+      new Date(doNotDisturb.from) <= now &&
+      now < new Date(doNotDisturb.until)
+  );
+
+const formatDoNotDisturb = (doNotDisturb) =>
+  doNotDisturb
+    ? {
+        from: new Date(doNotDisturb.from).toISOString(),
+        until: new Date(doNotDisturb.until).toISOString(),
+        active: isDndActive(doNotDisturb),
+      }
+    : null;
+
+// Group live sockets by user: online if any device is active, away if all are
+const collectLiveUsers = (sockets) => {
+  const live = new Map();
+  for (const client of sockets) {
+    const user = client.data.user;
+    if (!user) continue;
+    const entry = live.get(user.userId) || { devices: 0, active: 0 };
+    entry.devices += 1;
+    if (client.data.presence !== "away") entry.active += 1;
+    live.set(user.userId, entry);
+  }
+  return live;
+};
+
+const buildPresence = (userId, live, doc) => ({
+  userId,
+  status: live ? (live.active > 0 ? "online" : "away") : "offline",
+  devices: live?.devices || 0,
+  lastSeenAt: live
+    ? new Date().toISOString()
+    : doc?.lastSeenAt
+      ? new Date(doc.lastSeenAt).toISOString()
+      : null,
+  statusText: doc?.statusText || null,
+  doNotDisturb: formatDoNotDisturb(doc?.doNotDisturb),
+});
+
+const countPresence = (entries) => {
+  const counts = { online: 0, away: 0, offline: 0 };
+  for (const entry of entries) counts[entry.status] += 1;
+  return counts;
+};
+
+/**
+ * Presence of every known user in a company, or only of `userIds`.
+ * Known users are those with a live socket or a stored presence record.
+ */
+export const getCompanyPresence = async (io, companyId, userIds = null) => {
+  const sockets = await io.in(companyRoom(companyId)).fetchSockets();
+  const live = collectLiveUsers(sockets);
+
+  const filter = { companyId: String(companyId) };
+  if (userIds) filter.userId = { $in: userIds };
+  const docs = await presenceCollection().find(filter).toArray();
+  const docsByUser = new Map(docs.map((doc) => [doc.userId, doc]));
+
+  const ids = userIds || [...new Set([...live.keys(), ...docsByUser.keys()])];
+  return ids.map((userId) =>
+    buildPresence(userId, live.get(userId), docsByUser.get(userId))
+  );
+};
+
+// Clients only get counts, not identities
+export const formatPresenceForRole = (entries, role) =>
+  role === "Client"
+    ? { counts: countPresence(entries) }
+    : { users: entries, counts: countPresence(entries) };
+
+/**
+ * Send the presence of one user to everyone in their company. Clients
+ * receive the updated company counts instead.
+ */
+export const broadcastPresence = async (io, companyId, userId) => {
+  const sockets = await io.in(companyRoom(companyId)).fetchSockets();
+  const live = collectLiveUsers(sockets);
+  const doc = await presenceCollection().findOne({ userId });
+  const entry = buildPresence(userId, live.get(userId), doc);
+
+  // Company counts are only worth computing when a client is connected
+  const counts = sockets.some((client) => client.data.user?.role === "Client")
+    ? countPresence(await getCompanyPresence(io, companyId))
+    : null;
+  await emitToRoom(io, companyRoom(companyId), "presenceUpdate", (recipient) =>
+    recipient.role === "Client" ? counts && { counts } : entry
+  );
+  return entry;
+};
+
+// Record last-seen when a device connects or the user's last device leaves
+export const touchLastSeen = async (user) => {
+  await presenceCollection().updateOne(
+    { userId: user.userId },
+    {
+      $set: { lastSeenAt: new Date() },
+      $setOnInsert: { companyId: String(user.companyId) },
+    },
+    { upsert: true }
+  );
+};
+
+/**
+ * Validate and store a status text and Do Not Disturb window.
+ * `statusText: null` / `doNotDisturb: null` clear them; omitted fields are
+ * left unchanged. Returns { success, ... } like the room services.
+ */
+export const updateUserStatus = async (user, { statusText, doNotDisturb }) => {
+  const $set = { updatedAt: new Date() };
+  const $unset = {};
+
+  if (statusText !== undefined) {
+    if (statusText === null || statusText === "") {
+      $unset.statusText = "";
+    } else if (
+      typeof statusText !== "string" ||
+      statusText.trim().length > MAX_STATUS_TEXT_LENGTH
+    ) {
+      return {
+        success: false,
+        status: 400,
+        error: `Status text must be a string of at most ${MAX_STATUS_TEXT_LENGTH} characters`,
+      };
+    } else {
+      $set.statusText = statusText.trim();
+    }
+  }
+
+  if (doNotDisturb !== undefined) {
+    if (doNotDisturb === null) {
+      $unset.doNotDisturb = "";
+    } else {
+      const from = new Date(doNotDisturb?.from ?? Date.now());
+      const until = new Date(doNotDisturb?.until);
+      if (
+        Number.isNaN(from.getTime()) ||
+        Number.isNaN(until.getTime()) ||
+        until <= from
+      ) {
+        return {
+          success: false,
+          status: 400,
+          error: "Do Not Disturb needs a valid until date after from",
+        };
+      }
+      $set.doNotDisturb = { from, until };
+    }
+  }
+
+  const update = { $set, $setOnInsert: { companyId: String(user.companyId) } };
+  if (Object.keys($unset).length > 0) update.$unset = $unset;
+  await presenceCollection().updateOne({ userId: user.userId }, update, {
+    upsert: true,
+  });
+  return { success: true };
+};
+
+// Whether notifications to this user should be held back right now
+export const isDoNotDisturb = async (userId) => {
+  const doc = await presenceCollection().findOne(
+    { userId },
+    { projection: { doNotDisturb: 1 } }
+  );
+  return isDndActive(doc?.doNotDisturb);
+};
@@ -0,0 +1,210 @@
+import { getRedis, isRedisReady } from "./redis.js";
+
+/**
+ * Token-bucket limits per socket event and REST route. Each limit has a
+ * per-user bucket and a per-company bucket: `capacity` is the burst size and
+ * `perSecond` the refill rate. Names without an entry use `default`.
+ */
+export const RATE_LIMITS = {
+  default: {
+    user: { capacity: 30, perSecond: 5 },
+    company: { capacity: 600, perSecond: 100 },
+  },
+  sendMessage: {
+    user: { capacity: 10, perSecond: 1 },
+    company: { capacity: 200, perSecond: 20 },
+  },
+  editMessage: {
+    user: { capacity: 10, perSecond: 0.5 },
+    company: { capacity: 100, perSecond: 10 },
+  },
+  deleteMessage: {
+    user: { capacity: 10, perSecond: 0.5 },
+    company: { capacity: 100, perSecond: 10 },
+  },
+  typing: {
+    user: { capacity: 5, perSecond: 1 },
+    company: { capacity: 300, perSecond: 50 },
+  },
+  createRoom: {
+    user: { capacity: 5, perSecond: 1 / 60 },
+    company: { capacity: 50, perSecond: 1 / 6 },
+  },
+  upload: {
+    user: { capacity: 5, perSecond: 1 / 6 },
+    company: { capacity: 60, perSecond: 1 },
+  },
+  search: {
+    user: { capacity: 10, perSecond: 0.5 },
+    company: { capacity: 100, perSecond: 5 },
+  },
+};
+
+// Atomically refill and take from a bucket stored as a Redis hash
+const TOKEN_BUCKET_SCRIPT = `
+local capacity = tonumber(ARGV[1])
+local perMs = tonumber(ARGV[2])
+local now = tonumber(ARGV[3])
+local bucket = redis.call('HMGET', KEYS[1], 'tokens', 'ts')
+local tokens = tonumber(bucket[1]) or capacity
+local ts = tonumber(bucket[2]) or now
+tokens = math.min(capacity, tokens + math.max(0, now - ts) * perMs)
+local retryMs = 0
+if tokens >= 1 then
+  tokens = tokens - 1
+else
+  retryMs = math.ceil((1 - tokens) / perMs)
+end
+redis.call('HSET', KEYS[1], 'tokens', tostring(tokens), 'ts', now)
+redis.call('PEXPIRE', KEYS[1], math.ceil(capacity / perMs))
+return retryMs
+`;
+
+// Give back a token taken from a bucket, up to its capacity
+const REFUND_TOKEN_SCRIPT = `
+local tokens = tonumber(redis.call('HGET', KEYS[1], 'tokens'))
+if tokens then
+  tokens = math.min(tonumber(ARGV[1]), tokens + 1)
+  redis.call('HSET', KEYS[1], 'tokens', tostring(tokens))
+end
+return 0
+`;
+
+// Fallback buckets when Redis is not configured or unavailable
+const memoryBuckets = new Map();
+const MAX_MEMORY_BUCKETS = 10000;
+
+const takeFromMemory = (key, { capacity, perSecond }) => {
+  const now = Date.now();
+  const perMs = perSecond / 1000;
+  const bucket = memoryBuckets.get(key) || { tokens: capacity, ts: now };
+  bucket.tokens = Math.min(capacity, bucket.tokens + (now - bucket.ts) * perMs);
+  bucket.ts = now;
+
+  let retryMs = 0;
+  if (bucket.tokens >= 1) {
+    bucket.tokens -= 1;
+  } else {
+    retryMs = Math.ceil((1 - bucket.tokens) / perMs);
+  }
+
+  if (memoryBuckets.size >= MAX_MEMORY_BUCKETS && !memoryBuckets.has(key)) {
+    memoryBuckets.delete(memoryBuckets.keys().next().value);
+  }
+  memoryBuckets.set(key, bucket);
+  return retryMs;
+};
+
+// Returns 0 when a token was taken, otherwise the milliseconds to wait
+const takeToken = async (key, limit) => {
+  if (!isRedisReady()) return takeFromMemory(key, limit);
+  const retryMs = await getRedis().eval(TOKEN_BUCKET_SCRIPT, {
+    keys: [key],
+    arguments: [
+      String(limit.capacity),
+      String(limit.perSecond / 1000),
+      String(Date.now()),
+    ],
+  });
+  return Number(retryMs);
+};
+
+const refundToken = async (key, limit) => {
+  if (!isRedisReady()) {
+    const bucket = memoryBuckets.get(key);
+    if (bucket) bucket.tokens = Math.min(limit.capacity, bucket.tokens + 1);
+    return;
+  }
+  await getRedis().eval(REFUND_TOKEN_SCRIPT, {
+    keys: [key],
+    arguments: [String(limit.capacity)],
+  });
+};
+
+/**
+ * Take one token from the user's and the company's bucket for `name`.
+ * Returns { allowed: true } or { allowed: false, retryAfter, scope } with
+ * retryAfter in seconds. A request the company bucket rejects gets its user
+ * token back, so a busy company does not drain its users' own budgets.
+ */
+export const checkRateLimit = async (name, user) => {
+  const limits = RATE_LIMITS[name] || RATE_LIMITS.default;
+  const scopes = [["user", user?.userId]];
+  if (user?.companyId) scopes.push(["company", user.companyId]);
+
+  const taken = [];
+  for (const [scope, id] of scopes) {
+    if (!id) continue;
+    const key = `chat:rl:${name}:${scope}:${id}`;
+    const retryMs = await takeToken(key, limits[scope]);
+    if (retryMs > 0) {
+      for (const [takenKey, limit] of taken) {
+        await refundToken(takenKey, limit);
+      }
+      return { allowed: false, retryAfter: Math.ceil(retryMs / 1000), scope };
+    }
+    taken.push([key, limits[scope]]);
+  }
+  return { allowed: true };
+};
+
+// Express middleware; responds 429 with a Retry-After header when limited
+export const rateLimit =
+  (name = "default") =>
+  async (req, res, next) => {
+    try {
+      const result = await checkRateLimit(name, req.user);
+      if (result.allowed) return next();
+
+      console.warn(
+        `⚠️ [Rate Limited] ${name} userId=${req.user?.userId} scope=${result.scope}`
+      );
+      res.set("Retry-After", String(result.retryAfter));
+      return res.status(429).json({
+        error: "rateLimited",
+        message: "Too many requests, please slow down",
+        retryAfter: result.retryAfter,
+        scope: result.scope,
+      });
+    } catch (error) {
+      // Never block traffic because the limiter itself failed
+      console.error("❌ [Rate Limit Error]:", error.message);
+      next();
+    }
+  };
+
+// Last post time per room and user when Redis is not available
+const memorySlowMode = new Map();
+
+/**
+ * Per-room slow mode: one message per `seconds` for each member.
+ * Returns { allowed: true } or { allowed: false, retryAfter }.
+ */
+export const checkSlowMode = async (roomId, userId, seconds) => {
+  if (!seconds || seconds <= 0) return { allowed: true };
+  const key = `chat:slow:${roomId}:${userId}`;
+
+  if (isRedisReady()) {
+    const redis = getRedis();
+    const set = await redis.set(key, "1", {
+      condition: "NX",
+      expiration: { type: "EX", value: seconds },
+    });
+    if (set) return { allowed: true };
+    const ttl = await redis.ttl(key);
+    return { allowed: false, retryAfter: Math.max(ttl, 1) };
+  }
+
+  const now = Date.now();
+  const until = memorySlowMode.get(key) || 0;
+  if (until > now) {
+    return { allowed: false, retryAfter: Math.ceil((until - now) / 1000) };
+  }
+  if (memorySlowMode.size >= MAX_MEMORY_BUCKETS) {
+    for (const [entry, expiresAt] of memorySlowMode) {
+      if (expiresAt <= now) memorySlowMode.delete(entry);
+    }
+  }
+  memorySlowMode.set(key, now + seconds * 1000);
+  return { allowed: true };
+};
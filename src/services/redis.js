@@ -0,0 +1,47 @@
+import { createClient } from "redis";
+import { createAdapter } from "@socket.io/redis-adapter";
+
+let client;
+let subscriber;
+
+// REDIS_URL defaults to a local Redis so the server can be run and tested
+// against `redis-server` on the same machine
+export const connectRedis = async () => {
+  const url = process.env.REDIS_URL || "redis://127.0.0.1:6379";
+  client = createClient({ url });
+  client.on("error", (error) =>
+    console.error("❌ [Redis Error]:", error.message)
+  );
+  // The adapter needs a dedicated connection for pub/sub
+  subscriber = client.duplicate();
+  subscriber.on("error", (error) =>
+    console.error("❌ [Redis Subscriber Error]:", error.message)
+  );
+
+  await Promise.all([client.connect(), subscriber.connect()]);
+  console.log("connect to redis");
+};
+
+export const getRedis = () => {
+  if (!client) throw new Error("Redis not initialized. Call connectRedis() first.");
+  return client;
+};
+
+// Close both connections once pending commands finished
+export const closeRedis = async () => {
+  await Promise.all([client?.close(), subscriber?.close()]);
+  client = undefined;
+  subscriber = undefined;
+};
+
+// Whether Redis can take commands right now (optional features fall back
+// to process memory otherwise)
+export const isRedisReady = () => Boolean(client?.isReady);
+
+// Socket.IO adapter that relays room broadcasts between server instances
+export const createRedisAdapter = () => {
+  if (!client || !subscriber) {
+    throw new Error("Redis not initialized. Call connectRedis() first.");
+  }
+  return createAdapter(client, subscriber);
+};
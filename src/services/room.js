@@ -0,0 +1,230 @@
+import { ObjectId } from "mongodb";
+import { getDB } from "./db.js";
+import { emitToRoom, usersJoinRoom } from "./broadcast.js";
+
+export async function validateCompanyUsers(companyId, userIds) {
+  const db = getDB();
+  const userCollection = db.collection("users");
+  const employeeCollection = db.collection("admins");
+  const clientCollection = db.collection("clients");
+
+  const validObjectIds = userIds
+    .filter((id) => typeof id === "string" && ObjectId.isValid(id))
+    .map((id) => new ObjectId(id));
+
+  if (validObjectIds.length !== userIds.length) {
+    console.warn(
+      `⚠️ [Validation Failed] invalid user IDs for companyId=${companyId}`
+    );
+    return [];
+  }
+
+  const validUsers = await userCollection
+    .find({
+      _id: { $in: validObjectIds },
+      companyId: new ObjectId(companyId),
+    })
+    .toArray();
+
+  const validEmployees = await employeeCollection
+    .find({
+      _id: { $in: validObjectIds },
+      companyId: new ObjectId(companyId),
+    })
+    .toArray();
+
+  const validClients = await clientCollection
+    .find({
+      _id: { $in: validObjectIds },
+      companyId: new ObjectId(companyId),
+    })
+    .toArray();
+
+  return [...validUsers, ...validEmployees, ...validClients].map((u) =>
+    u._id.toString()
+  );
+}
+
+export async function validatePlanForRoomCreation(companyId, userIds) {
+  const db = getDB();
+  const companyCollection = db.collection("companyregistrations");
+
+  try {
+    // Fetch company plan information
+    const company = await companyCollection.findOne(
+      { _id: new ObjectId(companyId) },
+      { projection: { planPreferences: 1 } }
+    );
+
+    if (!company || !company.planPreferences) {
+      console.warn(
+        `⚠️ [Validation Failed] company plan not found for companyId=${companyId}`
+      );
+      return {
+        allowed: false,
+        error: "Company plan information not found.",
+      };
+    }
+
+    const plan = company.planPreferences.desiredPlan?.toLowerCase();
+    // const status = company.status?.toLowerCase();
+
+    // // Check if plan is active
+    // if (status !== "active") {
+    //   return {
+    //     allowed: false,
+    //     error:
+    //       "Your company plan is not active. Please contact your administrator.",
+    //   };
+    // }
+
+    // Validate based on plan type
+    switch (plan) {
+      case "basic":
+        return {
+          allowed: false,
+          error:
+            "Chat feature is not available with Basic plan. Please upgrade to Standard or Premium plan.",
+        };
+
+      case "standard":
+        if (userIds.length > 1) {
+          return {
+            allowed: false,
+            error:
+              "Standard plan allows rooms with only one user. Upgrade to Premium plan for multi-user rooms.",
+          };
+        }
+        return { allowed: true };
+
+      case "premium":
+        // Premium plan allows unlimited users
+        return { allowed: true };
+
+      default:
+        return {
+          allowed: false,
+          error: "Invalid plan type. Please contact your administrator.",
+        };
+    }
+  } catch (error) {
+    console.error("❌ [Plan Validation Error]:", error.message);
+    return {
+      allowed: false,
+      error: "Error validating plan permissions.",
+    };
+  }
+}
+
+// Per-room roles. The owner is always `room.creator`; other members default
+// to "member" unless listed in `room.roles`.
+export const ROOM_ROLES = ["owner", "admin", "member", "readonly"];
+
+const ROOM_PERMISSIONS = {
+  "message.send": ["owner", "admin", "member"],
+  "message.deleteAny": ["owner", "admin"],
+  "members.manage": ["owner", "admin"],
+  "room.update": ["owner", "admin"],
+  "room.archive": ["owner", "admin"],
+  "roles.manage": ["owner"],
+  "room.delete": ["owner"],
+};
+
+export const getRoomRole = (room, userId) => {
+  if (!room?.users?.includes(userId)) return null;
+  if (String(room.creator) === String(userId)) return "owner";
+  return room.roles?.[userId] || "member";
+};
+
+export const canInRoom = (room, userId, action) =>
+  ROOM_PERMISSIONS[action]?.includes(getRoomRole(room, userId)) || false;
+
+// Shape of a room as sent to a member; clients do not see member lists
+export const formatRoomForRole = (room, role) => ({
+  roomId: room.roomId,
+  roomName: room.roomName,
+  users: role === "Client" ? [] : room.users,
+  creator: room.creator,
+  roles: role === "Client" ? {} : room.roles || {},
+  type: room.type || "group",
+  description: room.description || "",
+  topic: room.topic || "",
+  avatarUrl: room.avatarUrl || null,
+  archived: Boolean(room.archivedAt),
+  slowModeSeconds: room.slowModeSeconds || 0,
+});
+
+const DEFAULT_ROOM_DELETE_GRACE_HOURS = 72;
+
+// Hours a deleted room stays restorable (ROOM_DELETE_GRACE_HOURS, 0 = purge
+// immediately)
+export const getRoomDeleteGraceHours = () => {
+  const hours = Number(
+    process.env.ROOM_DELETE_GRACE_HOURS ?? DEFAULT_ROOM_DELETE_GRACE_HOURS
+  );
+  return Number.isFinite(hours) && hours >= 0
+    ? hours
+    : DEFAULT_ROOM_DELETE_GRACE_HOURS;
+};
+
+/**
+ * Join every live socket of the given users to the room and notify them
+ * with a roomCreated event
+ */
+export const announceRoomToUsers = async (io, room, userIds) => {
+  for (const uid of userIds) {
+    // Every socket joins its user's personal room on connect
+    usersJoinRoom(io, [uid], room.roomId);
+    await emitToRoom(io, uid, "roomCreated", (recipient) =>
+      formatRoomForRole(room, recipient.role)
+    );
+    console.log(`📤 [roomCreated Emitted] to user ${uid}`);
+  }
+};
+
+// Insert a system message in the room and broadcast it as a newMessage
+export const insertSystemMessage = async (io, room, text) => {
+  const db = getDB();
+  const systemMsg = {
+    _id: new ObjectId().toString(),
+    message: text,
+    userId: "system",
+    username: "System",
+    companyName: "System",
+    roomId: room.roomId,
+    companyId: String(room.companyId),
+    timestamp: new Date().toISOString(),
+  };
+
+  await db.collection("messages").insertOne({
+    ...systemMsg,
+    companyId: new ObjectId(systemMsg.companyId),
+    timestamp: new Date(systemMsg.timestamp),
+  });
+  io.to(room.roomId).emit("newMessage", systemMsg);
+  return systemMsg;
+};
+
+// Display names of users across the users, admins and clients collections
+export const getUserNames = async (userIds) => {
+  const db = getDB();
+  const objectIds = userIds
+    .filter((id) => ObjectId.isValid(id))
+    .map((id) => new ObjectId(id));
+  const projection = { firstName: 1, name: 1, fullName: 1 };
+
+  const names = new Map();
+  for (const collectionName of ["users", "admins", "clients"]) {
+    const docs = await db
+      .collection(collectionName)
+      .find({ _id: { $in: objectIds } }, { projection })
+      .toArray();
+    for (const doc of docs) {
+      names.set(
+        doc._id.toString(),
+        doc.firstName || doc.name || doc.fullName || "Anonymous"
+      );
+    }
+  }
+  return userIds.map((id) => names.get(id) || "Anonymous");
+};
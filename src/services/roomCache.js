@@ -0,0 +1,60 @@
+import { getDB } from "./db.js";
+import { getRedis } from "./redis.js";
+
+// Room metadata and per-room presence live in Redis so that every server
+// instance behind the load balancer sees the same state
+const ROOM_CACHE_TTL_SECONDS = 24 * 60 * 60;
+
+const roomKey = (roomId) => `chat:room:${roomId}`;
+const onlineKey = (roomId) => `chat:online:${roomId}`;
+
+// { roomName, users, creator, roles, type, archived, slowModeSeconds }
+const toCachedRoom = (room) => ({
+  roomName: room.roomName,
+  users: room.users,
+  creator: room.creator,
+  roles: room.roles || {},
+  type: room.type || "group",
+  archived: Boolean(room.archivedAt),
+  slowModeSeconds: room.slowModeSeconds || 0,
+});
+
+export const cacheRoom = async (room) => {
+  const cached = toCachedRoom(room);
+  await getRedis().set(roomKey(room.roomId), JSON.stringify(cached), {
+    expiration: { type: "EX", value: ROOM_CACHE_TTL_SECONDS },
+  });
+  return cached;
+};
+
+// Falls back to MongoDB when the entry expired or was never cached
+export const getCachedRoom = async (roomId) => {
+  if (typeof roomId !== "string" || !roomId) return undefined;
+
+  const cached = await getRedis().get(roomKey(roomId));
+  if (cached) return JSON.parse(cached);
+
+  const room = await getDB()
+    .collection("rooms")
+    .findOne({ roomId, deletedAt: { $exists: false } });
+  return room ? cacheRoom(room) : undefined;
+};
+
+// Drop the cached room together with its presence list
+export const uncacheRoom = async (roomId) => {
+  await getRedis().del([roomKey(roomId), onlineKey(roomId)]);
+};
+
+// Presence: Redis hash per room of userId -> { userId, username }
+export const addOnlineUser = async (roomId, user) => {
+  await getRedis().hSet(onlineKey(roomId), user.userId, JSON.stringify(user));
+};
+
+export const removeOnlineUser = async (roomId, userId) => {
+  return (await getRedis().hDel(onlineKey(roomId), userId)) > 0;
+};
+
+export const getOnlineUsers = async (roomId) => {
+  const users = await getRedis().hGetAll(onlineKey(roomId));
+  return Object.values(users).map((user) => JSON.parse(user));
+};
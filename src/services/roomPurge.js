@@ -0,0 +1,60 @@
+import { getDB } from "./db.js";
+import { getRedis } from "./redis.js";
+import { purgeRoom } from "../controller/message.controller.js";
+import { auditSource } from "./audit.js";
+
+const DEFAULT_PURGE_INTERVAL_MINUTES = 15;
+const PURGE_LOCK_KEY = "chat:lock:room-purge";
+
+// Permanently delete soft-deleted rooms whose grace period has ended
+export const purgeExpiredRooms = async (io) => {
+  const db = getDB();
+  const rooms = await db
+    .collection("rooms")
+    .find({ deletedAt: { $exists: true }, purgeAt: { $lte: new Date() } })
+    .toArray();
+
+  for (const room of rooms) {
+    try {
+      const result = await purgeRoom({
+        room,
+        // Cleanup runs on behalf of the user who deleted the room
+        user: {
+          userId: room.deletedBy || room.creator,
+          companyId: String(room.companyId),
+        },
+        io,
+        source: auditSource("roomPurge"),
+      });
+      console.log(`🗑️ [Room Purged] ${room.roomId}`, result);
+    } catch (error) {
+      console.error(
+        `❌ [Room Purge Error] ${room.roomId}:`,
+        error.message,
+        error.stack
+      );
+    }
+  }
+};
+
+// Start the background purge (ROOM_PURGE_INTERVAL_MINUTES, default 15)
+export const startRoomPurgeJob = (io) => {
+  const minutes =
+    Number(process.env.ROOM_PURGE_INTERVAL_MINUTES) ||
+    DEFAULT_PURGE_INTERVAL_MINUTES;
+  const timer = setInterval(async () => {
+    try {
+      // Every instance runs the job; the lock lets one of them purge per run
+      const locked = await getRedis().set(PURGE_LOCK_KEY, String(process.pid), {
+        condition: "NX",
+        expiration: { type: "EX", value: minutes * 60 },
+      });
+      if (!locked) return;
+      await purgeExpiredRooms(io);
+    } catch (error) {
+      console.error("❌ [Room Purge Job Error]:", error.message);
+    }
+  }, minutes * 60 * 1000);
+  timer.unref();
+  return timer;
+};
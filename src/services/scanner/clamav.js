@@ -0,0 +1,77 @@
+import net from "net";
+
+// clamd reads INSTREAM data in length-prefixed chunks
+const CHUNK_SIZE = 64 * 1024;
+
+const write = (socket, data) =>
+  new Promise((resolve, reject) =>
+    socket.write(data, (error) => (error ? reject(error) : resolve()))
+  );
+
+async function* chunksOf(source) {
+  if (Buffer.isBuffer(source)) {
+    for (let i = 0; i < source.length; i += CHUNK_SIZE) {
+      yield source.subarray(i, i + CHUNK_SIZE);
+    }
+    return;
+  }
+  for await (const chunk of source) {
+    for (let i = 0; i < chunk.length; i += CHUNK_SIZE) {
+      yield chunk.subarray(i, i + CHUNK_SIZE);
+    }
+  }
+}
+
+/**
+ * Scanner backed by a ClamAV daemon, reached on a unix socket (`socketPath`)
+ * or over TCP (`host`, `port`), using the INSTREAM command. clamd rejects
+ * streams above its StreamMaxLength (25MB by default); raise it in
+ * clamd.conf to the largest upload the app accepts.
+ */
+export const createClamavScanner = ({ socketPath, host, port, timeoutMs }) => ({
+  name: "clamav",
+
+  // Resolves to { infected, signature }; rejects when clamd cannot scan
+  scan: async (source) => {
+    const socket = net.createConnection(
+      socketPath ? { path: socketPath } : { host, port }
+    );
+    socket.setTimeout(timeoutMs, () =>
+      socket.destroy(new Error(`ClamAV did not answer within ${timeoutMs}ms`))
+    );
+    const reply = new Promise((resolve, reject) => {
+      const chunks = [];
+      socket.on("data", (chunk) => chunks.push(chunk));
+      socket.on("end", () =>
+        resolve(Buffer.concat(chunks).toString().replace(/\0/g, "").trim())
+      );
+      socket.on("error", reject);
+    });
+    // Awaited below; keeps a failed connection from going unhandled first
+    reply.catch(() => {});
+
+    try {
+      await new Promise((resolve, reject) => {
+        socket.once("connect", resolve);
+        socket.once("error", reject);
+      });
+      await write(socket, Buffer.from("zINSTREAM\0"));
+      for await (const chunk of chunksOf(source)) {
+        const size = Buffer.alloc(4);
+        size.writeUInt32BE(chunk.length);
+        await write(socket, Buffer.concat([size, chunk]));
+      }
+      await write(socket, Buffer.alloc(4));
+    } catch (error) {
+      socket.destroy();
+      source.destroy?.();
+      throw error;
+    }
+
+    const response = await reply;
+    const found = /^stream: (.+) FOUND$/.exec(response);
+    if (found) return { infected: true, signature: found[1] };
+    if (response === "stream: OK") return { infected: false, signature: null };
+    throw new Error(`ClamAV could not scan the file: ${response}`);
+  },
+});
@@ -0,0 +1,44 @@
+import { createClamavScanner } from "./clamav.js";
+
+/**
+ * Malware scanning of uploads, chosen by SCANNER_DRIVER:
+ *   none    uploads are not scanned; the default
+ *   clamav  a clamd daemon on CLAMAV_SOCKET (a unix socket path), or on
+ *           CLAMAV_HOST and CLAMAV_PORT (default 3310) over TCP;
+ *           CLAMAV_TIMEOUT_MS bounds one scan (default 60000)
+ *
+ * Every scanner exposes name and scan(source), where source is a Buffer or
+ * a readable stream. scan resolves to { infected, signature } and rejects
+ * when the file could not be scanned.
+ */
+export const SCANNER_DRIVERS = ["none", "clamav"];
+
+let scanner;
+
+// The configured scanner, created on first use; null when scanning is off
+export const getScanner = () => {
+  if (scanner !== undefined) return scanner;
+
+  const driver = process.env.SCANNER_DRIVER || "none";
+  if (!SCANNER_DRIVERS.includes(driver)) {
+    throw new Error(
+      `Unknown SCANNER_DRIVER "${driver}"; use one of ${SCANNER_DRIVERS.join(", ")}`
+    );
+  }
+  if (driver === "none") {
+    scanner = null;
+    return scanner;
+  }
+  if (!process.env.CLAMAV_SOCKET && !process.env.CLAMAV_HOST) {
+    throw new Error("Missing scanner settings: CLAMAV_SOCKET or CLAMAV_HOST");
+  }
+
+  scanner = createClamavScanner({
+    socketPath: process.env.CLAMAV_SOCKET,
+    host: process.env.CLAMAV_HOST,
+    port: Number(process.env.CLAMAV_PORT) || 3310,
+    timeoutMs: Number(process.env.CLAMAV_TIMEOUT_MS) || 60 * 1000,
+  });
+  console.log(`🛡️ [Scanner] Using ${scanner.name} scanner`);
+  return scanner;
+};
@@ -1,21 +1,96 @@
 import { Server } from "socket.io";
-import jwt from "jsonwebtoken";
 import dotenv from "dotenv";
 import {
   handleSendMessage,
   handleDeleteMessage,
   handleEditMessage,
   handleLeaveRoom,
-  handleDeleteRoom,
+  deleteRoom,
+  handleAddReaction,
+  handleRemoveReaction,
+  handleMarkRead,
+  handleMessagesDelivered,
+  handleResync,
 } from "../controller/message.controller.js";
 import { getDB } from "./db.js";
-import { ObjectId } from "mongodb";
+import {
+  addOnlineUser,
+  cacheRoom,
+  getCachedRoom,
+  getOnlineUsers,
+  removeOnlineUser,
+  uncacheRoom,
+} from "./roomCache.js";
+import { emitToRoom, joinRoom } from "./broadcast.js";
+import { auditSource, recordAudit } from "./audit.js";
+import { extractToken, resolveIdentity } from "./identity.js";
+import { can } from "./permissions.js";
+import { checkRateLimit, checkSlowMode } from "./rateLimit.js";
+import { codeForStatus, ERROR_CODES, validateEvent } from "./socketEvents.js";
+import {
+  broadcastPresence,
+  companyRoom,
+  isDoNotDisturb,
+  PRESENCE_STATES,
+  touchLastSeen,
+  updateUserStatus,
+} from "./presence.js";
+import {
+  announceRoomToUsers,
+  canInRoom,
+  getRoomRole,
+  formatRoomForRole,
+  insertSystemMessage,
+  validateCompanyUsers,
+  validatePlanForRoomCreation,
+} from "./room.js";
+import {
+  addRoomMembers,
+  openDirectRoom,
+  removeRoomMember,
+  setRoomMemberRole,
+  transferRoomOwnership,
+  setRoomArchived,
+  updateRoomDetails,
+  withAvatarUrl,
+} from "../controller/room.controller.js";
+import {
+  aggregateReactions,
+  formatThread,
+  reactorIds,
+} from "../utils/message.utils.js";
 
 dotenv.config();
 
-// In-memory store for rooms (supplemented by database in production)
-const rooms = new Map(); // Map<roomId, { roomName: string, users: string[], creator: string }>
-const onlineUsersByRoom = new Map(); // Map<roomId, Map<userId, { userId: string, username: string }>>
+// Company-level permission each socket event needs (services/permissions.js);
+// room roles are checked on top by the handlers. Undeclared events are
+// rejected. Payload schemas live in services/socketEvents.js.
+const EVENT_PERMISSIONS = {
+  createRoom: "room.create",
+  openDirect: "direct.open",
+  addMembers: "room.members",
+  removeMember: "room.members",
+  setMemberRole: "room.members",
+  transferOwnership: "room.transfer",
+  updateRoom: "room.update",
+  archiveRoom: "room.archive",
+  unarchiveRoom: "room.archive",
+  sendMessage: "message.send",
+  editMessage: "message.edit",
+  deleteMessage: "message.delete",
+  addReaction: "message.react",
+  removeReaction: "message.react",
+  markRead: "message.read",
+  messageDelivered: "message.read",
+  resync: "message.read",
+  setPresence: "presence.update",
+  setStatus: "presence.update",
+  typing: "message.typing",
+  stopTyping: "message.typing",
+  joinRoom: "room.join",
+  leaveRoom: "room.leave",
+  deleteRoom: "room.delete",
+};
 
 export const initializeSocket = (server, allowedOrigins) => {
   const io = new Server(server, {
@@ -28,153 +103,27 @@ export const initializeSocket = (server, allowedOrigins) => {
 
   io.use(async (socket, next) => {
     try {
-      // Validate environment variable
-      if (!process.env.JWT_SECRET) {
-        console.error(`[Socket ${socket.id}] JWT_SECRET not set`);
-        return next(new Error("Server configuration error"));
-      }
-
-      // Check for Authorization header
-      const authHeader = socket.handshake.headers.authorization;
-      // console.log(`[Socket ${socket.id}] Authorization header:`, authHeader);
-      if (!authHeader || !authHeader.startsWith("Bearer ")) {
-        console.error(
-          `[Socket ${socket.id}] No valid Authorization header found`
-        );
-        return next(new Error("No token provided in Authorization header"));
-      }
-
-      // Extract token
-      const token = authHeader.split(" ")[1];
-
-      // console.log(token)
-
-      // Verify token
-      let decoded;
-      try {
-        decoded = jwt.verify(token, process.env.JWT_SECRET);
-      } catch (error) {
-        console.error(
-          `[Socket ${socket.id}] Token verification error: ${error.message}`
-        );
-        return next(
-          new Error(
-            error.name === "TokenExpiredError"
-              ? "Token expired"
-              : "Invalid token"
-          )
-        );
-      }
-
-      // Extract and validate ID
-      const idKey =
-        decoded.id || decoded.userId || decoded.clientId || decoded.adminId;
-      if (!idKey) {
-        console.error(`[Socket ${socket.id}] Invalid token structure`, decoded);
-        return next(new Error("Invalid token structure, ID not found"));
-      }
-
-      let userId;
-      try {
-        userId = new ObjectId(idKey);
-      } catch (err) {
-        console.error(`[Socket ${socket.id}] Invalid ObjectId: ${idKey}`);
-        return next(new Error("Invalid user ID format"));
-      }
-
-      // Map position to role
-      let role = decoded.position;
-      const position = decoded.position?.toLowerCase();
-      if (["employee", "manager", "hr"].includes(position)) {
-        role = "user";
-      } else if (position === "admin") {
-        role = "admin";
-      }
-
-      // Validate role
-      if (!["user", "admin", "Client"].includes(role)) {
-        console.error(
-          `[Socket ${socket.id}] Invalid role in token payload: ${role}`
-        );
-        return next(new Error("Invalid role in token, authorization denied"));
+      // Token from the handshake auth payload, or the Authorization header
+      const token =
+        extractToken(socket.handshake.auth?.token) ||
+        extractToken(socket.handshake.headers.authorization);
+      if (!token) {
+        console.error(`[Socket ${socket.id}] No token found in handshake`);
+        return next(new Error("No token provided, authorization denied"));
       }
 
-      // Access database
-      const db = getDB();
-      const collectionMap = {
-        user: db.collection("users"),
-        admin: db.collection("admins"),
-        Client: db.collection("clients"),
-      };
-
-      const collection = collectionMap[role];
-      if (!collection) {
-        console.error(`[Socket ${socket.id}] Invalid role: ${role}`);
-        return next(new Error("Invalid role, authorization denied"));
+      const result = await resolveIdentity(token);
+      if (!result.success) {
+        console.error(`[Socket ${socket.id}] ${result.error}`);
+        return next(new Error(result.error));
       }
 
-      // Fetch user
-      const projection = {
-        position: 1,
-        firstName: 1,
-        fullName: 1,
-        name: 1,
-        companyId: 1,
-        email: 1,
-      };
-
-      const user = await collection.findOne({ _id: userId }, { projection });
-      if (!user) {
-        console.warn(
-          `[Socket ${socket.id}] User not found: ID=${userId}, Role=${role}`
-        );
-        return next(new Error("User not found, authorization denied"));
-      }
-
-      // Validate position
-      const normalizedPosition = (
-        user.position || decoded.position
-      )?.toLowerCase();
-      const allowedRoles = [
-        "employee",
-        "ceo",
-        "manager",
-        "hr",
-        "client",
-        "teamleader",
-        "admin",
-      ];
-      if (!normalizedPosition || !allowedRoles.includes(normalizedPosition)) {
-        console.error(
-          `[Socket ${socket.id}] Invalid position: ${normalizedPosition}`
-        );
-        return next(
-          new Error("Authorization error: Invalid or unauthorized role")
-        );
-      }
-
-      // Initialize socket.user
-      socket.user = {
-        userId: idKey.toString(),
-        email: user.email || decoded.email || null,
-        companyId: user.companyId?.toString() || decoded.companyId || null,
-        position: normalizedPosition,
-        firstName:
-          user.firstName ||
-          user.name ||
-          user.fullName ||
-          decoded.firstName ||
-          null,
-        companyName: decoded.companyName || null,
-        role,
-      };
-
-      // Normalize IDs
-      if (role === "admin") socket.user.adminId = idKey.toString();
-      if (role === "Client") socket.user.clientId = idKey.toString();
+      socket.user = result.user;
+      // socket.data is what other instances see through fetchSockets()
+      socket.data.user = socket.user;
 
       console.log(
-        `[Socket ${socket.id}] Authenticated: Role=${role}, ID=${idKey}, Position=${normalizedPosition}`
+        `[Socket ${socket.id}] Authenticated: Role=${socket.user.role}, ID=${socket.user.userId}, Position=${socket.user.position}`
       );
       next();
     } catch (error) {
@@ -189,10 +138,6 @@ export const initializeSocket = (server, allowedOrigins) => {
     // console.log(`[DEBUG] New socket connection: id=${socket.id}, user=`, socket.user);
     const db = getDB();
     const roomCollection = db.collection("rooms");
-    const userCollection = db.collection("users");
-    const employeeCollection = db.collection("admins");
-    const clientCollection = db.collection("clients");
-    const messageCollection = db.collection("messages");
     const companyCollection = db.collection("companies");
 
     let userId = null;
@@ -208,20 +153,106 @@ export const initializeSocket = (server, allowedOrigins) => {
     }
     const companyId = socket.user.companyId;
 
+    // Failed events get the errorMessage event, and { success: false, code,
+    // error } through the ack callback when the client passed one
+    function fail(ack, code, error) {
+      socket.emit("errorMessage", error);
+      if (typeof ack === "function") ack({ success: false, code, error });
+    }
+
+    function succeed(ack, data = {}) {
+      if (typeof ack === "function") ack({ success: true, ...data });
+    }
+
+    // Structured rejection for throttled events: a rateLimited event, and the
+    // same payload through the ack callback when the client passed one
+    function rateLimited(event, { retryAfter, scope }, args = []) {
+      const payload = {
+        code: ERROR_CODES.RATE_LIMITED,
+        error: "rateLimited",
+        event,
+        retryAfter,
+        scope,
+      };
+      socket.emit("rateLimited", payload);
+      const ack = args[args.length - 1];
+      if (typeof ack === "function") ack({ success: false, ...payload });
+    }
+
+    socket.use(async ([event, ...args], next) => {
+      const ack = args[args.length - 1];
+      if (!(event in EVENT_PERMISSIONS)) {
+        console.warn(`[Socket ${socket.id}] Undeclared event: ${event}`);
+        return fail(ack, ERROR_CODES.UNKNOWN_EVENT, "Unknown event.");
+      }
+
+      const violation = validateEvent(event, args);
+      if (violation) {
+        console.warn(
+          `⚠️ [Schema Violation] ${event} userId=${userId} socket=${socket.id}: ${violation.error}`
+        );
+        return fail(ack, violation.code, violation.error);
+      }
+
+      const permission = EVENT_PERMISSIONS[event];
+      try {
+        if (permission && !(await can(socket.user, permission))) {
+          console.warn(
+            `[Socket ${socket.id}] Permission denied: userId=${userId}, event=${event}, permission=${permission}`
+          );
+          return fail(
+            ack,
+            ERROR_CODES.FORBIDDEN,
+            "You do not have permission to do that."
+          );
+        }
+      } catch (err) {
+        console.error("❌ [Permission Check Error]:", err.message);
+        return fail(
+          ack,
+          ERROR_CODES.SERVER_ERROR,
+          "Server error while checking permissions."
+        );
+      }
+
+      try {
+        const limit = await checkRateLimit(event, socket.user);
+        if (!limit.allowed) {
+          console.warn(
+            `⚠️ [Rate Limited] ${event} userId=${userId} scope=${limit.scope}`
+          );
+          return rateLimited(event, limit, args);
+        }
+      } catch (err) {
+        // Never block events because the limiter itself failed
+        console.error("❌ [Rate Limit Error]:", err.message);
+      }
+      next();
+    });
+
     // Join user's personal room for direct notifications
-    socket.join(userId);
+    joinRoom(socket, userId);
     console.log(`✅ [Socket Connected] User ID: ${userId}`);
 
+    // Company-wide presence; each socket is one device of the user
+    socket.data.presence = "online";
+    if (companyId) {
+      joinRoom(socket, companyRoom(companyId));
+      touchLastSeen(socket.user)
+        .then(() => broadcastPresence(io, companyId, userId))
+        .catch((err) => console.error("❌ [Presence Error]:", err.message));
+    }
+
     // Emit existing rooms to the connected user, excluding any default company chat
     roomCollection
-      .find({ users: userId })
+      .find({ users: userId, deletedAt: { $exists: false } })
       .toArray()
       .then((userRooms) => {
         console.log(
           `[DEBUG] Fetched rooms for user ${userId}:`,
           userRooms.map((r) => ({ roomId: r.roomId, roomName: r.roomName }))
         );
-        userRooms.forEach((room) => {
+        userRooms.forEach(async (room) => {
           // Skip rooms that resemble a default company chat
           if (room.roomName === `Company ${companyId} Chat`) {
             console.warn(
@@ -229,19 +260,20 @@ export const initializeSocket = (server, allowedOrigins) => {
             );
             return;
           }
-          rooms.set(room.roomId, {
-            roomName: room.roomName,
-            users: room.users,
-            creator: room.creator,
-          });
-          socket.join(room.roomId);
-          socket.emit("roomCreated", {
-            roomId: room.roomId,
-            roomName: room.roomName,
-            users: socket.user.role === "Client" ? [] : room.users,
-            creator: room.creator,
-          });
-          console.log(`📤 [Room Emitted] ${room.roomId} for ${userId}`);
+          try {
+            await cacheRoom(room);
+            joinRoom(socket, room.roomId);
+            socket.emit(
+              "roomCreated",
+              formatRoomForRole(await withAvatarUrl(room), socket.user.role)
+            );
+            console.log(`📤 [Room Emitted] ${room.roomId} for ${userId}`);
+          } catch (err) {
+            console.error(
+              `❌ [Room Emit Error] ${room.roomId} for ${userId}:`,
+              err.message
+            );
+          }
         });
       })
       .catch((err) => {
@@ -260,139 +292,44 @@ export const initializeSocket = (server, allowedOrigins) => {
       return userRooms[0];
     }
 
-    function isUserInRoom(roomId) {
-      return rooms.get(roomId)?.users.includes(userId);
-    }
-
-    async function validateCompanyUsers(userIds) {
-      console.log("Validating user IDs:", userIds, "for companyId:", companyId);
-      const validObjectIds = userIds
-        .filter((id) => typeof id === "string" && ObjectId.isValid(id))
-        .map((id) => new ObjectId(id));
+    // Rooms this socket announced itself online in, for cleanup on disconnect
+    const presenceRooms = new Set();
 
-      if (validObjectIds.length !== userIds.length) {
-        console.error("Some user IDs are invalid:", {
-          invalidUserIds: userIds.filter(
-            (id) => !ObjectId.isValid(id) || typeof id !== "string"
-          ),
-        });
-        return [];
+    // Access checks deny when the room cache cannot be reached
+    async function loadRoom(roomId) {
+      try {
+        return await getCachedRoom(roomId);
+      } catch (err) {
+        console.error(`❌ [Room Cache Error] ${roomId}:`, err.message);
+        return undefined;
       }
+    }
 
-      const validUsers = await userCollection
-        .find({
-          _id: { $in: validObjectIds },
-          companyId: new ObjectId(companyId),
-        })
-        .toArray();
-      console.log(
-        "Valid users from database:",
-        validUsers.map((u) => u._id.toString())
-      );
-
-      const validEmployees = await employeeCollection
-        .find({
-          _id: { $in: validObjectIds },
-          companyId: new ObjectId(companyId),
-        })
-        .toArray();
-      console.log(
-        "Valid employees from database:",
-        validEmployees.map((u) => u._id.toString())
-      );
-
-      const validClients = await clientCollection
-        .find({
-          _id: { $in: validObjectIds },
-          companyId: new ObjectId(companyId),
-        })
-        .toArray();
-      console.log(
-        "Valid clients from database:",
-        validClients.map((u) => u._id.toString())
-      );
-
-      const validUserIds = [
-        ...validUsers,
-        ...validEmployees,
-        ...validClients,
-      ].map((u) => u._id.toString());
+    async function isUserInRoom(roomId) {
+      return Boolean((await loadRoom(roomId))?.users.includes(userId));
+    }
 
-      console.log("All valid user IDs:", validUserIds);
-      return validUserIds;
+    // Read-only members can follow a room but not post in it
+    async function canSendInRoom(roomId) {
+      return canInRoom(await loadRoom(roomId), userId, "message.send");
     }
 
-    async function validatePlanForRoomCreation(companyId, userIds) {
-      const db = getDB();
-      const companyCollection = db.collection("companyregistrations");
+    async function isRoomArchived(roomId) {
+      return Boolean((await loadRoom(roomId))?.archived);
+    }
 
-      try {
-        // Fetch company plan information
-        const company = await companyCollection.findOne(
-          { _id: new ObjectId(companyId) },
-          { projection: { planPreferences: 1 } }
-        );
-
-        if (!company || !company.planPreferences) {
-          console.error(`Company plan not found for companyId: ${companyId}`);
-          return {
-            allowed: false,
-            error: "Company plan information not found.",
-          };
-        }
-
-        const plan = company.planPreferences.desiredPlan?.toLowerCase();
-        // const status = company.status?.toLowerCase();
-
-        // // Check if plan is active
-        // if (status !== "active") {
-        //   return {
-        //     allowed: false,
-        //     error:
-        //       "Your company plan is not active. Please contact your administrator.",
-        //   };
-        // }
-
-        // Validate based on plan type
-        console.log(plan)
-        switch (plan) {
-          case "basic":
-            return {
-              allowed: false,
-              error:
-                "Chat feature is not available with Basic plan. Please upgrade to Standard or Premium plan.",
-            };
-
-          case "standard":
-            if (userIds.length > 1) {
-              return {
-                allowed: false,
-                error:
-                  "Standard plan allows rooms with only one user. Upgrade to Premium plan for multi-user rooms.",
-              };
-            }
-            return { allowed: true };
-
-          case "premium":
-            // Premium plan allows unlimited users
-            return { allowed: true };
-
-          default:
-            return {
-              allowed: false,
-              error: "Invalid plan type. Please contact your administrator.",
-            };
-        }
-      } catch (error) {
-        console.error("Error validating plan for room creation:", error);
-        return {
-          allowed: false,
-          error: "Error validating plan permissions.",
-        };
-      }
+    // Clients only get a head count of who is online
+    async function broadcastOnlineUsers(roomId) {
+      const onlineUsers = await getOnlineUsers(roomId);
+      await emitToRoom(io, roomId, "onlineUsersUpdate", (recipient) =>
+        recipient.role === "Client"
+          ? { userCount: onlineUsers.length, roomId }
+          : { users: onlineUsers, roomId }
+      );
+      return onlineUsers;
     }
 
-    socket.on("createRoom", async ({ roomName, userIds }) => {
+    socket.on("createRoom", async ({ roomName, userIds }, ack) => {
       // console.log(`[DEBUG] createRoom event: userId=${userId}, roomName=${roomName}, userIds=`, userIds);
       if (
         !roomName?.trim() ||
@@ -400,7 +337,11 @@ export const initializeSocket = (server, allowedOrigins) => {
         userIds.length === 0
       ) {
         console.error("Invalid room name or users:", { roomName, userIds });
-        return socket.emit("errorMessage", "Invalid room name or users.");
+        return fail(
+          ack,
+          ERROR_CODES.VALIDATION_ERROR,
+          "Invalid room name or users."
+        );
       }
 
       // Prevent creation of rooms with default company chat name
@@ -408,131 +349,393 @@ export const initializeSocket = (server, allowedOrigins) => {
         console.error(
           `[Socket ${socket.id}] Attempt to create restricted room name: ${roomName}`
         );
-        return socket.emit(
-          "errorMessage",
+        return fail(
+          ack,
+          ERROR_CODES.VALIDATION_ERROR,
           "Room name is reserved and cannot be used."
         );
       }
 
-      // NEW: Validate plan permissions for room creation
-      const planValidation = await validatePlanForRoomCreation(
-        companyId,
-        userIds
-      );
-      if (!planValidation.allowed) {
-        console.error(
-          `[Socket ${socket.id}] Plan validation failed for companyId: ${companyId}, error: ${planValidation.error}`
+      try {
+        // NEW: Validate plan permissions for room creation
+        const planValidation = await validatePlanForRoomCreation(
+          companyId,
+          userIds
         );
-        return socket.emit("errorMessage", planValidation.error);
-      }
+        if (!planValidation.allowed) {
+          console.error(
+            `[Socket ${socket.id}] Plan validation failed for companyId: ${companyId}, error: ${planValidation.error}`
+          );
+          return fail(ack, ERROR_CODES.FORBIDDEN, planValidation.error);
+        }
 
-      const validUserIds = await validateCompanyUsers(userIds);
-      console.log("Validation result:", {
-        inputUserIds: userIds,
-        validUserIds,
-      });
+        const validUserIds = await validateCompanyUsers(companyId, userIds);
+        console.log("Validation result:", {
+          inputUserIds: userIds,
+          validUserIds,
+        });
 
-      const invalidUserIds = userIds.filter((id) => !validUserIds.includes(id));
-      if (invalidUserIds.length > 0) {
-        console.error(
-          "Validation failed: Some users do not belong to company",
-          { invalidUserIds }
-        );
-        return socket.emit(
-          "errorMessage",
-          "Some users do not belong to your company."
+        const invalidUserIds = userIds.filter((id) => !validUserIds.includes(id));
+        if (invalidUserIds.length > 0) {
+          console.error(
+            "Validation failed: Some users do not belong to company",
+            { invalidUserIds }
+          );
+          return fail(
+            ack,
+            ERROR_CODES.FORBIDDEN,
+            "Some users do not belong to your company."
+          );
+        }
+
+        const roomId = `room_${Date.now()}_${Math.random()
+          .toString(36)
+          .substr(2, 9)}`;
+        const allUserIds = [...new Set([userId, ...userIds])];
+
+        const newRoom = {
+          roomId,
+          roomName: roomName.trim(),
+          type: "group",
+          users: allUserIds,
+          creator: userId,
+          companyId,
+          createdAt: new Date(),
+        };
+        await roomCollection.insertOne(newRoom);
+        await recordAudit({
+          action: "room.create",
+          actor: socket.user,
+          roomId,
+          target: { type: "room", id: roomId },
+          after: { roomName: newRoom.roomName, type: "group", users: allUserIds },
+          source: auditSource(socket),
+        });
+
+        await cacheRoom(newRoom);
+        joinRoom(socket, roomId);
+        await announceRoomToUsers(io, newRoom, allUserIds);
+
+        await insertSystemMessage(
+          io,
+          newRoom,
+          `Room "${roomName}" has been created!`
         );
+
+        console.log(`Room Created: roomId=${roomId}, users=`, allUserIds);
+        succeed(ack, { roomId });
+      } catch (err) {
+        console.error("❌ [createRoom Error]:", err.message);
+        fail(ack, ERROR_CODES.SERVER_ERROR, "Error creating room.");
       }
+    });
 
-      const roomId = `room_${Date.now()}_${Math.random()
-        .toString(36)
-        .substr(2, 9)}`;
-      const allUserIds = [...new Set([userId, ...userIds])];
+    socket.on("openDirect", async ({ userId: targetUserId } = {}, ack) => {
+      try {
+        const result = await openDirectRoom(
+          io,
+          socket.user,
+          targetUserId,
+          auditSource(socket)
+        );
+        if (!result.success) {
+          console.error(
+            `[Socket ${socket.id}] openDirect failed: ${result.error}`
+          );
+          return fail(ack, codeForStatus(result.status), result.error);
+        }
+        joinRoom(socket, result.room.roomId);
+        socket.emit("directOpened", {
+          ...formatRoomForRole(result.room, socket.user.role),
+          created: result.created,
+        });
+        succeed(ack, { roomId: result.room.roomId, created: result.created });
+      } catch (err) {
+        console.error("❌ [openDirect Error]:", err.message);
+        fail(
+          ack,
+          ERROR_CODES.SERVER_ERROR,
+          "Error opening direct conversation."
+        );
+      }
+    });
 
-      await roomCollection.insertOne({
-        roomId,
-        roomName: roomName.trim(),
-        users: allUserIds,
-        creator: userId,
-        companyId,
-        createdAt: new Date(),
-      });
+    socket.on("addMembers", async ({ roomId, userIds } = {}, ack) => {
+      try {
+        const result = await addRoomMembers(
+          io,
+          socket.user,
+          roomId,
+          userIds,
+          auditSource(socket)
+        );
+        if (!result.success) {
+          console.error(
+            `[Socket ${socket.id}] addMembers failed: ${result.error}`
+          );
+          return fail(ack, codeForStatus(result.status), result.error);
+        }
+        succeed(ack);
+      } catch (err) {
+        console.error("❌ [addMembers Error]:", err.message);
+        fail(ack, ERROR_CODES.SERVER_ERROR, "Error adding members.");
+      }
+    });
 
-      rooms.set(roomId, {
-        roomName: roomName.trim(),
-        users: allUserIds,
-        creator: userId,
-      });
-      socket.join(roomId);
+    socket.on("removeMember", async ({ roomId, userId: memberId } = {}, ack) => {
+      try {
+        const result = await removeRoomMember(
+          io,
+          socket.user,
+          roomId,
+          memberId,
+          auditSource(socket)
+        );
+        if (!result.success) {
+          console.error(
+            `[Socket ${socket.id}] removeMember failed: ${result.error}`
+          );
+          return fail(ack, codeForStatus(result.status), result.error);
+        }
+        succeed(ack);
+      } catch (err) {
+        console.error("❌ [removeMember Error]:", err.message);
+        fail(ack, ERROR_CODES.SERVER_ERROR, "Error removing member.");
+      }
+    });
 
-      allUserIds.forEach((uid) => {
-        const targetSocket = Array.from(io.sockets.sockets.values()).find(
-          (s) => s.user?.userId === uid
+    socket.on("setMemberRole", async ({ roomId, userId: memberId, role } = {}, ack) => {
+      try {
+        const result = await setRoomMemberRole(
+          io,
+          socket.user,
+          roomId,
+          memberId,
+          role,
+          auditSource(socket)
         );
-        if (targetSocket) {
-          io.to(targetSocket.id).emit("roomCreated", {
-            roomId,
-            roomName,
-            users: targetSocket.user.role === "Client" ? [] : allUserIds,
-            creator: userId,
-          });
-          console.log(
-            `📤 [roomCreated Emitted] to user ${uid} (role=${targetSocket.user.role})`
+        if (!result.success) {
+          console.error(
+            `[Socket ${socket.id}] setMemberRole failed: ${result.error}`
           );
+          return fail(ack, codeForStatus(result.status), result.error);
         }
-      });
+        succeed(ack);
+      } catch (err) {
+        console.error("❌ [setMemberRole Error]:", err.message);
+        fail(ack, ERROR_CODES.SERVER_ERROR, "Error updating member role.");
+      }
+    });
 
-      for (const [socketId, client] of io.sockets.sockets) {
-        if (allUserIds.includes(client.user?.userId)) {
-          client.join(roomId);
+    socket.on("transferOwnership", async ({ roomId, userId: newOwnerId } = {}, ack) => {
+      try {
+        const result = await transferRoomOwnership(
+          io,
+          socket.user,
+          roomId,
+          newOwnerId,
+          auditSource(socket)
+        );
+        if (!result.success) {
+          console.error(
+            `[Socket ${socket.id}] transferOwnership failed: ${result.error}`
+          );
+          return fail(ack, codeForStatus(result.status), result.error);
         }
+        succeed(ack);
+      } catch (err) {
+        console.error("❌ [transferOwnership Error]:", err.message);
+        fail(ack, ERROR_CODES.SERVER_ERROR, "Error transferring ownership.");
       }
+    });
 
-      const systemMsg = {
-        _id: new ObjectId().toString(),
-        message: `Room "${roomName}" has been created!`,
-        userId: "system",
-        username: "System",
-        companyName: "System",
+    // Avatars are uploaded through PATCH /api/rooms/:roomId; the socket event
+    // updates text fields and can remove the avatar
+    socket.on(
+      "updateRoom",
+      async ({
         roomId,
-        companyId,
-        timestamp: new Date().toISOString(),
-      };
+        roomName,
+        description,
+        topic,
+        removeAvatar,
+        slowModeSeconds,
+      } = {},
+      ack
+    ) => {
+        try {
+          const result = await updateRoomDetails(
+            io,
+            socket.user,
+            roomId,
+            { roomName, description, topic, removeAvatar, slowModeSeconds },
+            null,
+            auditSource(socket)
+          );
+          if (!result.success) {
+            console.error(
+              `[Socket ${socket.id}] updateRoom failed: ${result.error}`
+            );
+            return fail(ack, codeForStatus(result.status), result.error);
+          }
+          succeed(ack);
+        } catch (err) {
+          console.error("❌ [updateRoom Error]:", err.message);
+          fail(ack, ERROR_CODES.SERVER_ERROR, "Error updating room.");
+        }
+      }
+    );
 
-      await messageCollection.insertOne({
-        ...systemMsg,
-        companyId: new ObjectId(companyId),
-        timestamp: new Date(systemMsg.timestamp),
-      });
-      io.to(roomId).emit("newMessage", systemMsg);
+    socket.on("archiveRoom", async ({ roomId } = {}, ack) => {
+      try {
+        const result = await setRoomArchived(
+          io,
+          socket.user,
+          roomId,
+          true,
+          auditSource(socket)
+        );
+        if (!result.success) {
+          console.error(
+            `[Socket ${socket.id}] archiveRoom failed: ${result.error}`
+          );
+          return fail(ack, codeForStatus(result.status), result.error);
+        }
+        succeed(ack);
+      } catch (err) {
+        console.error("❌ [archiveRoom Error]:", err.message);
+        fail(ack, ERROR_CODES.SERVER_ERROR, "Error archiving room.");
+      }
+    });
 
-      console.log(`Room Created: roomId=${roomId}, users=`, allUserIds);
+    socket.on("unarchiveRoom", async ({ roomId } = {}, ack) => {
+      try {
+        const result = await setRoomArchived(
+          io,
+          socket.user,
+          roomId,
+          false,
+          auditSource(socket)
+        );
+        if (!result.success) {
+          console.error(
+            `[Socket ${socket.id}] unarchiveRoom failed: ${result.error}`
+          );
+          return fail(ack, codeForStatus(result.status), result.error);
+        }
+        succeed(ack);
+      } catch (err) {
+        console.error("❌ [unarchiveRoom Error]:", err.message);
+        fail(ack, ERROR_CODES.SERVER_ERROR, "Error unarchiving room.");
+      }
     });
 
-    socket.on("sendMessage", async (message, currentRoom) => {
+    // The optional ack callback receives { success, status: "sent", ... } once
+    // the message is stored, or { success: false, code, error }
+    socket.on("sendMessage", async (message, currentRoom, options = {}, ack) => {
       // console.log(`[DEBUG] sendMessage event: userId=${userId}, currentRoom=${currentRoom}, message=`, message);
+      if (typeof options === "function") {
+        ack = options;
+        options = {};
+      }
+      // Acknowledge once: as soon as the message is stored, or on failure
+      let acked = false;
+      const respond = (payload) => {
+        if (acked || typeof ack !== "function") return;
+        acked = true;
+        ack(payload);
+      };
+      const reject = (code, error) => {
+        socket.emit("errorMessage", error);
+        respond({
+          success: false,
+          code,
+          clientMsgId: options?.clientMsgId,
+          error,
+        });
+      };
+
       if (!currentRoom) {
         console.error(`[Socket ${socket.id}] No room specified for message`);
-        return socket.emit("errorMessage", "No room specified.");
+        return reject(ERROR_CODES.VALIDATION_ERROR, "No room specified.");
       }
 
-      if (!isUserInRoom(currentRoom)) {
+      if (!(await isUserInRoom(currentRoom))) {
         console.error(
           `Unauthorized room access: userId=${userId}, roomId=${currentRoom}`
         );
-        return socket.emit("errorMessage", "Unauthorized room access.");
+        return reject(ERROR_CODES.FORBIDDEN, "Unauthorized room access.");
+      }
+
+      if (await isRoomArchived(currentRoom)) {
+        return reject(
+          ERROR_CODES.ARCHIVED,
+          "This room is archived and read-only."
+        );
+      }
+
+      if (!(await canSendInRoom(currentRoom))) {
+        console.error(
+          `Read-only send attempt: userId=${userId}, roomId=${currentRoom}`
+        );
+        return reject(
+          ERROR_CODES.READ_ONLY,
+          "You have read-only access to this room."
+        );
+      }
+
+      // Slow mode applies to everyone except room owners and admins
+      const room = await loadRoom(currentRoom);
+      if (!["owner", "admin"].includes(getRoomRole(room, userId))) {
+        try {
+          const slow = await checkSlowMode(
+            currentRoom,
+            userId,
+            room.slowModeSeconds
+          );
+          if (!slow.allowed) {
+            return rateLimited(
+              "sendMessage",
+              { retryAfter: slow.retryAfter, scope: "slowMode" },
+              [ack]
+            );
+          }
+        } catch (err) {
+          console.error("❌ [Slow Mode Error]:", err.message);
+        }
       }
 
       try {
         const savedMessage = await handleSendMessage(
           socket,
           message,
-          currentRoom
+          currentRoom,
+          {
+            parentId: options?.parentId,
+            clientMsgId: options?.clientMsgId,
+            onlineUserIds: (await getOnlineUsers(currentRoom)).map(
+              (user) => user.userId
+            ),
+          }
         );
         if (!savedMessage) {
           throw new Error("handleSendMessage returned no message");
         }
 
+        const sentAck = {
+          success: true,
+          status: "sent",
+          messageId: savedMessage._id,
+          clientMsgId: savedMessage.clientMsgId,
+          roomId: savedMessage.roomId,
+          timestamp: savedMessage.timestamp,
+        };
+        // A retry of a stored message is only acknowledged, not re-broadcast
+        if (savedMessage.duplicate) {
+          return respond({ ...sentAck, duplicate: true });
+        }
+        respond(sentAck);
+
         const baseMessage = {
           _id: savedMessage._id,
           userId: savedMessage.userId,
@@ -543,6 +746,15 @@ export const initializeSocket = (server, allowedOrigins) => {
           timestamp: savedMessage.timestamp,
           companyName: savedMessage.companyName,
         };
+        if (savedMessage.parentId) {
+          baseMessage.parentId = savedMessage.parentId;
+        }
+        if (savedMessage.mentions) {
+          baseMessage.mentions = savedMessage.mentions;
+        }
+        if (savedMessage.clientMsgId) {
+          baseMessage.clientMsgId = savedMessage.clientMsgId;
+        }
         const clientMessage = {
           ...baseMessage,
           username:
@@ -551,111 +763,388 @@ export const initializeSocket = (server, allowedOrigins) => {
               : savedMessage.companyName,
         };
 
+        // Replies go to the thread instead of the main conversation
+        const eventName = savedMessage.parentId ? "threadReply" : "newMessage";
         console.log(
-          `Emitting newMessage for roomId=${currentRoom}, sender userId=${userId}, role=${socket.user.role}`
-        );
-        for (const socketId of io.sockets.adapter.rooms.get(currentRoom) ||
-          []) {
-          const client = io.sockets.sockets.get(socketId);
-          if (client) {
-            const messageToEmit =
-              client.user.role === "Client" ? clientMessage : baseMessage;
-            client.emit("newMessage", messageToEmit);
-            console.log(
-              `Emitted newMessage to socket ${socketId} (role=${client.user.role}): username=${messageToEmit.username}`
-            );
-          }
+          `Emitting ${eventName} for roomId=${currentRoom}, sender userId=${userId}, role=${socket.user.role}`
+        );
+        const messageFor = (recipient) =>
+          recipient.role === "Client" ? clientMessage : baseMessage;
+        await emitToRoom(io, currentRoom, eventName, messageFor);
+        console.log(`Emitted ${eventName} in ${currentRoom}`);
+
+        // Notify mentioned users on their personal room, unless they are in
+        // a Do Not Disturb window (the mention is still listed by /mentions)
+        for (const mentionedUserId of savedMessage.mentionedUserIds || []) {
+          if (await isDoNotDisturb(mentionedUserId)) continue;
+          await emitToRoom(io, mentionedUserId, "mentioned", messageFor);
+        }
+
+        if (savedMessage.parentId && savedMessage.parentThread) {
+          await emitToRoom(io, currentRoom, "threadUpdated", (recipient) => ({
+            messageId: savedMessage.parentId,
+            roomId: currentRoom,
+            thread: formatThread(savedMessage.parentThread, recipient.role),
+          }));
         }
       } catch (err) {
         console.error("❌ [sendMessage Error]:", err.message);
-        socket.emit("errorMessage", "Error sending message.");
+        socket.emit("errorMessage", err.message || "Error sending message.");
+        respond({
+          success: false,
+          code: codeForStatus(err.status),
+          clientMsgId: options?.clientMsgId,
+          error: err.message || "Error sending message.",
+        });
       }
     });
 
-    socket.on("editMessage", async ({ messageId, newMessage, currentRoom }) => {
+    socket.on("editMessage", async ({ messageId, newMessage, currentRoom }, ack) => {
       // console.log(`[DEBUG] editMessage event: userId=${userId}, messageId=${messageId}, newMessage=${newMessage}, currentRoom=${currentRoom}`);
       if (!currentRoom) {
         console.error(`[Socket ${socket.id}] No room specified for edit`);
-        return socket.emit("errorMessage", "No room specified.");
+        return fail(ack, ERROR_CODES.VALIDATION_ERROR, "No room specified.");
       }
 
-      if (!isUserInRoom(currentRoom)) {
+      if (!(await isUserInRoom(currentRoom))) {
         console.error(
           `Unauthorized edit attempt: userId=${userId}, roomId=${currentRoom}`
         );
-        return socket.emit("errorMessage", "Unauthorized edit attempt.");
+        return fail(ack, ERROR_CODES.FORBIDDEN, "Unauthorized edit attempt.");
+      }
+
+      if (await isRoomArchived(currentRoom)) {
+        return fail(
+          ack,
+          ERROR_CODES.ARCHIVED,
+          "This room is archived and read-only."
+        );
+      }
+
+      if (!(await canSendInRoom(currentRoom))) {
+        console.error(
+          `Read-only edit attempt: userId=${userId}, roomId=${currentRoom}`
+        );
+        return fail(
+          ack,
+          ERROR_CODES.READ_ONLY,
+          "You have read-only access to this room."
+        );
       }
       try {
-        await handleEditMessage(socket, { messageId, newMessage }, currentRoom);
+        const result = await handleEditMessage(
+          socket,
+          { messageId, newMessage },
+          currentRoom
+        );
+        if (!result.success) {
+          return fail(ack, codeForStatus(result.status), result.error);
+        }
+        succeed(ack, { messageId });
       } catch (err) {
         console.error("❌ [editMessage Error]:", err.message);
-        socket.emit("errorMessage", "Error editing message.");
+        fail(ack, ERROR_CODES.SERVER_ERROR, "Error editing message.");
       }
     });
 
-    socket.on("deleteMessage", async (messageId, currentRoom) => {
+    socket.on("deleteMessage", async (messageId, currentRoom, ack) => {
       // console.log(`[DEBUG] deleteMessage event: userId=${userId}, messageId=${messageId}, currentRoom=${currentRoom}`);
       if (!currentRoom) {
         console.error(`[Socket ${socket.id}] No room specified for delete`);
-        return socket.emit("errorMessage", "No room specified.");
+        return fail(ack, ERROR_CODES.VALIDATION_ERROR, "No room specified.");
       }
 
-      if (!isUserInRoom(currentRoom)) {
+      if (!(await isUserInRoom(currentRoom))) {
         console.error(
           `Unauthorized delete attempt: userId=${userId}, roomId=${currentRoom}`
         );
-        return socket.emit("errorMessage", "Unauthorized delete attempt.");
+        return fail(ack, ERROR_CODES.FORBIDDEN, "Unauthorized delete attempt.");
+      }
+
+      if (await isRoomArchived(currentRoom)) {
+        return fail(
+          ack,
+          ERROR_CODES.ARCHIVED,
+          "This room is archived and read-only."
+        );
       }
       try {
-        await handleDeleteMessage(socket, messageId, currentRoom);
+        const result = await handleDeleteMessage(socket, messageId, currentRoom);
+        if (!result.success) {
+          return fail(ack, codeForStatus(result.status), result.error);
+        }
+        succeed(ack, { messageId });
       } catch (err) {
         console.error("❌ [deleteMessage Error]:", err.message);
-        socket.emit("errorMessage", "Error deleting message.");
+        fail(ack, ERROR_CODES.SERVER_ERROR, "Error deleting message.");
       }
     });
 
-    socket.on("typing", ({ roomId, userId }) => {
-      // console.log(`[DEBUG] typing event: userId=${userId}, roomId=${roomId}`);
-      if (!socket.user || socket.user.userId !== userId) {
-        console.warn(
-          `Unauthorized typing attempt: userId=${userId}, socket.user=`,
-          socket.user
+    // Reactors get their own `reacted` flags; everyone else gets false
+    function emitReactionUpdate(update) {
+      return emitToRoom(
+        io,
+        update.roomId,
+        "reactionUpdated",
+        (recipient) => ({
+          messageId: update.messageId,
+          roomId: update.roomId,
+          reactions: aggregateReactions(
+            update.reactions,
+            recipient.role,
+            recipient.userId
+          ),
+        }),
+        { personalized: reactorIds(update.reactions) }
+      );
+    }
+
+    socket.on("addReaction", async ({ messageId, emoji, currentRoom }, ack) => {
+      if (!currentRoom) {
+        console.error(`[Socket ${socket.id}] No room specified for reaction`);
+        return fail(ack, ERROR_CODES.VALIDATION_ERROR, "No room specified.");
+      }
+
+      if (!(await isUserInRoom(currentRoom))) {
+        console.error(
+          `Unauthorized reaction attempt: userId=${userId}, roomId=${currentRoom}`
+        );
+        return fail(
+          ack,
+          ERROR_CODES.FORBIDDEN,
+          "Unauthorized reaction attempt."
         );
-        return;
       }
 
-      if (!roomId || !isUserInRoom(roomId)) {
-        console.warn(
-          `Invalid or unauthorized room: roomId=${roomId}, userId=${userId}`
+      if (await isRoomArchived(currentRoom)) {
+        return fail(
+          ack,
+          ERROR_CODES.ARCHIVED,
+          "This room is archived and read-only."
         );
-        return;
       }
+      try {
+        const result = await handleAddReaction(
+          socket,
+          { messageId, emoji },
+          currentRoom
+        );
+        if (!result.success) {
+          return fail(ack, codeForStatus(result.status), result.error);
+        }
+        await emitReactionUpdate(result.update);
+        succeed(ack, { messageId: result.update.messageId });
+      } catch (err) {
+        console.error("❌ [addReaction Error]:", err.message);
+        fail(ack, ERROR_CODES.SERVER_ERROR, "Error adding reaction.");
+      }
+    });
 
-      for (const socketId of io.sockets.adapter.rooms.get(roomId) || []) {
-        if (socketId !== socket.id) {
-          const client = io.sockets.sockets.get(socketId);
-          if (client && client.user.role !== "Client") {
-            client.emit("userTyping", {
-              userId: socket.user.userId,
-              username: socket.user.firstName || "Anonymous",
-              roomId,
-            });
-          }
+    socket.on("removeReaction", async ({ messageId, emoji, currentRoom }, ack) => {
+      if (!currentRoom) {
+        console.error(`[Socket ${socket.id}] No room specified for reaction`);
+        return fail(ack, ERROR_CODES.VALIDATION_ERROR, "No room specified.");
+      }
+
+      if (!(await isUserInRoom(currentRoom))) {
+        console.error(
+          `Unauthorized reaction attempt: userId=${userId}, roomId=${currentRoom}`
+        );
+        return fail(
+          ack,
+          ERROR_CODES.FORBIDDEN,
+          "Unauthorized reaction attempt."
+        );
+      }
+
+      if (await isRoomArchived(currentRoom)) {
+        return fail(
+          ack,
+          ERROR_CODES.ARCHIVED,
+          "This room is archived and read-only."
+        );
+      }
+      try {
+        const result = await handleRemoveReaction(
+          socket,
+          { messageId, emoji },
+          currentRoom
+        );
+        if (!result.success) {
+          return fail(ack, codeForStatus(result.status), result.error);
         }
+        await emitReactionUpdate(result.update);
+        succeed(ack, { messageId: result.update.messageId });
+      } catch (err) {
+        console.error("❌ [removeReaction Error]:", err.message);
+        fail(ack, ERROR_CODES.SERVER_ERROR, "Error removing reaction.");
       }
     });
 
-    socket.on("stopTyping", ({ roomId, userId }) => {
-      // console.log(`[DEBUG] stopTyping event: userId=${userId}, roomId=${roomId}`);
-      if (!socket.user || socket.user.userId !== userId) {
+    socket.on("markRead", async ({ roomId, messageId } = {}, ack) => {
+      if (!roomId || !(await isUserInRoom(roomId))) {
+        console.error(
+          `Unauthorized markRead attempt: userId=${userId}, roomId=${roomId}`
+        );
+        return fail(ack, ERROR_CODES.FORBIDDEN, "Unauthorized room access.");
+      }
+      try {
+        const result = await handleMarkRead(socket, { roomId, messageId });
+        if (!result) return succeed(ack, { updated: false });
+        const { receipt, senderIds } = result;
+
+        // Clients never see who read what
+        await emitToRoom(io, roomId, "readReceipt", (recipient) =>
+          recipient.role === "Client" ? null : receipt
+        );
+
+        // Senders learn that their messages up to messageId are read
+        for (const senderId of senderIds) {
+          await emitToRoom(io, senderId, "messageStatus", (recipient) => ({
+            roomId,
+            messageId: receipt.messageId,
+            status: "read",
+            readAt: receipt.readAt,
+            ...(recipient.role === "Client" ? {} : { userId: receipt.userId }),
+          }));
+        }
+        succeed(ack, { updated: true, messageId: receipt.messageId });
+      } catch (err) {
+        console.error("❌ [markRead Error]:", err.message);
+        fail(ack, ERROR_CODES.SERVER_ERROR, "Error marking room as read.");
+      }
+    });
+
+    // The client confirms messages it received (live or through resync)
+    socket.on("messageDelivered", async ({ roomId, messageIds } = {}, ack) => {
+      if (!roomId || !(await isUserInRoom(roomId))) {
+        console.error(
+          `Unauthorized messageDelivered attempt: userId=${userId}, roomId=${roomId}`
+        );
+        return fail(ack, ERROR_CODES.FORBIDDEN, "Unauthorized room access.");
+      }
+      try {
+        const deliveries = await handleMessagesDelivered(socket, {
+          roomId,
+          messageIds,
+        });
+        for (const delivery of deliveries) {
+          await emitToRoom(io, delivery.senderId, "messageStatus", (recipient) => ({
+            roomId,
+            messageId: delivery.messageId,
+            status: "delivered",
+            deliveredCount: delivery.deliveredCount,
+            deliveredAt: delivery.deliveredAt,
+            ...(recipient.role === "Client" ? {} : { userId: delivery.userId }),
+          }));
+        }
+        succeed(ack, { delivered: deliveries.length });
+      } catch (err) {
+        console.error("❌ [messageDelivered Error]:", err.message);
+        fail(ack, ERROR_CODES.SERVER_ERROR, "Error acknowledging delivery.");
+      }
+    });
+
+    // Replay what a reconnecting client missed:
+    // resync({ rooms: [{ roomId, lastMessageId }] }, ack)
+    socket.on("resync", async ({ rooms } = {}, ack) => {
+      const respond = (payload) =>
+        typeof ack === "function"
+          ? ack(payload)
+          : socket.emit("resyncResult", payload);
+      try {
+        const result = await handleResync(socket, rooms);
+        if (!result.success) {
+          console.error(`[Socket ${socket.id}] resync failed: ${result.error}`);
+          socket.emit("errorMessage", result.error);
+          return respond({ ...result, code: codeForStatus(result.status) });
+        }
+        respond(result);
+      } catch (err) {
+        console.error("❌ [resync Error]:", err.message);
+        socket.emit("errorMessage", "Error replaying missed messages.");
+        respond({
+          success: false,
+          code: ERROR_CODES.SERVER_ERROR,
+          error: "Error replaying missed messages.",
+        });
+      }
+    });
+
+    // Per-device state, e.g. the client reports "away" after being idle
+    socket.on("setPresence", async ({ state } = {}, ack) => {
+      if (!PRESENCE_STATES.includes(state)) {
+        return fail(
+          ack,
+          ERROR_CODES.VALIDATION_ERROR,
+          `Presence must be one of: ${PRESENCE_STATES.join(", ")}.`
+        );
+      }
+      if (socket.data.presence === state) return succeed(ack, { state });
+      socket.data.presence = state;
+      try {
+        await broadcastPresence(io, companyId, userId);
+        succeed(ack, { state });
+      } catch (err) {
+        console.error("❌ [setPresence Error]:", err.message);
+        fail(ack, ERROR_CODES.SERVER_ERROR, "Error updating presence.");
+      }
+    });
+
+    socket.on("setStatus", async ({ statusText, doNotDisturb } = {}, ack) => {
+      try {
+        const result = await updateUserStatus(socket.user, {
+          statusText,
+          doNotDisturb,
+        });
+        if (!result.success) {
+          console.error(
+            `[Socket ${socket.id}] setStatus failed: ${result.error}`
+          );
+          return fail(ack, codeForStatus(result.status), result.error);
+        }
+        await broadcastPresence(io, companyId, userId);
+        succeed(ack);
+      } catch (err) {
+        console.error("❌ [setStatus Error]:", err.message);
+        fail(ack, ERROR_CODES.SERVER_ERROR, "Error updating status.");
+      }
+    });
+
+    // The typist is always the socket's user; a userId in the payload is ignored
+    socket.on("typing", async ({ roomId }) => {
+      // console.log(`[DEBUG] typing event: userId=${userId}, roomId=${roomId}`);
+      if (!roomId || !(await isUserInRoom(roomId))) {
         console.warn(
-          `Unauthorized stopTyping attempt: userId=${userId}, socket.user=`,
-          socket.user
+          `Invalid or unauthorized room: roomId=${roomId}, userId=${userId}`
         );
         return;
       }
 
-      if (!roomId || !isUserInRoom(roomId)) {
+      try {
+        await emitToRoom(
+          io,
+          roomId,
+          "userTyping",
+          (recipient) =>
+            recipient.role === "Client"
+              ? null
+              : {
+                  userId: socket.user.userId,
+                  username: socket.user.firstName || "Anonymous",
+                  roomId,
+                },
+          { exceptSocketId: socket.id }
+        );
+      } catch (err) {
+        console.error("❌ [typing Error]:", err.message);
+      }
+    });
+
+    // The typist is always the socket's user; a userId in the payload is ignored
+    socket.on("stopTyping", async ({ roomId }) => {
+      // console.log(`[DEBUG] stopTyping event: userId=${userId}, roomId=${roomId}`);
+      if (!roomId || !(await isUserInRoom(roomId))) {
         console.warn(
           `Invalid or unauthorized room: roomId=${roomId}, userId=${userId}`
         );
@@ -671,140 +1160,140 @@ export const initializeSocket = (server, allowedOrigins) => {
       );
     });
 
-    socket.on("joinRoom", (roomId) => {
+    socket.on("joinRoom", async (roomId, ack) => {
       // console.log(`[DEBUG] joinRoom event: userId=${userId}, roomId=${roomId}`);
-      const room = rooms.get(roomId);
+      const room = await loadRoom(roomId);
       if (!room || !room.users.includes(userId)) {
         console.error(
           `Join Room Failed: userId=${userId}, roomId=${roomId}, roomUsers=`,
           room?.users
         );
-        return socket.emit(
-          "errorMessage",
+        return fail(
+          ack,
+          ERROR_CODES.FORBIDDEN,
           "Unauthorized or non-existent room."
         );
       }
 
-      socket.join(roomId);
-      if (!onlineUsersByRoom.has(roomId)) {
-        onlineUsersByRoom.set(roomId, new Map());
-      }
-
-      onlineUsersByRoom.get(roomId).set(userId, {
-        userId,
-        username: socket.user.firstName || "Anonymous",
-      });
+      joinRoom(socket, roomId);
+      presenceRooms.add(roomId);
+      try {
+        await addOnlineUser(roomId, {
+          userId,
+          username: socket.user.firstName || "Anonymous",
+        });
 
-      const onlineUsers = [...onlineUsersByRoom.get(roomId).values()];
-      socket.emit("joinConfirmation", {
-        room: roomId,
-        roomName: room.roomName,
-        users: socket.user.role === "Client" ? [] : onlineUsers,
-      });
+        const onlineUsers = await getOnlineUsers(roomId);
+        socket.emit("joinConfirmation", {
+          room: roomId,
+          roomName: room.roomName,
+          users: socket.user.role === "Client" ? [] : onlineUsers,
+        });
 
-      for (const socketId of io.sockets.adapter.rooms.get(roomId) || []) {
-        const client = io.sockets.sockets.get(socketId);
-        if (
-          client &&
-          client.user.role !== "Client" &&
-          client.user.userId !== userId
-        ) {
-          client.emit("userJoined", {
-            user: { userId, username: socket.user.firstName || "Anonymous" },
-            roomId: roomId,
-          });
-          console.log(
-            `📤 [userJoined Emitted] to socket ${socketId} (role=${client.user.role})`
-          );
-        }
-      }
+        await emitToRoom(io, roomId, "userJoined", (recipient) =>
+          recipient.role === "Client" || recipient.userId === userId
+            ? null
+            : {
+                user: {
+                  userId,
+                  username: socket.user.firstName || "Anonymous",
+                },
+                roomId: roomId,
+              },
+          { personalized: [userId] }
+        );
+        console.log(
+          `📤 [userJoined Emitted] to room ${roomId}, userId=${userId}`
+        );
 
-      for (const socketId of io.sockets.adapter.rooms.get(roomId) || []) {
-        const client = io.sockets.sockets.get(socketId);
-        if (client) {
-          if (client.user.role === "Client") {
-            client.emit("onlineUsersUpdate", {
-              userCount: onlineUsers.length,
-              roomId,
-            });
-          } else {
-            client.emit("onlineUsersUpdate", {
-              users: onlineUsers,
-              roomId,
-            });
-          }
-        }
+        await broadcastOnlineUsers(roomId);
+        succeed(ack, { roomId });
+      } catch (err) {
+        console.error("❌ [joinRoom Error]:", err.message);
+        fail(ack, ERROR_CODES.SERVER_ERROR, "Error joining room.");
       }
     });
 
-    socket.on("leaveRoom", async (roomId) => {
+    socket.on("leaveRoom", async (roomId, options = {}, ack) => {
       // console.log(`[DEBUG] leaveRoom event: userId=${userId}, roomId=${roomId}`);
-      await handleLeaveRoom(socket, roomId);
-      const room = await roomCollection.findOne({ roomId });
-      if (room) {
-        rooms.set(roomId, {
-          roomName: room.roomName,
-          users: room.users,
-          creator: room.creator,
+      if (typeof options === "function") {
+        ack = options;
+        options = {};
+      }
+      try {
+        const result = await handleLeaveRoom(socket, roomId, {
+          transferTo: options?.transferTo,
         });
-      } else {
-        rooms.delete(roomId);
-        onlineUsersByRoom.delete(roomId);
-      }
-
-      if (onlineUsersByRoom.has(roomId)) {
-        onlineUsersByRoom.get(roomId).delete(userId);
-        const onlineUsers = [...onlineUsersByRoom.get(roomId).values()];
-        for (const socketId of io.sockets.adapter.rooms.get(roomId) || []) {
-          const client = io.sockets.sockets.get(socketId);
-          if (client) {
-            if (client.user.role === "Client") {
-              client.emit("onlineUsersUpdate", {
-                userCount: onlineUsers.length,
-                roomId,
-              });
-            } else {
-              client.emit("onlineUsersUpdate", {
-                users: onlineUsers,
-                roomId,
-              });
-            }
-          }
+        if (!result.success) {
+          return fail(ack, codeForStatus(result.status), result.error);
+        }
+        const room = await roomCollection.findOne({
+          roomId,
+          deletedAt: { $exists: false },
+        });
+        if (room) {
+          await cacheRoom(room);
+        } else {
+          await uncacheRoom(roomId);
         }
+
+        presenceRooms.delete(roomId);
+        if (await removeOnlineUser(roomId, userId)) {
+          await broadcastOnlineUsers(roomId);
+        }
+        succeed(ack, { roomId });
+      } catch (err) {
+        console.error("❌ [leaveRoom Error]:", err.message);
+        fail(ack, ERROR_CODES.SERVER_ERROR, "Error leaving room.");
       }
     });
 
-    socket.on("deleteRoom", (data) => {
-      // console.log(`[DEBUG] deleteRoom event: userId=${userId}, data=`, data);
-      handleDeleteRoom(socket, data);
-      onlineUsersByRoom.delete(data.roomId);
+    socket.on("deleteRoom", async ({ roomId } = {}, ack) => {
+      try {
+        const result = await deleteRoom(
+          io,
+          socket.user,
+          roomId,
+          auditSource(socket)
+        );
+        if (!result.success) {
+          console.error(
+            `[Socket ${socket.id}] deleteRoom failed: ${result.error}`
+          );
+          return fail(ack, codeForStatus(result.status), result.error);
+        }
+        succeed(ack, {
+          roomId,
+          ...(result.purgeAt ? { purgeAt: result.purgeAt.toISOString() } : {}),
+        });
+      } catch (err) {
+        console.error("❌ [deleteRoom Error]:", err.message);
+        fail(ack, ERROR_CODES.SERVER_ERROR, "Error deleting room.");
+      }
     });
 
-    socket.on("disconnect", () => {
+    socket.on("disconnect", async () => {
       // console.log(`[DEBUG] disconnect event: userId=${userId}, socketId=${socket.id}`);
       console.log(`❌ [Disconnected] ${userId}`);
-      onlineUsersByRoom.forEach((users, roomId) => {
-        if (users.has(userId)) {
-          users.delete(userId);
-          const onlineUsers = [...users.values()];
-          for (const socketId of io.sockets.adapter.rooms.get(roomId) || []) {
-            const client = io.sockets.sockets.get(socketId);
-            if (client) {
-              if (client.user.role === "Client") {
-                client.emit("onlineUsersUpdate", {
-                  userCount: onlineUsers.length,
-                  roomId,
-                });
-              } else {
-                client.emit("onlineUsersUpdate", {
-                  users: onlineUsers,
-                  roomId,
-                });
-              }
-            }
+      try {
+        // The user's other devices keep them online, in rooms and company-wide
+        const devices = await io.in(userId).fetchSockets();
+        for (const roomId of presenceRooms) {
+          if (devices.some((device) => device.rooms.has(roomId))) continue;
+          if (await removeOnlineUser(roomId, userId)) {
+            await broadcastOnlineUsers(roomId);
           }
         }
-      });
+
+        if (companyId) {
+          if (devices.length === 0) {
+            await touchLastSeen(socket.user);
+          }
+          await broadcastPresence(io, companyId, userId);
+        }
+      } catch (err) {
+        console.error("❌ [disconnect Error]:", err.message);
+      }
     });
   });
 
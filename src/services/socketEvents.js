@@ -0,0 +1,167 @@
+import {
+  array,
+  boolean,
+  date,
+  integer,
+  nullable,
+  object,
+  objectId,
+  oneOf,
+  optional,
+  roomId,
+  string,
+  validateArgs,
+} from "../utils/schema.js";
+import { MAX_MESSAGE_LENGTH } from "../utils/message.utils.js";
+import { PRESENCE_STATES } from "./presence.js";
+import { ROOM_ROLES } from "./room.js";
+
+/**
+ * Error codes sent to ack callbacks as { success: false, code, error }.
+ * `error` stays human readable; clients should branch on `code`.
+ */
+export const ERROR_CODES = {
+  VALIDATION_ERROR: "VALIDATION_ERROR",
+  UNKNOWN_EVENT: "UNKNOWN_EVENT",
+  UNAUTHORIZED: "UNAUTHORIZED",
+  FORBIDDEN: "FORBIDDEN",
+  NOT_FOUND: "NOT_FOUND",
+  CONFLICT: "CONFLICT",
+  ARCHIVED: "ARCHIVED",
+  READ_ONLY: "READ_ONLY",
+  RATE_LIMITED: "RATE_LIMITED",
+  SERVER_ERROR: "SERVER_ERROR",
+};
+
+const CODES_BY_STATUS = {
+  400: ERROR_CODES.VALIDATION_ERROR,
+  401: ERROR_CODES.UNAUTHORIZED,
+  403: ERROR_CODES.FORBIDDEN,
+  404: ERROR_CODES.NOT_FOUND,
+  409: ERROR_CODES.CONFLICT,
+  429: ERROR_CODES.RATE_LIMITED,
+};
+
+// Maps the HTTP-style status of a { success, status, error } result
+export const codeForStatus = (status) =>
+  CODES_BY_STATUS[status] || ERROR_CODES.SERVER_ERROR;
+
+const MAX_ROOM_USERS = 500;
+
+const room = roomId();
+const id = objectId();
+const messageText = string({ max: MAX_MESSAGE_LENGTH });
+const reactionPayload = object({
+  messageId: id,
+  emoji: string({ max: 32 }),
+  currentRoom: room,
+});
+const typingPayload = object({ roomId: room, userId: optional(id) });
+
+/**
+ * Positional arguments of every inbound event, without the trailing ack
+ * callback. Events missing here are rejected as unknown.
+ */
+export const EVENT_SCHEMAS = {
+  createRoom: [
+    object({
+      roomName: string({ max: 100 }),
+      userIds: array(id, { min: 1, max: MAX_ROOM_USERS }),
+    }),
+  ],
+  openDirect: [object({ userId: id })],
+  addMembers: [
+    object({
+      roomId: room,
+      userIds: array(id, { min: 1, max: MAX_ROOM_USERS }),
+    }),
+  ],
+  removeMember: [object({ roomId: room, userId: id })],
+  setMemberRole: [
+    object({ roomId: room, userId: id, role: oneOf(ROOM_ROLES) }),
+  ],
+  transferOwnership: [object({ roomId: room, userId: id })],
+  updateRoom: [
+    object({
+      roomId: room,
+      roomName: optional(string({ max: 100 })),
+      description: optional(string({ min: 0, max: 1000 })),
+      topic: optional(string({ min: 0, max: 250 })),
+      removeAvatar: optional(boolean()),
+      slowModeSeconds: optional(integer({ min: 0, max: 60 * 60 })),
+    }),
+  ],
+  archiveRoom: [object({ roomId: room })],
+  unarchiveRoom: [object({ roomId: room })],
+  sendMessage: [
+    messageText,
+    room,
+    optional(
+      object({
+        parentId: optional(nullable(id)),
+        clientMsgId: optional(string({ max: 100, trim: false })),
+      })
+    ),
+  ],
+  editMessage: [
+    object({ messageId: id, newMessage: messageText, currentRoom: room }),
+  ],
+  deleteMessage: [id, room],
+  addReaction: [reactionPayload],
+  removeReaction: [reactionPayload],
+  markRead: [object({ roomId: room, messageId: optional(id) })],
+  messageDelivered: [
+    object({ roomId: room, messageIds: array(id, { min: 1, max: 100 }) }),
+  ],
+  resync: [
+    object({
+      rooms: array(
+        object({ roomId: room, lastMessageId: optional(nullable(id)) }),
+        { min: 1, max: 50 }
+      ),
+    }),
+  ],
+  setPresence: [object({ state: oneOf(PRESENCE_STATES) })],
+  setStatus: [
+    object({
+      statusText: optional(nullable(string({ min: 0, max: 100 }))),
+      doNotDisturb: optional(
+        nullable(object({ from: optional(date()), until: date() }))
+      ),
+    }),
+  ],
+  typing: [typingPayload],
+  stopTyping: [typingPayload],
+  joinRoom: [room],
+  leaveRoom: [room, optional(object({ transferTo: optional(id) }))],
+  deleteRoom: [object({ roomId: room })],
+};
+
+// Names used in error messages for events with several arguments
+const ARG_NAMES = {
+  sendMessage: ["message", "currentRoom", "options"],
+  deleteMessage: ["messageId", "currentRoom"],
+  leaveRoom: ["roomId", "options"],
+  joinRoom: ["roomId"],
+};
+
+/**
+ * Validate an inbound event. A trailing function argument is the ack and is
+ * not validated. Returns null when valid, or { code, error }.
+ */
+export const validateEvent = (event, args) => {
+  const schema = EVENT_SCHEMAS[event];
+  if (!schema) {
+    return { code: ERROR_CODES.UNKNOWN_EVENT, error: "Unknown event." };
+  }
+  const payload =
+    typeof args[args.length - 1] === "function" ? args.slice(0, -1) : args;
+  if (payload.length > schema.length) {
+    return {
+      code: ERROR_CODES.VALIDATION_ERROR,
+      error: `${event} takes at most ${schema.length} argument(s)`,
+    };
+  }
+  const error = validateArgs(schema, payload, ARG_NAMES[event]);
+  return error ? { code: ERROR_CODES.VALIDATION_ERROR, error } : null;
+};
@@ -0,0 +1,90 @@
+import { createLocalStorage } from "./local.js";
+import { createS3Storage } from "./s3.js";
+
+/**
+ * One storage backend for files, voice notes and room avatars, chosen by
+ * STORAGE_DRIVER:
+ *   s3             AWS S3 (AWS_REGION, AWS_ACCESS_KEY_ID,
+ *                  AWS_SECRET_ACCESS_KEY, AWS_BUCKET_NAME); the default
+ *   s3-compatible  MinIO and other S3 APIs: the AWS_* settings plus
+ *                  STORAGE_ENDPOINT (STORAGE_FORCE_PATH_STYLE=false for
+ *                  virtual-hosted buckets)
+ *   local          the filesystem under STORAGE_LOCAL_DIR (default
+ *                  ./storage), served at STORAGE_PUBLIC_URL/api/storage
+ *
+ * Every driver exposes put, getStream, head, copy, presignGet, presignPut,
+ * createMultipart, presignPart, completeMultipart, abortMultipart and
+ * deleteMany over object keys such as "uploads/file-123.pdf".
+ */
+export const STORAGE_DRIVERS = ["s3", "s3-compatible", "local"];
+
+const REQUIRED_ENV = {
+  s3: [
+    "AWS_ACCESS_KEY_ID",
+    "AWS_SECRET_ACCESS_KEY",
+    "AWS_REGION",
+    "AWS_BUCKET_NAME",
+  ],
+  "s3-compatible": [
+    "AWS_ACCESS_KEY_ID",
+    "AWS_SECRET_ACCESS_KEY",
+    "AWS_BUCKET_NAME",
+    "STORAGE_ENDPOINT",
+  ],
+  local: [],
+};
+
+let storage;
+
+const driverName = () => process.env.STORAGE_DRIVER || "s3";
+
+// Describes what is missing from the storage settings, or null when usable
+export const storageConfigError = () => {
+  const driver = driverName();
+  if (!STORAGE_DRIVERS.includes(driver)) {
+    return `Unknown STORAGE_DRIVER "${driver}"; use one of ${STORAGE_DRIVERS.join(", ")}`;
+  }
+  const missing = REQUIRED_ENV[driver].filter((name) => !process.env[name]);
+  // Local presigned URLs are signed with this secret
+  if (
+    driver === "local" &&
+    !process.env.STORAGE_SIGNING_SECRET &&
+    !process.env.JWT_SECRET
+  ) {
+    missing.push("STORAGE_SIGNING_SECRET");
+  }
+  return missing.length > 0
+    ? `Missing storage settings: ${missing.join(", ")}`
+    : null;
+};
+
+// The configured driver, created on first use
+export const getStorage = () => {
+  if (storage) return storage;
+
+  const error = storageConfigError();
+  if (error) throw new Error(error);
+
+  const driver = driverName();
+  if (driver === "local") {
+    storage = createLocalStorage({
+      root: process.env.STORAGE_LOCAL_DIR || "./storage",
+      publicUrl:
+        process.env.STORAGE_PUBLIC_URL ||
+        `http://localhost:${process.env.PORT || 8080}`,
+      secret: process.env.STORAGE_SIGNING_SECRET || process.env.JWT_SECRET,
+    });
+  } else {
+    storage = createS3Storage({
+      bucket: process.env.AWS_BUCKET_NAME,
+      region: process.env.AWS_REGION || "us-east-1",
+      endpoint:
+        driver === "s3-compatible" ? process.env.STORAGE_ENDPOINT : undefined,
+      forcePathStyle: process.env.STORAGE_FORCE_PATH_STYLE !== "false",
+      accessKeyId: process.env.AWS_ACCESS_KEY_ID,
+      secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
+    });
+  }
+  console.log(`📦 [Storage] Using ${storage.name} driver`);
+  return storage;
+};
@@ -0,0 +1,273 @@
+import crypto from "crypto";
+import fs from "fs";
+import fsp from "fs/promises";
+import path from "path";
+import { Transform } from "stream";
+import { pipeline } from "stream/promises";
+
+const notFound = (key) =>
+  Object.assign(new Error(`Object not found: ${key}`), {
+    name: "NotFound",
+    status: 404,
+  });
+
+const tooLarge = (maxBytes) =>
+  Object.assign(new Error(`Upload is larger than ${maxBytes} bytes`), {
+    name: "TooLarge",
+    status: 413,
+  });
+
+/**
+ * Storage driver that keeps objects on the local filesystem under `root`:
+ * objects/<key> holds the bytes, meta/<key>.json the content type, and
+ * multipart/<uploadId>/ the parts of unfinished multipart uploads.
+ *
+ * Presigned URLs point at the /api/storage/:token route on `publicUrl`; the
+ * token is an HMAC-signed { key, method, expiry } so it works like an S3
+ * presigned URL without a login. Upload tokens also carry `maxBytes`, the
+ * size declared for the upload, and receive() rejects larger bodies.
+ */
+export const createLocalStorage = ({ root, publicUrl, secret }) => {
+  const baseDir = path.resolve(root);
+
+  // Keys come from the app, but never let one escape its directory
+  const resolve = (dir, name) => {
+    const base = path.join(baseDir, dir);
+    const target = path.resolve(base, name);
+    if (!target.startsWith(base + path.sep)) {
+      throw new Error(`Invalid storage key: ${name}`);
+    }
+    return target;
+  };
+  const objectPath = (key) => resolve("objects", key);
+  const metaPath = (key) => resolve("meta", `${key}.json`);
+  const partPath = (uploadId, partNumber) =>
+    resolve("multipart", path.join(uploadId, String(partNumber)));
+
+  const writeMeta = async (key, meta) => {
+    await fsp.mkdir(path.dirname(metaPath(key)), { recursive: true });
+    await fsp.writeFile(metaPath(key), JSON.stringify(meta));
+  };
+  const readMeta = async (key) => {
+    try {
+      return JSON.parse(await fsp.readFile(metaPath(key), "utf8"));
+    } catch {
+      return {};
+    }
+  };
+
+  const sign = (payload) => {
+    const body = Buffer.from(JSON.stringify(payload)).toString("base64url");
+    const signature = crypto
+      .createHmac("sha256", secret)
+      .update(body)
+      .digest("base64url");
+    return `${body}.${signature}`;
+  };
+  const signedUrl = (payload, expiresIn) =>
+    `${publicUrl}/api/storage/${sign({
+      ...payload,
+      exp: Math.floor(Date.now() / 1000) + expiresIn,
+    })}`;
+
+  // Write a stream to `target`, returning its size and MD5 (used as ETag).
+  // Stops at `maxBytes` and removes what was written so far.
+  const writeStream = async (target, stream, { maxBytes = Infinity } = {}) => {
+    await fsp.mkdir(path.dirname(target), { recursive: true });
+    const hash = crypto.createHash("md5");
+    let size = 0;
+    try {
+      await pipeline(
+        stream,
+        new Transform({
+          transform(chunk, encoding, callback) {
+            size += chunk.length;
+            if (size > maxBytes) return callback(tooLarge(maxBytes));
+            hash.update(chunk);
+            callback(null, chunk);
+          },
+        }),
+        fs.createWriteStream(target)
+      );
+    } catch (error) {
+      await fsp.rm(target, { force: true });
+      throw error;
+    }
+    return { size, etag: `"${hash.digest("hex")}"` };
+  };
+
+  return {
+    name: "local",
+    bucket: "local",
+
+    put: async (key, body, { contentType } = {}) => {
+      await fsp.mkdir(path.dirname(objectPath(key)), { recursive: true });
+      if (Buffer.isBuffer(body)) {
+        await fsp.writeFile(objectPath(key), body);
+      } else {
+        await writeStream(objectPath(key), body);
+      }
+      await writeMeta(key, { contentType: contentType || null });
+    },
+
+    getStream: async (key) => {
+      const stat = await fsp.stat(objectPath(key)).catch(() => null);
+      if (!stat) throw notFound(key);
+      const { contentType = null } = await readMeta(key);
+      return {
+        body: fs.createReadStream(objectPath(key)),
+        contentType,
+        contentLength: stat.size,
+      };
+    },
+
+    head: async (key) => {
+      const stat = await fsp.stat(objectPath(key)).catch(() => null);
+      if (!stat) return null;
+      const { contentType = null } = await readMeta(key);
+      return { contentLength: stat.size, contentType };
+    },
+
+    copy: async (fromKey, toKey) => {
+      await fsp.mkdir(path.dirname(objectPath(toKey)), { recursive: true });
+      try {
+        await fsp.copyFile(objectPath(fromKey), objectPath(toKey));
+      } catch (error) {
+        throw error.code === "ENOENT" ? notFound(fromKey) : error;
+      }
+      await writeMeta(toKey, await readMeta(fromKey));
+    },
+
+    presignGet: async (key, { expiresIn }) =>
+      signedUrl({ key, method: "GET" }, expiresIn),
+
+    presignPut: async (key, { contentType, maxBytes, expiresIn }) =>
+      signedUrl({ key, method: "PUT", contentType, maxBytes }, expiresIn),
+
+    createMultipart: async (key, { contentType } = {}) => {
+      const uploadId = crypto.randomUUID();
+      await fsp.mkdir(resolve("multipart", uploadId), { recursive: true });
+      await fsp.writeFile(
+        partPath(uploadId, "upload.json"),
+        JSON.stringify({ key, contentType: contentType || null })
+      );
+      return uploadId;
+    },
+
+    presignPart: async (key, uploadId, partNumber, { maxBytes, expiresIn }) =>
+      signedUrl(
+        { key, method: "PUT", uploadId, partNumber, maxBytes },
+        expiresIn
+      ),
+
+    // `parts` are { partNumber, etag } in ascending order
+    completeMultipart: async (key, uploadId, parts) => {
+      const upload = JSON.parse(
+        await fsp.readFile(partPath(uploadId, "upload.json"), "utf8")
+      );
+      if (upload.key !== key) throw new Error("Multipart upload key mismatch");
+
+      for (const part of parts) {
+        const etag = await fsp
+          .readFile(partPath(uploadId, `${part.partNumber}.etag`), "utf8")
+          .catch(() => null);
+        if (etag !== part.etag) {
+          throw new Error(`Part ${part.partNumber} is missing or changed`);
+        }
+      }
+
+      await fsp.mkdir(path.dirname(objectPath(key)), { recursive: true });
+      const output = fs.createWriteStream(objectPath(key));
+      for (const part of parts) {
+        await pipeline(
+          fs.createReadStream(partPath(uploadId, part.partNumber)),
+          output,
+          { end: false }
+        );
+      }
+      await new Promise((done, fail) => {
+        output.on("error", fail);
+        output.end(done);
+      });
+      await writeMeta(key, { contentType: upload.contentType });
+      await fsp.rm(resolve("multipart", uploadId), {
+        recursive: true,
+        force: true,
+      });
+    },
+
+    abortMultipart: async (key, uploadId) => {
+      await fsp.rm(resolve("multipart", uploadId), {
+        recursive: true,
+        force: true,
+      });
+    },
+
+    // Returns the number of deleted objects
+    deleteMany: async (keys) => {
+      let deleted = 0;
+      for (const key of keys) {
+        try {
+          await fsp.unlink(objectPath(key));
+          deleted++;
+        } catch (error) {
+          if (error.code !== "ENOENT") throw error;
+        }
+        await fsp.rm(metaPath(key), { force: true });
+      }
+      return deleted;
+    },
+
+    /**
+     * Check a token from a presigned URL. Returns its payload, or null when
+     * the signature is wrong, it expired or `method` does not match.
+     */
+    verifyToken: (token, method) => {
+      const [body, signature] = String(token).split(".");
+      if (!body || !signature) return null;
+      const expected = crypto
+        .createHmac("sha256", secret)
+        .update(body)
+        .digest();
+      const given = Buffer.from(signature, "base64url");
+      if (
+        given.length !== expected.length ||
+        !crypto.timingSafeEqual(given, expected)
+      ) {
+        return null;
+      }
+      const payload = JSON.parse(Buffer.from(body, "base64url").toString());
+      if (payload.method !== method) return null;
+      if (payload.exp < Math.floor(Date.now() / 1000)) return null;
+      return payload;
+    },
+
+    // Store the body of a presigned PUT; returns the ETag to send back.
+    // Rejects with status 413 past the token's maxBytes
+    receive: async (payload, stream) => {
+      const { maxBytes } = payload;
+      if (!Number.isInteger(maxBytes) || maxBytes <= 0) {
+        throw Object.assign(new Error("Upload link carries no size limit"), {
+          status: 403,
+        });
+      }
+      if (payload.uploadId) {
+        const { etag } = await writeStream(
+          partPath(payload.uploadId, payload.partNumber),
+          stream,
+          { maxBytes }
+        );
+        await fsp.writeFile(
+          partPath(payload.uploadId, `${payload.partNumber}.etag`),
+          etag
+        );
+        return etag;
+      }
+      const { etag } = await writeStream(objectPath(payload.key), stream, {
+        maxBytes,
+      });
+      await writeMeta(payload.key, { contentType: payload.contentType || null });
+      return etag;
+    },
+  };
+};
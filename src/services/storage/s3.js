@@ -0,0 +1,181 @@
+import {
+  AbortMultipartUploadCommand,
+  CompleteMultipartUploadCommand,
+  CopyObjectCommand,
+  CreateMultipartUploadCommand,
+  DeleteObjectsCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  PutObjectCommand,
+  S3Client,
+  UploadPartCommand,
+} from "@aws-sdk/client-s3";
+import { getSignedUrl } from "@aws-sdk/s3-request-presigner";
+
+// DeleteObjects accepts at most 1000 keys per request
+const DELETE_BATCH_SIZE = 1000;
+
+/**
+ * Storage driver for AWS S3 and S3-compatible services (MinIO, Ceph, R2...).
+ * `endpoint` and `forcePathStyle` are only set for S3-compatible services.
+ */
+export const createS3Storage = ({
+  bucket,
+  region,
+  endpoint,
+  forcePathStyle = false,
+  accessKeyId,
+  secretAccessKey,
+}) => {
+  const client = new S3Client({
+    region,
+    ...(endpoint ? { endpoint, forcePathStyle } : {}),
+    credentials: { accessKeyId, secretAccessKey },
+  });
+
+  return {
+    name: endpoint ? "s3-compatible" : "s3",
+    bucket,
+
+    put: async (key, body, { contentType } = {}) => {
+      await client.send(
+        new PutObjectCommand({
+          Bucket: bucket,
+          Key: key,
+          Body: body,
+          ContentType: contentType,
+        })
+      );
+    },
+
+    getStream: async (key) => {
+      const { Body, ContentType, ContentLength } = await client.send(
+        new GetObjectCommand({ Bucket: bucket, Key: key })
+      );
+      return {
+        body: Body,
+        contentType: ContentType || null,
+        contentLength: ContentLength ?? null,
+      };
+    },
+
+    head: async (key) => {
+      try {
+        const head = await client.send(
+          new HeadObjectCommand({ Bucket: bucket, Key: key })
+        );
+        return {
+          contentLength: head.ContentLength,
+          contentType: head.ContentType || null,
+        };
+      } catch (error) {
+        if (
+          error.name === "NotFound" ||
+          error.$metadata?.httpStatusCode === 404
+        ) {
+          return null;
+        }
+        throw error;
+      }
+    },
+
+    copy: async (fromKey, toKey) => {
+      await client.send(
+        new CopyObjectCommand({
+          Bucket: bucket,
+          Key: toKey,
+          CopySource: `${bucket}/${fromKey
+            .split("/")
+            .map(encodeURIComponent)
+            .join("/")}`,
+        })
+      );
+    },
+
+    presignGet: (key, { expiresIn }) =>
+      getSignedUrl(client, new GetObjectCommand({ Bucket: bucket, Key: key }), {
+        expiresIn,
+      }),
+
+    // `maxBytes` is signed as the Content-Length, so S3 refuses a body of
+    // any other size
+    presignPut: (key, { contentType, maxBytes, expiresIn }) =>
+      getSignedUrl(
+        client,
+        new PutObjectCommand({
+          Bucket: bucket,
+          Key: key,
+          ContentType: contentType,
+          ContentLength: maxBytes,
+        }),
+        { expiresIn }
+      ),
+
+    createMultipart: async (key, { contentType } = {}) => {
+      const { UploadId } = await client.send(
+        new CreateMultipartUploadCommand({
+          Bucket: bucket,
+          Key: key,
+          ContentType: contentType,
+        })
+      );
+      return UploadId;
+    },
+
+    presignPart: (key, uploadId, partNumber, { maxBytes, expiresIn }) =>
+      getSignedUrl(
+        client,
+        new UploadPartCommand({
+          Bucket: bucket,
+          Key: key,
+          UploadId: uploadId,
+          PartNumber: partNumber,
+          ContentLength: maxBytes,
+        }),
+        { expiresIn }
+      ),
+
+    // `parts` are { partNumber, etag } in ascending order
+    completeMultipart: async (key, uploadId, parts) => {
+      await client.send(
+        new CompleteMultipartUploadCommand({
+          Bucket: bucket,
+          Key: key,
+          UploadId: uploadId,
+          MultipartUpload: {
+            Parts: parts.map((part) => ({
+              PartNumber: part.partNumber,
+              ETag: part.etag,
+            })),
+          },
+        })
+      );
+    },
+
+    abortMultipart: async (key, uploadId) => {
+      await client.send(
+        new AbortMultipartUploadCommand({
+          Bucket: bucket,
+          Key: key,
+          UploadId: uploadId,
+        })
+      );
+    },
+
+    // Returns the number of deleted objects
+    deleteMany: async (keys) => {
+      let deleted = 0;
+      for (let i = 0; i < keys.length; i += DELETE_BATCH_SIZE) {
+        const batch = keys.slice(i, i + DELETE_BATCH_SIZE);
+        const result = await client.send(
+          new DeleteObjectsCommand({
+            Bucket: bucket,
+            Delete: { Objects: batch.map((Key) => ({ Key })), Quiet: false },
+          })
+        );
+        deleted += result.Deleted ? result.Deleted.length : batch.length;
+      }
+      return deleted;
+    },
+  };
+};
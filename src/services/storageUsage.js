@@ -0,0 +1,306 @@
+import { ObjectId } from "mongodb";
+import { getDB } from "./db.js";
+
+const MB = 1024 * 1024;
+
+// Storage each plan includes; STORAGE_QUOTA_MB_<PLAN> overrides a plan.
+// Companies without a known plan get the basic allowance.
+const DEFAULT_PLAN_QUOTAS_MB = {
+  basic: 500,
+  standard: 5 * 1024,
+  premium: 50 * 1024,
+};
+
+/**
+ * Bytes stored per company and per room live in `storageUsage` as
+ * { companyId, roomId, bytes, files }; the company total has roomId null.
+ * The counters move with every upload and delete so quota checks stay a
+ * single atomic update, and are rebuilt from the messages the first time a
+ * company is seen.
+ */
+const usageCollection = () => getDB().collection("storageUsage");
+
+// Company's plan and its quota in bytes
+export const getStorageQuota = async (companyId) => {
+  const company = await getDB()
+    .collection("companyregistrations")
+    .findOne(
+      { _id: new ObjectId(companyId) },
+      { projection: { planPreferences: 1 } }
+    );
+  const desired = company?.planPreferences?.desiredPlan?.toLowerCase();
+  const plan = Object.hasOwn(DEFAULT_PLAN_QUOTAS_MB, desired ?? "")
+    ? desired
+    : "basic";
+  const override = process.env[`STORAGE_QUOTA_MB_${plan.toUpperCase()}`];
+  const quotaMb =
+    override !== undefined && Number(override) >= 0
+      ? Number(override)
+      : DEFAULT_PLAN_QUOTAS_MB[plan];
+  return { plan, quotaBytes: quotaMb * MB };
+};
+
+// Sizes of the attachments on one message document
+export const attachmentsOf = (message) => [
+  ...(message.file ? [{ kind: "file", ...message.file }] : []),
+  ...(message.files || []).map((file) => ({ kind: "file", ...file })),
+  ...(message.voice ? [{ kind: "voice", ...message.voice }] : []),
+];
+
+const sizesOf = (field) => ({
+  $cond: [{ $gt: [`$${field}.size`, null] }, [`$${field}.size`], []],
+});
+
+/**
+ * Bytes and attachment counts per room, split into files and voice notes,
+ * with the room's message count. Computed from the messages; used to seed
+ * the counters and by the usage report.
+ */
+export const measureStorage = async (companyId) => {
+  return getDB()
+    .collection("messages")
+    .aggregate([
+      { $match: { companyId: new ObjectId(companyId) } },
+      {
+        $project: {
+          roomId: 1,
+          fileSizes: {
+            $concatArrays: [sizesOf("file"), { $ifNull: ["$files.size", []] }],
+          },
+          voiceSizes: sizesOf("voice"),
+        },
+      },
+      {
+        $group: {
+          _id: "$roomId",
+          fileBytes: { $sum: { $sum: "$fileSizes" } },
+          fileCount: { $sum: { $size: "$fileSizes" } },
+          voiceBytes: { $sum: { $sum: "$voiceSizes" } },
+          voiceCount: { $sum: { $size: "$voiceSizes" } },
+          messages: { $sum: 1 },
+        },
+      },
+      {
+        $addFields: {
+          bytes: { $add: ["$fileBytes", "$voiceBytes"] },
+          files: { $add: ["$fileCount", "$voiceCount"] },
+        },
+      },
+    ])
+    .toArray();
+};
+
+/**
+ * The company's largest attachments, newest first among equal sizes, as
+ * { messageId, roomId, kind, filename, originalName, mimeType, size,
+ * userId, username, timestamp }
+ */
+export const findLargestAttachments = async (companyId, limit) => {
+  return getDB()
+    .collection("messages")
+    .aggregate([
+      {
+        $match: {
+          companyId: new ObjectId(companyId),
+          $or: [
+            { file: { $exists: true } },
+            { files: { $exists: true } },
+            { voice: { $exists: true } },
+          ],
+        },
+      },
+      {
+        $project: {
+          roomId: 1,
+          userId: 1,
+          username: 1,
+          timestamp: 1,
+          attachment: {
+            $concatArrays: [
+              {
+                $cond: [
+                  { $gt: ["$file", null] },
+                  [{ $mergeObjects: ["$file", { kind: "file" }] }],
+                  [],
+                ],
+              },
+              {
+                $map: {
+                  input: { $ifNull: ["$files", []] },
+                  in: { $mergeObjects: ["$$this", { kind: "file" }] },
+                },
+              },
+              {
+                $cond: [
+                  { $gt: ["$voice", null] },
+                  [{ $mergeObjects: ["$voice", { kind: "voice" }] }],
+                  [],
+                ],
+              },
+            ],
+          },
+        },
+      },
+      { $unwind: "$attachment" },
+      { $sort: { "attachment.size": -1, timestamp: -1 } },
+      { $limit: limit },
+      {
+        $project: {
+          _id: 0,
+          messageId: { $toString: "$_id" },
+          roomId: 1,
+          kind: "$attachment.kind",
+          filename: "$attachment.filename",
+          originalName: "$attachment.originalName",
+          mimeType: "$attachment.mimeType",
+          size: "$attachment.size",
+          userId: 1,
+          username: 1,
+          timestamp: 1,
+        },
+      },
+    ])
+    .toArray();
+};
+
+// Make sure the company's counters exist, seeding them from the messages
+const ensureUsage = async (companyId) => {
+  const existing = await usageCollection().findOne({ companyId, roomId: null });
+  if (existing) return;
+
+  const rooms = await measureStorage(companyId);
+  const totals = rooms.reduce(
+    (sum, room) => ({
+      bytes: sum.bytes + room.bytes,
+      files: sum.files + room.files,
+    }),
+    { bytes: 0, files: 0 }
+  );
+  const operations = [
+    { companyId, roomId: null, ...totals },
+    ...rooms
+      .filter((room) => room.files > 0)
+      .map((room) => ({
+        companyId,
+        roomId: room._id,
+        bytes: room.bytes,
+        files: room.files,
+      })),
+  ].map((doc) => ({
+    updateOne: {
+      filter: { companyId: doc.companyId, roomId: doc.roomId },
+      update: { $setOnInsert: doc },
+      upsert: true,
+    },
+  }));
+  try {
+    await usageCollection().bulkWrite(operations, { ordered: false });
+  } catch (error) {
+    // Another request seeded the same counters first
+    if (error.code !== 11000) throw error;
+  }
+};
+
+const formatMb = (bytes) => `${Math.round((bytes / MB) * 10) / 10}MB`;
+
+const quotaExceeded = async (companyId, plan, quotaBytes, bytes) => {
+  const usage = await usageCollection().findOne({ companyId, roomId: null });
+  const usedBytes = usage?.bytes || 0;
+  console.warn(
+    `⚠️ [Quota Exceeded] companyId=${companyId} used=${usedBytes} quota=${quotaBytes} requested=${bytes}`
+  );
+  return {
+    success: false,
+    status: 413,
+    error: `Storage quota exceeded: ${formatMb(usedBytes)} of ${formatMb(
+      quotaBytes
+    )} used on the ${plan} plan, this upload needs ${formatMb(
+      bytes
+    )}. Delete old files or upgrade your plan.`,
+    usedBytes,
+    quotaBytes,
+  };
+};
+
+// Whether `bytes` more would fit in the company's quota, without reserving
+export const checkStorageQuota = async (companyId, bytes) => {
+  companyId = String(companyId);
+  const { plan, quotaBytes } = await getStorageQuota(companyId);
+  await ensureUsage(companyId);
+  const fits = await usageCollection().countDocuments({
+    companyId,
+    roomId: null,
+    bytes: { $lte: quotaBytes - bytes },
+  });
+  return fits > 0
+    ? { success: true }
+    : quotaExceeded(companyId, plan, quotaBytes, bytes);
+};
+
+/**
+ * Reserve `bytes` of the company's quota for new attachments in `roomId`.
+ * Returns { success: true } or { success: false, status: 413, error,
+ * usedBytes, quotaBytes }. Release the reservation if the upload fails.
+ */
+export const reserveStorage = async (companyId, roomId, bytes, files = 1) => {
+  companyId = String(companyId);
+  const { plan, quotaBytes } = await getStorageQuota(companyId);
+  await ensureUsage(companyId);
+
+  const result = await usageCollection().updateOne(
+    { companyId, roomId: null, bytes: { $lte: quotaBytes - bytes } },
+    { $inc: { bytes, files } }
+  );
+  if (result.modifiedCount === 0) {
+    return quotaExceeded(companyId, plan, quotaBytes, bytes);
+  }
+
+  await usageCollection().updateOne(
+    { companyId, roomId },
+    { $inc: { bytes, files } },
+    { upsert: true }
+  );
+  return { success: true };
+};
+
+// Give back storage after attachments are deleted or an upload failed
+export const releaseStorage = async (companyId, roomId, bytes, files = 1) => {
+  companyId = String(companyId);
+  if (!bytes && !files) return;
+  try {
+    await usageCollection().updateOne(
+      { companyId, roomId: null },
+      { $inc: { bytes: -bytes, files: -files } }
+    );
+    await usageCollection().updateOne(
+      { companyId, roomId },
+      { $inc: { bytes: -bytes, files: -files } }
+    );
+  } catch (error) {
+    console.error("❌ [Storage Usage Error]:", error.message);
+  }
+};
+
+// Release everything a room stored, when the room is purged
+export const releaseRoomStorage = async (companyId, roomId) => {
+  companyId = String(companyId);
+  const usage = await usageCollection().findOneAndDelete({ companyId, roomId });
+  if (!usage) return;
+  await usageCollection().updateOne(
+    { companyId, roomId: null },
+    { $inc: { bytes: -usage.bytes, files: -usage.files } }
+  );
+};
+
+// Usage counters of a company: { bytes, files } in total and per room
+export const getStorageUsage = async (companyId) => {
+  companyId = String(companyId);
+  await ensureUsage(companyId);
+  const docs = await usageCollection().find({ companyId }).toArray();
+  const total = docs.find((doc) => doc.roomId === null);
+  return {
+    bytes: total?.bytes || 0,
+    files: total?.files || 0,
+    rooms: docs.filter((doc) => doc.roomId !== null),
+  };
+};
@@ -0,0 +1,148 @@
+import { execFile } from "child_process";
+import fsp from "fs/promises";
+import os from "os";
+import path from "path";
+import { promisify } from "util";
+import sharp from "sharp";
+import { getStorage } from "./storage/index.js";
+
+const execFileAsync = promisify(execFile);
+
+// Thumbnails fit inside this box and never upscale the original
+const THUMBNAIL_MAX_SIZE = 320;
+const THUMBNAIL_MIME_TYPE = "image/webp";
+// Larger presigned uploads are not read back into memory for a preview
+const MAX_THUMBNAIL_SOURCE_BYTES = 25 * 1024 * 1024;
+const PDF_RENDER_TIMEOUT_MS = 20 * 1000;
+
+const IMAGE_TYPES = ["image/jpeg", "image/png"];
+const PDF_TYPE = "application/pdf";
+
+export const canThumbnail = (mimeType) =>
+  IMAGE_TYPES.includes(mimeType) || mimeType === PDF_TYPE;
+
+// The thumbnail is stored next to the original: uploads/a.pdf -> uploads/a.thumb.webp
+export const thumbnailKeyFor = (key) =>
+  `${key.slice(0, key.length - path.extname(key).length)}.thumb.webp`;
+
+/**
+ * Render the first page of a PDF to PNG with poppler's pdftoppm. Returns
+ * null when pdftoppm is not installed, so PDFs simply get no preview.
+ */
+const renderPdfFirstPage = async (buffer) => {
+  const dir = await fsp.mkdtemp(path.join(os.tmpdir(), "chat-preview-"));
+  try {
+    const input = path.join(dir, "input.pdf");
+    await fsp.writeFile(input, buffer);
+    await execFileAsync(
+      "pdftoppm",
+      [
+        "-png",
+        "-f", "1",
+        "-l", "1",
+        "-singlefile",
+        "-scale-to", String(THUMBNAIL_MAX_SIZE * 2),
+        input,
+        path.join(dir, "page"),
+      ],
+      { timeout: PDF_RENDER_TIMEOUT_MS }
+    );
+    return await fsp.readFile(path.join(dir, "page.png"));
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      console.warn("⚠️ [Preview Skipped] pdftoppm is not installed");
+      return null;
+    }
+    throw error;
+  } finally {
+    await fsp.rm(dir, { recursive: true, force: true });
+  }
+};
+
+/**
+ * Create and store a thumbnail for a JPEG, PNG or PDF held in `buffer`.
+ * Returns the metadata to merge into the file record:
+ * { width, height, thumbnail: { s3Key, mimeType, width, height } } (width
+ * and height of the original are only known for images), or null when the
+ * type has no preview. Failures are logged and return null so they never
+ * block an upload.
+ */
+export const createThumbnail = async (key, buffer, mimeType) => {
+  if (!canThumbnail(mimeType)) return null;
+  try {
+    const source =
+      mimeType === PDF_TYPE ? await renderPdfFirstPage(buffer) : buffer;
+    if (!source) return null;
+
+    const original = {};
+    if (mimeType !== PDF_TYPE) {
+      const { width, height, orientation } = await sharp(buffer).metadata();
+      // EXIF orientations 5-8 are rotated by 90 degrees
+      const rotated = orientation >= 5;
+      original.width = rotated ? height : width;
+      original.height = rotated ? width : height;
+    }
+
+    const { data, info } = await sharp(source)
+      .rotate()
+      .resize({
+        width: THUMBNAIL_MAX_SIZE,
+        height: THUMBNAIL_MAX_SIZE,
+        fit: "inside",
+        withoutEnlargement: true,
+      })
+      .webp({ quality: 80 })
+      .toBuffer({ resolveWithObject: true });
+
+    const thumbnailKey = thumbnailKeyFor(key);
+    await getStorage().put(thumbnailKey, data, {
+      contentType: THUMBNAIL_MIME_TYPE,
+    });
+    return {
+      ...original,
+      thumbnail: {
+        s3Key: thumbnailKey,
+        mimeType: THUMBNAIL_MIME_TYPE,
+        width: info.width,
+        height: info.height,
+      },
+    };
+  } catch (error) {
+    console.error(`❌ [Thumbnail Error] ${key}:`, error.message);
+    return null;
+  }
+};
+
+/**
+ * Thumbnail of a file already in storage, read back for createThumbnail;
+ * files over MAX_THUMBNAIL_SOURCE_BYTES are skipped so this never buffers
+ * hundreds of MB
+ */
+export const createStoredThumbnail = async (file) => {
+  if (!canThumbnail(file.mimeType) || file.size > MAX_THUMBNAIL_SOURCE_BYTES) {
+    return null;
+  }
+  try {
+    const { body } = await getStorage().getStream(file.s3Key);
+    const chunks = [];
+    for await (const chunk of body) chunks.push(chunk);
+    return await createThumbnail(
+      file.s3Key,
+      Buffer.concat(chunks),
+      file.mimeType
+    );
+  } catch (error) {
+    console.error(`❌ [Thumbnail Error] ${file.s3Key}:`, error.message);
+    return null;
+  }
+};
+
+// Presigned URL of a file's thumbnail, or null when it has none
+export const thumbnailUrlFor = async (file, expiresIn = 3600) =>
+  file?.thumbnail?.s3Key
+    ? getStorage().presignGet(file.thumbnail.s3Key, { expiresIn })
+    : null;
+
+// Storage keys of a file and its thumbnail
+export const storedKeysFor = (file) =>
+  [file?.s3Key, file?.thumbnail?.s3Key].filter(Boolean);
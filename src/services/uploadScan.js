@@ -0,0 +1,58 @@
+import { getScanner } from "./scanner/index.js";
+import { getStorage } from "./storage/index.js";
+
+/**
+ * Attachments carry a scanStatus while malware scanning is on:
+ *   scanning  posted, but not scanned yet; never served
+ *   clean     scanned and stored at its key
+ *   blocked   flagged, or the scan failed; kept under quarantine/ for
+ *             review and never served
+ * Files uploaded while scanning was off have no scanStatus.
+ */
+export const isServable = (file) =>
+  !file?.scanStatus || file.scanStatus === "clean";
+
+export const quarantineKeyFor = (key) => `quarantine/${key}`;
+
+// Scan a Buffer or stream; scanner failures block the file rather than pass it
+const verdictFor = async (key, source) => {
+  try {
+    const { infected, signature } = await getScanner().scan(source);
+    if (!infected) return { scanStatus: "clean" };
+    console.warn(`⚠️ [Malware Found] ${key}: ${signature}`);
+    return { scanStatus: "blocked", scanSignature: signature };
+  } catch (error) {
+    console.error(`❌ [Scan Error] ${key}:`, error.message);
+    return { scanStatus: "blocked", scanError: error.message };
+  }
+};
+
+/**
+ * Scan an upload held in memory before it reaches storage, then store it at
+ * `key` when clean or under quarantine/ when blocked. Returns the verdict
+ * with the key it was stored at: { scanStatus, s3Key, scanSignature?,
+ * scanError? }.
+ */
+export const scanAndStore = async (key, buffer, contentType) => {
+  const verdict = await verdictFor(key, buffer);
+  const s3Key =
+    verdict.scanStatus === "clean" ? key : quarantineKeyFor(key);
+  await getStorage().put(s3Key, buffer, { contentType });
+  return { ...verdict, s3Key };
+};
+
+/**
+ * Scan an object the client already uploaded to storage, moving it under
+ * quarantine/ when blocked. Returns the verdict like scanAndStore.
+ */
+export const scanStored = async (key) => {
+  const storage = getStorage();
+  const { body } = await storage.getStream(key);
+  const verdict = await verdictFor(key, body);
+  if (verdict.scanStatus === "clean") return { ...verdict, s3Key: key };
+
+  const s3Key = quarantineKeyFor(key);
+  await storage.copy(key, s3Key);
+  await storage.deleteMany([key]);
+  return { ...verdict, s3Key };
+};
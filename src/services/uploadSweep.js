@@ -0,0 +1,53 @@
+import { getDB } from "./db.js";
+import { getRedis } from "./redis.js";
+import { discardPendingUpload } from "../controller/upload.controller.js";
+
+const DEFAULT_SWEEP_INTERVAL_MINUTES = 30;
+const SWEEP_LOCK_KEY = "chat:lock:upload-sweep";
+
+// Remove presigned uploads that were never confirmed, with their objects
+export const sweepExpiredUploads = async () => {
+  const collection = getDB().collection("pendingUploads");
+  const expired = await collection
+    .find({ expiresAt: { $lte: new Date() } })
+    .toArray();
+
+  for (const pending of expired) {
+    try {
+      // Deleting first means a late confirm gets a 404 instead of a
+      // message pointing at removed objects
+      const claimed = await collection.findOneAndDelete({ _id: pending._id });
+      if (!claimed) continue;
+      await discardPendingUpload(claimed);
+      console.log(`🗑️ [Upload Expired] ${pending._id}`);
+    } catch (error) {
+      console.error(
+        `❌ [Upload Sweep Error] ${pending._id}:`,
+        error.message,
+        error.stack
+      );
+    }
+  }
+};
+
+// Start the background sweep (UPLOAD_SWEEP_INTERVAL_MINUTES, default 30)
+export const startUploadSweepJob = () => {
+  const minutes =
+    Number(process.env.UPLOAD_SWEEP_INTERVAL_MINUTES) ||
+    DEFAULT_SWEEP_INTERVAL_MINUTES;
+  const timer = setInterval(async () => {
+    try {
+      // Every instance runs the job; the lock lets one of them sweep per run
+      const locked = await getRedis().set(SWEEP_LOCK_KEY, String(process.pid), {
+        condition: "NX",
+        expiration: { type: "EX", value: minutes * 60 },
+      });
+      if (!locked) return;
+      await sweepExpiredUploads();
+    } catch (error) {
+      console.error("❌ [Upload Sweep Job Error]:", error.message);
+    }
+  }, minutes * 60 * 1000);
+  timer.unref();
+  return timer;
+};
@@ -0,0 +1,187 @@
+import { ObjectId } from "mongodb";
+
+// Longest message text accepted on send and edit
+export const MAX_MESSAGE_LENGTH = 4000;
+
+// Text shown in place of a deleted message
+export const DELETED_MESSAGE_TEXT = "message deleted";
+
+/**
+ * Replace a message with a tombstone: the document stays so replies and
+ * conversation order keep their context, but its text, attachments,
+ * reactions and mentions are dropped. Returns the updateOne result.
+ */
+export const tombstoneMessage = (messageCollection, filter, deletedBy) =>
+  messageCollection.updateOne(
+    { ...filter, deletedAt: { $exists: false } },
+    {
+      $set: { message: "", deletedAt: new Date(), deletedBy },
+      $unset: {
+        file: "",
+        files: "",
+        voice: "",
+        reactions: "",
+        mentions: "",
+        mentionedUserIds: "",
+        updatedAt: "",
+        editCount: "",
+      },
+    }
+  );
+
+/**
+ * Build a filter matching a message _id stored either as an ObjectId
+ * (regular messages) or as a string (system messages from createRoom)
+ */
+export const messageIdFilter = (messageId) => {
+  const ids = [String(messageId)];
+  if (ObjectId.isValid(messageId)) {
+    ids.unshift(new ObjectId(messageId));
+  }
+  return { $in: ids };
+};
+
+/**
+ * Resolve the role of a user by looking them up in the users, admins and
+ * clients collections (same order as the auth middleware)
+ */
+export const resolveUserRole = async (db, userId) => {
+  if (!ObjectId.isValid(userId)) return null;
+  const _id = new ObjectId(userId);
+
+  if (await db.collection("users").findOne({ _id }, { projection: { _id: 1 } })) {
+    return "user";
+  }
+  if (await db.collection("admins").findOne({ _id }, { projection: { _id: 1 } })) {
+    return "admin";
+  }
+  if (await db.collection("clients").findOne({ _id }, { projection: { _id: 1 } })) {
+    return "Client";
+  }
+  return null;
+};
+
+/**
+ * Format thread metadata stored on a parent message.
+ * Clients only get counts, not the identities of participants.
+ */
+export const formatThread = (thread, role) => {
+  if (!thread) return null;
+  return {
+    replyCount: thread.replyCount || 0,
+    lastReplyAt: thread.lastReplyAt ? new Date(thread.lastReplyAt).toISOString() : null,
+    participants: role === "Client" ? [] : thread.participants || [],
+  };
+};
+
+/**
+ * Aggregate per-emoji reactor lists into counts.
+ * Clients only get counts, not the identities of reactors.
+ */
+export const aggregateReactions = (reactions, role, viewerId) => {
+  if (!Array.isArray(reactions)) return [];
+  return reactions
+    .filter((reaction) => reaction.users?.length > 0)
+    .map((reaction) => ({
+      emoji: reaction.emoji,
+      count: reaction.users.length,
+      reacted: reaction.users.includes(viewerId),
+      users: role === "Client" ? [] : reaction.users,
+    }));
+};
+
+// Users whose `reacted` flags differ from a non-reactor's
+export const reactorIds = (reactions) => [
+  ...new Set((reactions || []).flatMap((reaction) => reaction.users || [])),
+];
+
+/**
+ * Delivery state of a message for its sender: "read" once another member's
+ * read marker reached it, "delivered" once another member acknowledged it
+ */
+export const deliveryStatus = (msg, othersReadAt) => {
+  if (othersReadAt && new Date(othersReadAt) >= new Date(msg.timestamp)) {
+    return "read";
+  }
+  if (msg.deliveredTo?.length > 0) return "delivered";
+  return "sent";
+};
+
+// Public fields of stored file metadata; URLs are presigned by the file routes
+const formatFile = (file) => ({
+  filename: file.filename,
+  originalName: file.originalName,
+  mimeType: file.mimeType,
+  size: file.size,
+  ...(file.scanStatus ? { scanStatus: file.scanStatus } : {}),
+  ...(file.width ? { width: file.width, height: file.height } : {}),
+  hasThumbnail: Boolean(file.thumbnail),
+});
+
+/**
+ * Format a message document for the frontend.
+ * For clients: companyName is shown for admin/user messages, username for their own messages.
+ * For admins/users: always username (firstName).
+ * When `othersReadAt` is given, the sender's own messages carry a delivery status.
+ * Deleted messages keep their place with `deleted: true` and placeholder text.
+ */
+export const formatMessage = (msg, role, viewerId, othersReadAt) => {
+  const message = {
+    _id: msg._id.toString(),
+    userId: msg.userId ? msg.userId.toString() : "unknown",
+    username: msg.username || "Anonymous",
+    message: msg.message,
+    roomId: msg.roomId,
+    companyId: msg.companyId ? msg.companyId.toString() : null,
+    timestamp: new Date(msg.timestamp).toISOString(),
+    companyName: msg.companyName || "Unknown Company",
+    updatedAt: msg.updatedAt ? new Date(msg.updatedAt).toISOString() : null,
+  };
+
+  if (msg.parentId) {
+    message.parentId = msg.parentId;
+  }
+  if (msg.deletedAt) {
+    message.message = DELETED_MESSAGE_TEXT;
+    message.deleted = true;
+    message.deletedAt = new Date(msg.deletedAt).toISOString();
+  }
+  if (msg.editCount) {
+    message.editCount = msg.editCount;
+  }
+  if (msg.thread) {
+    message.thread = formatThread(msg.thread, role);
+  }
+  if (msg.mentions) {
+    message.mentions = msg.mentions;
+  }
+  message.reactions = aggregateReactions(msg.reactions, role, viewerId);
+  if (msg.file) {
+    message.file = formatFile(msg.file);
+  }
+  if (msg.files?.length > 0) {
+    message.files = msg.files.map(formatFile);
+  }
+  if (msg.voice) {
+    message.voice = {
+      filename: msg.voice.filename,
+      originalName: msg.voice.originalName,
+      mimeType: msg.voice.mimeType,
+      size: msg.voice.size,
+    };
+  }
+
+  if (msg.userId === viewerId) {
+    if (msg.clientMsgId) {
+      message.clientMsgId = msg.clientMsgId;
+    }
+    if (othersReadAt !== undefined) {
+      message.status = deliveryStatus(msg, othersReadAt);
+    }
+  }
+
+  if (role === "Client") {
+    message.username = msg.userId === viewerId ? msg.username : msg.companyName;
+  }
+  return message;
+};
@@ -0,0 +1,138 @@
+import { messageIdFilter } from "./message.utils.js";
+
+export const DEFAULT_PAGE_LIMIT = 50;
+export const MAX_PAGE_LIMIT = 100;
+
+/**
+ * Parse cursor pagination params from a request query.
+ * `before`/`after` page older/newer than a message id, `around` returns a
+ * window centred on a message id ("jump to message").
+ */
+export const parsePageParams = (query = {}) => {
+  const { before, after, around } = query;
+  const cursors = [before, after, around].filter((c) => c !== undefined);
+  if (cursors.length > 1) {
+    return { error: "Only one of before, after or around can be used" };
+  }
+  for (const cursor of cursors) {
+    if (typeof cursor !== "string" || cursor.trim() === "") {
+      return { error: "Cursor must be a non-empty message ID" };
+    }
+  }
+
+  let limit = DEFAULT_PAGE_LIMIT;
+  if (query.limit !== undefined) {
+    limit = Number.parseInt(query.limit, 10);
+    if (!Number.isInteger(limit) || limit < 1) {
+      return { error: "Limit must be a positive integer" };
+    }
+    limit = Math.min(limit, MAX_PAGE_LIMIT);
+  }
+
+  return { before, after, around, limit };
+};
+
+const olderThan = (cursor) => ({
+  $or: [
+    { timestamp: { $lt: cursor.timestamp } },
+    { timestamp: cursor.timestamp, _id: { $lt: cursor._id } },
+  ],
+});
+
+const newerThan = (cursor) => ({
+  $or: [
+    { timestamp: { $gt: cursor.timestamp } },
+    { timestamp: cursor.timestamp, _id: { $gt: cursor._id } },
+  ],
+});
+
+const fetchPage = async (collection, filter, condition, direction, limit) => {
+  const docs = await collection
+    .find(condition ? { $and: [filter, condition] } : filter)
+    .sort({ timestamp: direction, _id: direction })
+    .limit(limit + 1)
+    .toArray();
+  const hasMore = docs.length > limit;
+  return { docs: hasMore ? docs.slice(0, limit) : docs, hasMore };
+};
+
+/**
+ * Page through a collection ordered by { timestamp, _id }.
+ * Items are returned in `order` (1 = oldest first, -1 = newest first).
+ * Returns { items, pageInfo } or { error, status } when the cursor is unknown.
+ */
+export const paginateByTimestamp = async (
+  collection,
+  filter,
+  params,
+  order = 1
+) => {
+  const { before, after, around, limit } = params;
+  const cursorId = before || after || around;
+
+  let cursor = null;
+  if (cursorId) {
+    cursor = await collection.findOne({
+      $and: [filter, { _id: messageIdFilter(cursorId) }],
+    });
+    if (!cursor) {
+      return { error: "Cursor message not found", status: 404 };
+    }
+  }
+
+  let older = [];
+  let newer = [];
+  let hasOlder = false;
+  let hasNewer = false;
+
+  if (around) {
+    const half = Math.max(Math.floor((limit - 1) / 2), 0);
+    const olderPage = await fetchPage(collection, filter, olderThan(cursor), -1, half);
+    const newerPage = await fetchPage(
+      collection,
+      filter,
+      newerThan(cursor),
+      1,
+      limit - 1 - half
+    );
+    older = olderPage.docs;
+    newer = [cursor, ...newerPage.docs];
+    hasOlder = olderPage.hasMore;
+    hasNewer = newerPage.hasMore;
+  } else if (after) {
+    const page = await fetchPage(collection, filter, newerThan(cursor), 1, limit);
+    newer = page.docs;
+    hasNewer = page.hasMore;
+    hasOlder = true;
+  } else {
+    // Latest page, or the page older than `before`
+    const page = await fetchPage(
+      collection,
+      filter,
+      before ? olderThan(cursor) : null,
+      -1,
+      limit
+    );
+    older = page.docs;
+    hasOlder = page.hasMore;
+    hasNewer = Boolean(before);
+  }
+
+  // Oldest first, then flip for newest-first listings
+  const items = [...older.reverse(), ...newer];
+  if (order === -1) items.reverse();
+
+  const oldest = order === -1 ? items[items.length - 1] : items[0];
+  const newest = order === -1 ? items[0] : items[items.length - 1];
+
+  return {
+    items,
+    pageInfo: {
+      limit,
+      hasOlder,
+      hasNewer,
+      oldestId: oldest ? oldest._id.toString() : null,
+      newestId: newest ? newest._id.toString() : null,
+    },
+  };
+};
@@ -0,0 +1,108 @@
+/**
+ * Minimal payload validators. Each validator is `(value, path) => error`,
+ * returning a message string when the value is invalid and null otherwise.
+ */
+
+const OBJECT_ID_PATTERN = /^[a-f0-9]{24}$/i;
+const ROOM_ID_PATTERN = /^room_[A-Za-z0-9_-]{1,64}$/;
+
+const describe = (path) => path || "payload";
+
+export const string =
+  ({ min = 1, max = 1000, pattern, trim = true } = {}) =>
+  (value, path) => {
+    if (typeof value !== "string") return `${describe(path)} must be a string`;
+    const length = (trim ? value.trim() : value).length;
+    if (length < min) {
+      return min === 1
+        ? `${describe(path)} must not be empty`
+        : `${describe(path)} must be at least ${min} characters`;
+    }
+    if (length > max) {
+      return `${describe(path)} must be at most ${max} characters`;
+    }
+    if (pattern && !pattern.test(value)) {
+      return `${describe(path)} has an invalid format`;
+    }
+    return null;
+  };
+
+export const objectId = () => (value, path) =>
+  typeof value === "string" && OBJECT_ID_PATTERN.test(value)
+    ? null
+    : `${describe(path)} must be a valid ObjectId`;
+
+export const roomId = () => (value, path) =>
+  typeof value === "string" && ROOM_ID_PATTERN.test(value)
+    ? null
+    : `${describe(path)} must be a valid room ID`;
+
+export const integer =
+  ({ min = Number.MIN_SAFE_INTEGER, max = Number.MAX_SAFE_INTEGER } = {}) =>
+  (value, path) =>
+    Number.isInteger(value) && value >= min && value <= max
+      ? null
+      : `${describe(path)} must be an integer between ${min} and ${max}`;
+
+export const boolean = () => (value, path) =>
+  typeof value === "boolean" ? null : `${describe(path)} must be a boolean`;
+
+export const oneOf = (values) => (value, path) =>
+  values.includes(value)
+    ? null
+    : `${describe(path)} must be one of: ${values.join(", ")}`;
+
+export const date = () => (value, path) =>
+  (typeof value === "string" || typeof value === "number") &&
+  !Number.isNaN(new Date(value).getTime())
+    ? null
+    : `${describe(path)} must be a valid date`;
+
+export const optional = (validator) => (value, path) =>
+  value === undefined ? null : validator(value, path);
+
+export const nullable = (validator) => (value, path) =>
+  value === null ? null : validator(value, path);
+
+export const array =
+  (item, { min = 0, max = 100 } = {}) =>
+  (value, path) => {
+    if (!Array.isArray(value)) return `${describe(path)} must be an array`;
+    if (value.length < min || value.length > max) {
+      return `${describe(path)} must have between ${min} and ${max} items`;
+    }
+    for (let i = 0; i < value.length; i++) {
+      const error = item(value[i], `${describe(path)}[${i}]`);
+      if (error) return error;
+    }
+    return null;
+  };
+
+// Unknown keys are rejected so typos surface instead of being ignored
+export const object = (shape) => (value, path) => {
+  if (!value || typeof value !== "object" || Array.isArray(value)) {
+    return `${describe(path)} must be an object`;
+  }
+  for (const key of Object.keys(value)) {
+    if (!(key in shape)) return `${path ? `${path}.` : ""}${key} is not allowed`;
+  }
+  for (const [key, validator] of Object.entries(shape)) {
+    const error = validator(value[key], path ? `${path}.${key}` : key);
+    if (error) return error;
+  }
+  return null;
+};
+
+/**
+ * Validate positional arguments against a list of validators. `names` label
+ * the arguments in error messages. Returns null when valid, or the first
+ * error message.
+ */
+export const validateArgs = (validators, args, names = []) => {
+  for (let i = 0; i < validators.length; i++) {
+    const label = names[i] || (validators.length > 1 ? `argument ${i + 1}` : "");
+    const error = validators[i](args[i], label);
+    if (error) return error;
+  }
+  return null;
+};
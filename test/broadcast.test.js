@@ -0,0 +1,99 @@
+import { beforeEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  emitToRoom,
+  joinRoom,
+  leaveRoom,
+  roleRoom,
+  usersJoinRoom,
+  usersLeaveRoom,
+} from "../src/services/broadcast.js";
+import { createFakeIo } from "./helpers/fakes.js";
+
+const staff = { userId: "u1", role: "user" };
+const admin = { userId: "a1", role: "admin" };
+const client = { userId: "c1", role: "Client" };
+
+describe("broadcast", () => {
+  let io;
+  let sockets;
+
+  // Connect each user with one socket in their personal room and room_1
+  beforeEach(() => {
+    io = createFakeIo();
+    sockets = Object.fromEntries(
+      [staff, admin, client].map((user) => {
+        const socket = io.connect(user);
+        joinRoom(socket, user.userId);
+        joinRoom(socket, "room_1");
+        return [user.userId, socket];
+      })
+    );
+  });
+
+  it("emits one payload per role", async () => {
+    const outsider = io.connect({ userId: "u2", role: "user" });
+    joinRoom(outsider, "u2");
+
+    await emitToRoom(io, "room_1", "note", (recipient) =>
+      recipient.role === "Client" ? { text: "short" } : { text: "full" }
+    );
+    assert.deepEqual(sockets.u1.events("note"), [{ text: "full" }]);
+    assert.deepEqual(sockets.a1.events("note"), [{ text: "full" }]);
+    assert.deepEqual(sockets.c1.events("note"), [{ text: "short" }]);
+    assert.deepEqual(outsider.events("note"), []);
+  });
+
+  it("skips roles whose payload is null", async () => {
+    await emitToRoom(io, "room_1", "note", (recipient) =>
+      recipient.role === "Client" ? null : { text: "staff only" }
+    );
+    assert.deepEqual(sockets.c1.events("note"), []);
+    assert.equal(sockets.u1.events("note").length, 1);
+  });
+
+  it("leaves out the excepted socket", async () => {
+    await emitToRoom(io, "room_1", "note", () => ({}), {
+      exceptSocketId: sockets.u1.id,
+    });
+    assert.deepEqual(sockets.u1.events("note"), []);
+    assert.equal(sockets.a1.events("note").length, 1);
+  });
+
+  it("gives personalized users a payload built for them", async () => {
+    const otherDevice = io.connect(client);
+    joinRoom(otherDevice, client.userId);
+
+    await emitToRoom(
+      io,
+      "room_1",
+      "note",
+      (recipient) => ({ mine: recipient.userId === client.userId }),
+      { personalized: [client.userId] }
+    );
+    assert.deepEqual(sockets.c1.events("note"), [{ mine: true }]);
+    assert.deepEqual(sockets.u1.events("note"), [{ mine: false }]);
+    // A device that never joined the room gets nothing
+    assert.deepEqual(otherDevice.events("note"), []);
+  });
+
+  it("joins and removes every socket of a user with its role", () => {
+    usersJoinRoom(io, [client.userId, staff.userId], "room_2");
+    assert.ok(sockets.c1.rooms.has(roleRoom("room_2", "Client")));
+    assert.ok(sockets.u1.rooms.has(roleRoom("room_2", "user")));
+    assert.equal(sockets.c1.rooms.has(roleRoom("room_2", "user")), false);
+    assert.equal(sockets.a1.rooms.has("room_2"), false);
+
+    usersLeaveRoom(io, [client.userId], "room_2");
+    assert.equal(sockets.c1.rooms.has("room_2"), false);
+    assert.equal(sockets.c1.rooms.has(roleRoom("room_2", "Client")), false);
+
+    leaveRoom(sockets.u1, "room_2");
+    assert.equal(sockets.u1.rooms.has(roleRoom("room_2", "user")), false);
+  });
+
+  it("ignores an empty user list", () => {
+    usersJoinRoom(io, [], "room_3");
+    assert.equal(sockets.u1.rooms.has("room_3"), false);
+  });
+});
@@ -0,0 +1,49 @@
+import { beforeEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import os from "os";
+import { ObjectId } from "mongodb";
+import { createResponse } from "./helpers/fakes.js";
+import { mockServices, resetServices } from "./helpers/services.js";
+
+process.env.STORAGE_DRIVER = "local";
+process.env.STORAGE_LOCAL_DIR = os.tmpdir();
+process.env.STORAGE_SIGNING_SECRET = "test-secret";
+mockServices();
+
+const { deleteFile } = await import("../src/controller/filleController.js");
+
+const companyId = new ObjectId().toString();
+const member = { userId: new ObjectId().toString(), role: "user", companyId };
+const roomId = "room_files";
+
+describe("deleteFile", () => {
+  let db;
+
+  beforeEach(async () => {
+    ({ db } = resetServices());
+    await db.collection("rooms").insertOne({
+      roomId,
+      companyId,
+      creator: member.userId,
+      users: [member.userId],
+      archivedAt: new Date(),
+    });
+    await db.collection("messages").insertOne({
+      roomId,
+      userId: member.userId,
+      companyId: new ObjectId(companyId),
+      files: [{ filename: "file-1.pdf", s3Key: "uploads/file-1.pdf" }],
+    });
+  });
+
+  it("refuses archived rooms and keeps the attachment", async () => {
+    const res = createResponse();
+    await deleteFile({ user: member, params: { fileID: "file-1.pdf" } }, res);
+    assert.equal(res.statusCode, 403);
+    assert.equal(res.body.error, "This room is archived and read-only");
+    const stored = await db
+      .collection("messages")
+      .findOne({ "files.filename": "file-1.pdf" });
+    assert.equal(stored.files.length, 1);
+  });
+});
@@ -0,0 +1,426 @@
+import { ObjectId } from "mongodb";
+
+/**
+ * In-memory stand-ins for the Mongo db and Redis client, enough for the
+ * queries the controllers run. Tests swap them in with mock.module() on
+ * src/services/db.js and src/services/redis.js.
+ */
+
+// structuredClone would turn ObjectIds into plain objects
+const clone = (value) => {
+  if (value instanceof ObjectId) return new ObjectId(value.toHexString());
+  if (value instanceof Date) return new Date(value);
+  if (Array.isArray(value)) return value.map(clone);
+  if (value && typeof value === "object") {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, clone(item)])
+    );
+  }
+  return value;
+};
+
+const isOperatorObject = (value) =>
+  value !== null &&
+  typeof value === "object" &&
+  !Array.isArray(value) &&
+  !(value instanceof ObjectId) &&
+  !(value instanceof Date) &&
+  Object.keys(value).some((key) => key.startsWith("$"));
+
+const sameValue = (a, b) => {
+  if (a instanceof ObjectId || b instanceof ObjectId) {
+    return a instanceof ObjectId && b instanceof ObjectId && a.equals(b);
+  }
+  if (a instanceof Date && b instanceof Date) return a.getTime() === b.getTime();
+  if (a && b && typeof a === "object" && typeof b === "object") {
+    return JSON.stringify(a) === JSON.stringify(b);
+  }
+  return a === b;
+};
+
+const getPath = (doc, path) =>
+  path.split(".").reduce((value, key) => {
+    if (value == null) return undefined;
+    if (Array.isArray(value) && !/^\d+$/.test(key)) {
+      return value.map((item) => item?.[key]);
+    }
+    return value[key];
+  }, doc);
+
+const setPath = (doc, path, value) => {
+  const keys = path.split(".");
+  const last = keys.pop();
+  const parent = keys.reduce((node, key) => (node[key] ??= {}), doc);
+  parent[last] = value;
+};
+
+const unsetPath = (doc, path) => {
+  const keys = path.split(".");
+  const last = keys.pop();
+  const parent = keys.reduce((node, key) => node?.[key], doc);
+  if (parent) delete parent[last];
+};
+
+// Equality against a field also matches arrays that contain the value
+const equals = (actual, expected) =>
+  Array.isArray(actual) && !Array.isArray(expected)
+    ? actual.some((item) => sameValue(item, expected))
+    : sameValue(actual, expected);
+
+const compare = (actual, expected, test) =>
+  actual != null && (Array.isArray(actual) ? actual : [actual]).some((item) => test(item, expected));
+
+const matchesCondition = (actual, condition) => {
+  if (!isOperatorObject(condition)) return equals(actual, condition);
+  return Object.entries(condition).every(([op, expected]) => {
+    switch (op) {
+      case "$eq":
+        return equals(actual, expected);
+      case "$ne":
+        return !equals(actual, expected);
+      case "$in":
+        return expected.some((item) => equals(actual, item));
+      case "$nin":
+        return !expected.some((item) => equals(actual, item));
+      case "$exists":
+        return (actual !== undefined) === Boolean(expected);
+      case "$gt":
+        return compare(actual, expected, (a, b) => a > b);
+      case "$gte":
+        return compare(actual, expected, (a, b) => a >= b);
+      case "$lt":
+        return compare(actual, expected, (a, b) => a < b);
+      case "$lte":
+        return compare(actual, expected, (a, b) => a <= b);
+      case "$type":
+        return expected === "string" && typeof actual === "string";
+      default:
+        throw new Error(`Fake db does not support ${op}`);
+    }
+  });
+};
+
+export const matches = (doc, query = {}) =>
+  Object.entries(query).every(([key, condition]) => {
+    if (key === "$or") return condition.some((part) => matches(doc, part));
+    if (key === "$and") return condition.every((part) => matches(doc, part));
+    return matchesCondition(getPath(doc, key), condition);
+  });
+
+// Replace the positional `$` in "files.$.size" with the index of the first
+// element the filter matched, e.g. through { "files.filename": "a.pdf" }
+const resolvePositional = (doc, path, filter) => {
+  const [array, rest] = path.split(".$");
+  if (rest === undefined) return path;
+  const items = getPath(doc, array) || [];
+  const conditions = Object.entries(filter).filter(([key]) =>
+    key.startsWith(`${array}.`)
+  );
+  const index = items.findIndex((item) =>
+    conditions.every(([key, condition]) =>
+      matchesCondition(getPath(item, key.slice(array.length + 1)), condition)
+    )
+  );
+  if (index === -1) throw new Error(`No array element matched ${path}`);
+  return `${array}.${index}${rest}`;
+};
+
+const applyUpdate = (doc, update, { inserting = false, filter = {} } = {}) => {
+  for (const [op, fields] of Object.entries(update)) {
+    for (const [field, value] of Object.entries(fields)) {
+      const path = resolvePositional(doc, field, filter);
+      const current = getPath(doc, path);
+      switch (op) {
+        case "$set":
+          setPath(doc, path, value);
+          break;
+        case "$setOnInsert":
+          if (inserting) setPath(doc, path, value);
+          break;
+        case "$unset":
+          unsetPath(doc, path);
+          break;
+        case "$inc":
+          setPath(doc, path, (current || 0) + value);
+          break;
+        case "$push":
+          setPath(doc, path, [...(current || []), value]);
+          break;
+        case "$addToSet": {
+          const items = value?.$each || [value];
+          const next = [...(current || [])];
+          for (const item of items) {
+            if (!next.some((existing) => sameValue(existing, item))) next.push(item);
+          }
+          setPath(doc, path, next);
+          break;
+        }
+        case "$pull":
+          setPath(
+            doc,
+            path,
+            (current || []).filter((item) => !matchesCondition(item, value))
+          );
+          break;
+        default:
+          throw new Error(`Fake db does not support ${op}`);
+      }
+    }
+  }
+};
+
+// Equality fields of a filter seed the document an upsert inserts
+const seedFromFilter = (filter) => {
+  const doc = {};
+  for (const [key, value] of Object.entries(filter)) {
+    if (!key.startsWith("$") && !isOperatorObject(value)) setPath(doc, key, value);
+  }
+  return doc;
+};
+
+const cursor = (docs) => {
+  let result = docs;
+  const api = {
+    sort: (spec) => {
+      const [[field, direction]] = Object.entries(spec);
+      result = [...result].sort((a, b) => {
+        const x = getPath(a, field);
+        const y = getPath(b, field);
+        return (x > y ? 1 : x < y ? -1 : 0) * direction;
+      });
+      return api;
+    },
+    skip: (count) => {
+      result = result.slice(count);
+      return api;
+    },
+    limit: (count) => {
+      if (count) result = result.slice(0, count);
+      return api;
+    },
+    project: () => api,
+    toArray: async () => result.map((doc) => clone(doc)),
+  };
+  return api;
+};
+
+const createCollection = (uniqueKeys = []) => {
+  const docs = [];
+  const find = (filter) => docs.filter((doc) => matches(doc, filter));
+
+  const checkUnique = (doc, self) => {
+    for (const fields of uniqueKeys) {
+      const clash = docs.find(
+        (other) =>
+          other !== self &&
+          fields.every((field) => getPath(doc, field) !== undefined) &&
+          fields.every((field) => sameValue(getPath(other, field), getPath(doc, field)))
+      );
+      if (clash) {
+        throw Object.assign(new Error("E11000 duplicate key error"), {
+          code: 11000,
+        });
+      }
+    }
+  };
+
+  // Like the driver, give the caller's document its _id
+  const insert = (doc) => {
+    doc._id ??= new ObjectId();
+    const stored = clone(doc);
+    checkUnique(stored);
+    docs.push(stored);
+    return stored;
+  };
+
+  return {
+    docs,
+    find: (filter = {}) => cursor(find(filter)),
+    findOne: async (filter = {}) => {
+      const [doc] = find(filter);
+      return doc ? clone(doc) : null;
+    },
+    countDocuments: async (filter = {}) => find(filter).length,
+    insertOne: async (doc) => ({ insertedId: insert(doc)._id }),
+    insertMany: async (list) => ({
+      insertedIds: list.map((doc) => insert(doc)._id),
+    }),
+    updateOne: async (filter, update, { upsert = false } = {}) => {
+      const [doc] = find(filter);
+      if (doc) {
+        applyUpdate(doc, update, { filter });
+        return { matchedCount: 1, modifiedCount: 1 };
+      }
+      if (!upsert) return { matchedCount: 0, modifiedCount: 0 };
+      const created = seedFromFilter(filter);
+      applyUpdate(created, update, { inserting: true });
+      return { matchedCount: 0, upsertedId: insert(created)._id };
+    },
+    updateMany: async (filter, update) => {
+      const found = find(filter);
+      for (const doc of found) applyUpdate(doc, update, { filter });
+      return { matchedCount: found.length, modifiedCount: found.length };
+    },
+    findOneAndUpdate: async (filter, update, options = {}) => {
+      let [doc] = find(filter);
+      const before = doc ? clone(doc) : null;
+      if (doc) {
+        applyUpdate(doc, update, { filter });
+      } else if (options.upsert) {
+        const created = seedFromFilter(filter);
+        applyUpdate(created, update, { inserting: true });
+        doc = insert(created);
+      }
+      const value =
+        options.returnDocument === "after" && doc ? clone(doc) : before;
+      if (!options.includeResultMetadata) return value;
+      return { value, lastErrorObject: { updatedExisting: Boolean(before) } };
+    },
+    findOneAndDelete: async (filter) => {
+      const [doc] = find(filter);
+      if (!doc) return null;
+      docs.splice(docs.indexOf(doc), 1);
+      return clone(doc);
+    },
+    deleteOne: async (filter) => {
+      const [doc] = find(filter);
+      if (doc) docs.splice(docs.indexOf(doc), 1);
+      return { deletedCount: doc ? 1 : 0 };
+    },
+    deleteMany: async (filter = {}) => {
+      const found = find(filter);
+      for (const doc of found) docs.splice(docs.indexOf(doc), 1);
+      return { deletedCount: found.length };
+    },
+    createIndex: async () => "index",
+  };
+};
+
+/**
+ * A fake db whose collections are created on first use. `uniqueKeys` maps a
+ * collection name to lists of fields that must be unique together, like the
+ * unique indexes in src/services/db.js.
+ */
+export const createFakeDb = ({ uniqueKeys = {} } = {}) => {
+  const collections = new Map();
+  return {
+    collection: (name) => {
+      if (!collections.has(name)) {
+        collections.set(name, createCollection(uniqueKeys[name]));
+      }
+      return collections.get(name);
+    },
+  };
+};
+
+// A fake node-redis client keeping string values and their TTLs
+export const createFakeRedis = () => {
+  const values = new Map();
+  const ttls = new Map();
+  return {
+    values,
+    ttls,
+    isReady: true,
+    get: async (key) => (values.has(key) ? values.get(key) : null),
+    set: async (key, value, options = {}) => {
+      if (options.condition === "NX" && values.has(key)) return null;
+      values.set(key, String(value));
+      if (options.expiration) ttls.set(key, options.expiration.value);
+      else ttls.delete(key);
+      return "OK";
+    },
+    del: async (keys) => {
+      let deleted = 0;
+      for (const key of [].concat(keys)) {
+        if (values.delete(key)) deleted++;
+        ttls.delete(key);
+      }
+      return deleted;
+    },
+    ttl: async (key) => (values.has(key) ? (ttls.get(key) ?? -1) : -2),
+  };
+};
+
+/**
+ * A fake Socket.IO server on one node. Sockets from connect() record what
+ * they receive in `received`; a socket is always in the room named by its id.
+ */
+export const createFakeIo = () => {
+  const sockets = new Map();
+  const inAny = (rooms) =>
+    [...sockets.values()].filter((socket) =>
+      rooms.some((room) => socket.rooms.has(room))
+    );
+
+  // Targets all sockets when no room was given, like io.emit
+  const operator = (rooms, excluded) => {
+    const targets = () => {
+      const skip = new Set(inAny(excluded));
+      const found = rooms.length > 0 ? inAny(rooms) : [...sockets.values()];
+      return found.filter((socket) => !skip.has(socket));
+    };
+    return {
+      to: (more) => operator([...rooms, ...[].concat(more)], excluded),
+      in: (more) => operator([...rooms, ...[].concat(more)], excluded),
+      except: (more) => operator(rooms, [...excluded, ...[].concat(more)]),
+      emit: (event, payload) => {
+        for (const socket of targets()) socket.received.push({ event, payload });
+        return true;
+      },
+      fetchSockets: async () => targets(),
+      socketsJoin: (room) => targets().forEach((socket) => socket.join(room)),
+      socketsLeave: (room) => targets().forEach((socket) => socket.leave(room)),
+    };
+  };
+
+  const io = {
+    ...operator([], []),
+    sockets,
+    connect: (user) => {
+      const id = `socket-${sockets.size + 1}`;
+      const socket = {
+        id,
+        user,
+        data: { user },
+        rooms: new Set([id]),
+        received: [],
+        server: io,
+        handshake: { address: "127.0.0.1", headers: {}, auth: {} },
+        join: (room) => [].concat(room).forEach((name) => socket.rooms.add(name)),
+        leave: (room) => socket.rooms.delete(room),
+        emit: (event, payload) => socket.received.push({ event, payload }),
+        to: (room) => operator([].concat(room), [id]),
+        // Events of one name this socket received
+        events: (event) =>
+          socket.received
+            .filter((entry) => entry.event === event)
+            .map((entry) => entry.payload),
+      };
+      sockets.set(id, socket);
+      return socket;
+    },
+  };
+  return io;
+};
+
+// A minimal Express response that keeps the status and JSON body
+export const createResponse = () => {
+  const res = {
+    statusCode: 200,
+    body: null,
+    headers: {},
+    status: (code) => {
+      res.statusCode = code;
+      return res;
+    },
+    set: (name, value) => {
+      res.headers[name.toLowerCase()] = value;
+      return res;
+    },
+    json: (body) => {
+      res.body = body;
+      return res;
+    },
+  };
+  return res;
+};
@@ -0,0 +1,33 @@
+import { mock } from "node:test";
+import { createFakeDb, createFakeRedis } from "./fakes.js";
+
+/**
+ * Point src/services/db.js and redis.js at in-memory fakes. Call before
+ * importing the modules under test; reset() gives each test fresh stores.
+ */
+export const services = { db: null, redis: null };
+
+// The unique indexes from src/services/db.js that tests rely on
+const UNIQUE_KEYS = {
+  rooms: [["directKey"]],
+  messages: [["userId", "roomId", "clientMsgId"]],
+  roomReads: [["userId", "roomId"]],
+};
+
+export const mockServices = () => {
+  mock.module(new URL("../../src/services/db.js", import.meta.url).href, {
+    namedExports: { getDB: () => services.db },
+  });
+  mock.module(new URL("../../src/services/redis.js", import.meta.url).href, {
+    namedExports: {
+      getRedis: () => services.redis,
+      isRedisReady: () => true,
+    },
+  });
+};
+
+export const resetServices = () => {
+  services.db = createFakeDb({ uniqueKeys: UNIQUE_KEYS });
+  services.redis = createFakeRedis();
+  return services;
+};
@@ -0,0 +1,220 @@
+import { after, before, beforeEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import jwt from "jsonwebtoken";
+import { ObjectId } from "mongodb";
+import { mockServices, resetServices } from "./helpers/services.js";
+
+const SECRET = "test-secret";
+let db;
+let redis;
+
+mockServices();
+
+const { extractToken, normalizePosition, parseTokenClaims, resolveIdentity } =
+  await import("../src/services/identity.js");
+
+const sign = (claims, options) => jwt.sign(claims, SECRET, options);
+
+const companyId = new ObjectId();
+const seedAccount = async (collection, fields = {}) => {
+  const { insertedId } = await db.collection(collection).insertOne({
+    firstName: "Ada",
+    email: "ada@example.com",
+    companyId,
+    ...fields,
+  });
+  return insertedId.toString();
+};
+
+describe("identity", () => {
+  before(() => {
+    process.env.JWT_SECRET = SECRET;
+  });
+  after(() => {
+    delete process.env.JWT_SECRET;
+  });
+  beforeEach(async () => {
+    ({ db, redis } = resetServices());
+    await db.collection("companyregistrations").insertOne({
+      _id: companyId,
+      companyInfo: { companyName: "Acme" },
+    });
+  });
+
+  describe("extractToken", () => {
+    it("returns a raw token as is", () => {
+      assert.equal(extractToken("abc.def.ghi"), "abc.def.ghi");
+    });
+
+    it("strips the Bearer scheme", () => {
+      assert.equal(extractToken("Bearer abc.def.ghi"), "abc.def.ghi");
+      assert.equal(extractToken("  Bearer   abc.def.ghi "), "abc.def.ghi");
+    });
+
+    it("rejects other schemes and empty values", () => {
+      assert.equal(extractToken("Basic dXNlcjpwYXNz"), null);
+      assert.equal(extractToken(""), null);
+      assert.equal(extractToken("   "), null);
+      assert.equal(extractToken(undefined), null);
+      assert.equal(extractToken({ token: "abc" }), null);
+    });
+  });
+
+  describe("parseTokenClaims", () => {
+    const id = new ObjectId().toString();
+
+    it("reads the id from userId, clientId, adminId or id", () => {
+      for (const claim of ["userId", "clientId", "adminId", "id"]) {
+        const claims = parseTokenClaims({ [claim]: id });
+        assert.equal(claims.success, true, claim);
+        assert.equal(claims.userId, id, claim);
+      }
+    });
+
+    it("takes the role from the name of a clientId or adminId claim", () => {
+      assert.equal(parseTokenClaims({ clientId: id }).role, "Client");
+      assert.equal(parseTokenClaims({ adminId: id }).role, "admin");
+      assert.equal(parseTokenClaims({ userId: id }).role, null);
+      assert.equal(parseTokenClaims({ id }).role, null);
+    });
+
+    it("takes the role from role, userRole or type hints", () => {
+      assert.equal(parseTokenClaims({ id, role: "client" }).role, "Client");
+      assert.equal(parseTokenClaims({ id, userRole: "Admin" }).role, "admin");
+      assert.equal(parseTokenClaims({ id, type: "employee" }).role, "user");
+      assert.equal(parseTokenClaims({ id, role: "user" }).role, "user");
+      assert.equal(parseTokenClaims({ id, role: "visitor" }).role, null);
+    });
+
+    it("lets the position win over role hints", () => {
+      assert.equal(
+        parseTokenClaims({ id, position: "Client", role: "admin" }).role,
+        "Client"
+      );
+      assert.equal(
+        parseTokenClaims({ id, position: "admin", type: "client" }).role,
+        "admin"
+      );
+      assert.equal(
+        parseTokenClaims({ clientId: id, position: "Manager" }).role,
+        "user"
+      );
+    });
+
+    it("rejects an unknown position", () => {
+      const claims = parseTokenClaims({ id, position: "Intern", role: "user" });
+      assert.equal(claims.success, false);
+      assert.equal(claims.status, 403);
+    });
+
+    it("rejects a missing or malformed id", () => {
+      assert.deepEqual(parseTokenClaims({ role: "user" }), {
+        success: false,
+        status: 401,
+        error: "Invalid token structure, user ID not found",
+      });
+      assert.equal(parseTokenClaims({ userId: "42" }).error, "Invalid user ID format");
+    });
+  });
+
+  it("normalizes position spellings", () => {
+    assert.equal(normalizePosition("teamleader"), "TeamLeader");
+    assert.equal(normalizePosition("CEO"), "CEO");
+    assert.equal(normalizePosition("Intern"), null);
+  });
+
+  describe("resolveIdentity", () => {
+    it("resolves a user token to the stored account", async () => {
+      const userId = await seedAccount("users", { position: "manager" });
+      const result = await resolveIdentity(
+        extractToken(`Bearer ${sign({ userId })}`)
+      );
+      assert.equal(result.success, true);
+      assert.deepEqual(result.user, {
+        userId,
+        email: "ada@example.com",
+        companyId: companyId.toString(),
+        position: "Manager",
+        firstName: "Ada",
+        companyName: "Acme",
+        role: "user",
+      });
+    });
+
+    it("resolves a raw handshake token for a client", async () => {
+      const clientId = await seedAccount("clients", { position: "Client" });
+      const result = await resolveIdentity(
+        extractToken(sign({ clientId, position: "Client" }))
+      );
+      assert.equal(result.success, true);
+      assert.equal(result.user.role, "Client");
+      assert.equal(result.user.clientId, clientId);
+    });
+
+    it("finds an admin without a role hint", async () => {
+      const adminId = await seedAccount("admins", { position: "Admin" });
+      const result = await resolveIdentity(sign({ id: adminId }));
+      assert.equal(result.user.role, "admin");
+      assert.equal(result.user.adminId, adminId);
+    });
+
+    it("lets the stored position win over the token's", async () => {
+      const userId = await seedAccount("users", { position: "HR" });
+      const result = await resolveIdentity(sign({ userId, position: "CEO" }));
+      assert.equal(result.user.position, "HR");
+    });
+
+    it("rejects an account whose stored position is unknown", async () => {
+      const userId = await seedAccount("users", { position: "Intern" });
+      const result = await resolveIdentity(sign({ userId }));
+      assert.equal(result.success, false);
+      assert.equal(result.status, 403);
+    });
+
+    it("rejects a token for a missing account", async () => {
+      const result = await resolveIdentity(
+        sign({ userId: new ObjectId().toString() })
+      );
+      assert.equal(result.status, 401);
+      assert.equal(result.error, "User not found, authorization denied");
+    });
+
+    it("rejects expired tokens", async () => {
+      const userId = await seedAccount("users", { position: "Employee" });
+      const result = await resolveIdentity(sign({ userId }, { expiresIn: -10 }));
+      assert.deepEqual(result, {
+        success: false,
+        status: 401,
+        error: "Token expired",
+      });
+    });
+
+    it("rejects tokens with a bad signature or shape", async () => {
+      const userId = await seedAccount("users", { position: "Employee" });
+      for (const token of [jwt.sign({ userId }, "other-secret"), "not-a-jwt"]) {
+        const result = await resolveIdentity(token);
+        assert.equal(result.status, 401);
+        assert.equal(result.error, "Invalid token");
+      }
+    });
+
+    it("rejects a missing token", async () => {
+      const result = await resolveIdentity(extractToken("Basic abc"));
+      assert.equal(result.status, 401);
+    });
+
+    it("caches identities only briefly", async () => {
+      const userId = await seedAccount("users", { position: "Employee" });
+      await resolveIdentity(sign({ userId }));
+      const key = `chat:identity:any:${userId}`;
+      assert.ok(redis.values.has(key));
+      assert.ok(redis.ttls.get(key) <= 60);
+
+      // Served from the cache until it expires
+      await db.collection("users").deleteOne({ _id: new ObjectId(userId) });
+      assert.equal((await resolveIdentity(sign({ userId }))).success, true);
+      redis.values.delete(key);
+      assert.equal((await resolveIdentity(sign({ userId }))).success, false);
+    });
+  });
+});
@@ -0,0 +1,202 @@
+import { beforeEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { ObjectId } from "mongodb";
+import { joinRoom } from "../src/services/broadcast.js";
+import { createFakeIo, createResponse } from "./helpers/fakes.js";
+import { mockServices, resetServices } from "./helpers/services.js";
+
+mockServices();
+
+const {
+  getMessageHistory,
+  handleDeleteMessage,
+  handleEditMessage,
+  handleSendMessage,
+} = await import(
+  "../src/controller/message.controller.js"
+);
+
+const companyId = new ObjectId().toString();
+const staff = {
+  userId: new ObjectId().toString(),
+  role: "user",
+  companyId,
+  firstName: "Ada",
+};
+const client = {
+  userId: new ObjectId().toString(),
+  role: "Client",
+  companyId,
+  firstName: "Cy",
+};
+const roomId = "room_1";
+
+describe("message controller", () => {
+  let db;
+  let io;
+
+  beforeEach(() => {
+    ({ db } = resetServices());
+    io = createFakeIo();
+  });
+
+  const join = (user) => {
+    const socket = io.connect(user);
+    joinRoom(socket, user.userId);
+    joinRoom(socket, roomId);
+    return socket;
+  };
+
+  describe("handleSendMessage", () => {
+    beforeEach(async () => {
+      for (const id of [roomId, "room_2"]) {
+        await db.collection("rooms").insertOne({
+          roomId: id,
+          companyId,
+          users: [staff.userId, client.userId],
+        });
+      }
+    });
+
+    it("returns the stored message when a send is retried", async () => {
+      const socket = join(staff);
+      const first = await handleSendMessage(socket, "hi", roomId, {
+        clientMsgId: "c-1",
+      });
+      const retry = await handleSendMessage(socket, "hi", roomId, {
+        clientMsgId: "c-1",
+      });
+      assert.equal(retry.duplicate, true);
+      assert.equal(retry._id, first._id);
+      assert.equal(await db.collection("messages").countDocuments(), 1);
+    });
+
+    it("keeps clientMsgIds apart per room", async () => {
+      const socket = join(staff);
+      const first = await handleSendMessage(socket, "hi", roomId, {
+        clientMsgId: "c-1",
+      });
+      const other = await handleSendMessage(socket, "hi", "room_2", {
+        clientMsgId: "c-1",
+      });
+      assert.equal(other.duplicate, undefined);
+      assert.notEqual(other._id, first._id);
+      assert.equal(other.roomId, "room_2");
+    });
+
+    it("checks the room before looking for a duplicate", async () => {
+      const socket = join(staff);
+      await handleSendMessage(socket, "hi", roomId, { clientMsgId: "c-1" });
+      await db
+        .collection("rooms")
+        .updateOne({ roomId }, { $set: { deletedAt: new Date() } });
+
+      await assert.rejects(
+        handleSendMessage(socket, "hi", roomId, { clientMsgId: "c-1" }),
+        { message: "Room not found", status: 404 }
+      );
+      await assert.rejects(
+        handleSendMessage(socket, "hi", "room_missing", { clientMsgId: "c-1" }),
+        { status: 404 }
+      );
+      // The socket layer reports failures, so nothing is emitted here
+      assert.deepEqual(socket.events("errorMessage"), []);
+    });
+  });
+
+  describe("handleEditMessage", () => {
+    it("sends each recipient the message formatted for their role", async () => {
+      const author = join(staff);
+      const reader = join(client);
+      const { insertedId } = await db.collection("messages").insertOne({
+        roomId,
+        userId: staff.userId,
+        username: "Ada",
+        companyId,
+        companyName: "Acme",
+        message: "hello @Cy",
+        timestamp: new Date(),
+        clientMsgId: "c-1",
+        mentionedUserIds: [client.userId],
+        deliveredTo: [{ userId: client.userId, at: new Date() }],
+        reactions: [{ emoji: "👍", users: [staff.userId] }],
+        thread: { replyCount: 1, participants: [staff.userId] },
+      });
+
+      const result = await handleEditMessage(
+        author,
+        { messageId: insertedId.toString(), newMessage: "hello again" },
+        roomId
+      );
+      assert.deepEqual(result, { success: true });
+
+      const [forClient] = reader.events("messageUpdated");
+      assert.equal(forClient.message, "hello again");
+      assert.equal(forClient.username, "Acme");
+      assert.equal(forClient.editCount, 1);
+      assert.deepEqual(forClient.reactions, [
+        { emoji: "👍", count: 1, reacted: false, users: [] },
+      ]);
+      assert.deepEqual(forClient.thread.participants, []);
+      for (const field of ["mentionedUserIds", "deliveredTo", "clientMsgId"]) {
+        assert.equal(field in forClient, false, field);
+      }
+
+      const [forAuthor] = author.events("messageUpdated");
+      assert.equal(forAuthor.clientMsgId, "c-1");
+      assert.deepEqual(forAuthor.reactions[0].users, [staff.userId]);
+      assert.equal(forAuthor.reactions[0].reacted, true);
+    });
+  });
+
+  describe("deleted message history", () => {
+    const owner = {
+      userId: new ObjectId().toString(),
+      role: "user",
+      companyId,
+      firstName: "Oli",
+    };
+
+    beforeEach(async () => {
+      await db.collection("rooms").insertOne({
+        roomId,
+        companyId,
+        creator: owner.userId,
+        users: [owner.userId, staff.userId],
+      });
+      for (const user of [owner, staff]) {
+        await db.collection("users").insertOne({ _id: new ObjectId(user.userId) });
+      }
+    });
+
+    const history = async (user, messageId) => {
+      const res = createResponse();
+      await getMessageHistory({ user, params: { messageId } }, res);
+      return res;
+    };
+
+    it("keeps versions under the tombstone for moderators only", async () => {
+      const author = join(staff);
+      const sent = await handleSendMessage(author, "first", roomId);
+      await handleEditMessage(
+        author,
+        { messageId: sent._id, newMessage: "second" },
+        roomId
+      );
+      const deleted = await handleDeleteMessage(author, sent._id, roomId);
+      assert.equal(deleted.success, true);
+      assert.equal(await db.collection("messageVersions").countDocuments(), 1);
+
+      const forAuthor = await history(staff, sent._id);
+      assert.equal(forAuthor.statusCode, 410);
+
+      const forOwner = await history(owner, sent._id);
+      assert.equal(forOwner.statusCode, 200);
+      assert.equal(forOwner.body.data.current.deleted, true);
+      assert.deepEqual(
+        forOwner.body.data.versions.map((version) => version.message),
+        ["first"]
+      );
+    });
+  });
+});
@@ -0,0 +1,52 @@
+import { beforeEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { createResponse } from "./helpers/fakes.js";
+import { mockServices, resetServices } from "./helpers/services.js";
+
+mockServices();
+
+const { can, requirePermission } = await import("../src/services/permissions.js");
+
+const client = { userId: "c1", role: "Client", companyId: "company-1" };
+const staff = { userId: "u1", role: "user", companyId: "company-1" };
+
+// Run a requirePermission middleware and report whether it called next()
+const allows = async (action, user) => {
+  let passed = false;
+  const res = createResponse();
+  await requirePermission(action)({ user }, res, () => {
+    passed = true;
+  });
+  return { passed, res };
+};
+
+describe("permissions", () => {
+  let db;
+
+  beforeEach(() => {
+    ({ db } = resetServices());
+  });
+
+  it("allows every role the default actions of rooms and messages", async () => {
+    for (const action of ["message.read", "room.update", "room.archive", "room.delete"]) {
+      assert.equal(await can(client, action), true, action);
+    }
+  });
+
+  it("lets a company restrict an action to some roles", async () => {
+    await db.collection("permissionPolicies").insertOne({
+      companyId: "company-1",
+      permissions: { "room.archive": { roles: ["user", "admin"] } },
+    });
+
+    assert.equal((await allows("room.archive", staff)).passed, true);
+    const denied = await allows("room.archive", client);
+    assert.equal(denied.passed, false);
+    assert.equal(denied.res.statusCode, 403);
+    assert.equal(denied.res.body.permission, "room.archive");
+  });
+
+  it("refuses unknown actions", async () => {
+    assert.equal(await can(staff, "room.teleport"), false);
+  });
+});
@@ -0,0 +1,44 @@
+import { afterEach, beforeEach, describe, it, mock } from "node:test";
+import assert from "node:assert/strict";
+import { checkRateLimit, RATE_LIMITS } from "../src/services/rateLimit.js";
+
+// Redis is never connected here, so the in-memory buckets are used
+const { user: userLimit, company: companyLimit } = RATE_LIMITS.createRoom;
+
+describe("checkRateLimit", () => {
+  beforeEach(() => {
+    mock.timers.enable({ apis: ["Date"], now: 0 });
+  });
+
+  afterEach(() => {
+    mock.timers.reset();
+  });
+
+  it("limits a user to their own bucket", async () => {
+    const user = { userId: "u1", companyId: "company-1" };
+    for (let i = 0; i < userLimit.capacity; i++) {
+      assert.equal((await checkRateLimit("createRoom", user)).allowed, true);
+    }
+    const limited = await checkRateLimit("createRoom", user);
+    assert.equal(limited.allowed, false);
+    assert.equal(limited.scope, "user");
+  });
+
+  it("gives the user token back when the company bucket is empty", async () => {
+    const companyId = "company-2";
+    for (let i = 0; i < companyLimit.capacity; i++) {
+      await checkRateLimit("createRoom", { userId: `busy-${i}`, companyId });
+    }
+
+    const user = { userId: "u2", companyId };
+    for (let i = 0; i < userLimit.capacity; i++) {
+      const limited = await checkRateLimit("createRoom", user);
+      assert.equal(limited.allowed, false);
+      assert.equal(limited.scope, "company");
+    }
+
+    // Once the company bucket refills, the user still has their full budget
+    mock.timers.tick(Math.ceil(1000 / companyLimit.perSecond));
+    assert.equal((await checkRateLimit("createRoom", user)).allowed, true);
+  });
+});
@@ -0,0 +1,141 @@
+import { after, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { createServer } from "http";
+import net from "net";
+import { once } from "events";
+import { createAdapter } from "@socket.io/redis-adapter";
+import { createClient } from "redis";
+import { Server } from "socket.io";
+import { io as connectClient } from "socket.io-client";
+import {
+  closeRedis,
+  connectRedis,
+  createRedisAdapter,
+} from "../src/services/redis.js";
+import {
+  addOnlineUser,
+  cacheRoom,
+  getCachedRoom,
+  getOnlineUsers,
+  removeOnlineUser,
+  uncacheRoom,
+} from "../src/services/roomCache.js";
+import { emitToRoom, joinRoom } from "../src/services/broadcast.js";
+
+/**
+ * Runs against the Redis at REDIS_URL (default redis://127.0.0.1:6379), as
+ * two server instances in one process; skipped when Redis is not reachable.
+ */
+const REDIS_URL = process.env.REDIS_URL || "redis://127.0.0.1:6379";
+
+const reachable = async (url) => {
+  const { hostname, port } = new URL(url);
+  const socket = net.createConnection({ host: hostname, port: Number(port) || 6379 });
+  socket.setTimeout(500, () => socket.destroy(new Error("timeout")));
+  try {
+    await once(socket, "connect");
+    return true;
+  } catch {
+    return false;
+  } finally {
+    socket.destroy();
+  }
+};
+
+const skip = (await reachable(REDIS_URL)) ? false : `no Redis at ${REDIS_URL}`;
+
+// A Socket.IO server on a random port that trusts the user in the handshake
+const startServer = async (adapter) => {
+  const http = createServer();
+  const io = new Server(http, { adapter });
+  io.use((socket, next) => {
+    socket.data.user = socket.handshake.auth.user;
+    next();
+  });
+  io.on("connection", (socket) => {
+    joinRoom(socket, socket.data.user.userId);
+    joinRoom(socket, "room_redis_test");
+  });
+  http.listen(0);
+  await once(http, "listening");
+  return { io, port: http.address().port };
+};
+
+describe("redis", { skip }, () => {
+  const roomId = `room_redis_test_${Date.now()}`;
+  let serverA;
+  let serverB;
+  let pubB;
+  let subB;
+  const clients = [];
+
+  before(async () => {
+    process.env.REDIS_URL = REDIS_URL;
+    await connectRedis();
+    serverA = await startServer(createRedisAdapter());
+
+    pubB = createClient({ url: REDIS_URL });
+    subB = pubB.duplicate();
+    await Promise.all([pubB.connect(), subB.connect()]);
+    serverB = await startServer(createAdapter(pubB, subB));
+  });
+
+  after(async () => {
+    clients.forEach((client) => client.disconnect());
+    await uncacheRoom(roomId);
+    await Promise.all([serverA?.io.close(), serverB?.io.close()]);
+    await Promise.all([pubB?.close(), subB?.close()]);
+    await closeRedis();
+  });
+
+  const connect = async (port, user) => {
+    const client = connectClient(`http://127.0.0.1:${port}`, {
+      auth: { user },
+      transports: ["websocket"],
+    });
+    clients.push(client);
+    await once(client, "connect");
+    return client;
+  };
+
+  it("shares cached rooms and presence", async () => {
+    await cacheRoom({ roomId, roomName: "Redis", users: ["u1"], creator: "u1" });
+    const cached = await getCachedRoom(roomId);
+    assert.equal(cached.roomName, "Redis");
+    assert.deepEqual(cached.users, ["u1"]);
+
+    await addOnlineUser(roomId, { userId: "u1", username: "Ada" });
+    assert.deepEqual(await getOnlineUsers(roomId), [
+      { userId: "u1", username: "Ada" },
+    ]);
+    assert.equal(await removeOnlineUser(roomId, "u1"), true);
+    assert.deepEqual(await getOnlineUsers(roomId), []);
+  });
+
+  it("delivers role broadcasts to sockets on another instance", async () => {
+    const staff = await connect(serverB.port, { userId: "u1", role: "user" });
+    const client = await connect(serverB.port, { userId: "c1", role: "Client" });
+    const staffNote = once(staff, "note");
+    const clientNote = once(client, "note");
+
+    await emitToRoom(serverA.io, "room_redis_test", "note", (recipient) =>
+      recipient.role === "Client" ? { text: "short" } : { text: "full" }
+    );
+    assert.deepEqual(await staffNote, [{ text: "full" }]);
+    assert.deepEqual(await clientNote, [{ text: "short" }]);
+  });
+
+  it("delivers personalized payloads across instances", async () => {
+    const client = await connect(serverB.port, { userId: "c2", role: "Client" });
+    const note = once(client, "note");
+
+    await emitToRoom(
+      serverA.io,
+      "room_redis_test",
+      "note",
+      (recipient) => ({ mine: recipient.userId === "c2" }),
+      { personalized: ["c2"] }
+    );
+    assert.deepEqual(await note, [{ mine: true }]);
+  });
+});
@@ -0,0 +1,180 @@
+import { beforeEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { ObjectId } from "mongodb";
+import { joinRoom } from "../src/services/broadcast.js";
+import { createFakeIo, createResponse } from "./helpers/fakes.js";
+import { mockServices, resetServices } from "./helpers/services.js";
+
+mockServices();
+
+const { openDirectRoom, restoreDeletedRoom } = await import(
+  "../src/controller/room.controller.js"
+);
+const { deleteRoom, getRooms, handleLeaveRoom } = await import(
+  "../src/controller/message.controller.js"
+);
+
+const companyId = new ObjectId();
+const ada = {
+  userId: new ObjectId().toString(),
+  role: "user",
+  companyId: companyId.toString(),
+  firstName: "Ada",
+};
+const bob = {
+  userId: new ObjectId().toString(),
+  role: "user",
+  companyId: companyId.toString(),
+  firstName: "Bob",
+};
+
+describe("room controller", () => {
+  let db;
+  let io;
+
+  beforeEach(async () => {
+    ({ db } = resetServices());
+    io = createFakeIo();
+    await db.collection("companyregistrations").insertOne({
+      _id: companyId,
+      planPreferences: { desiredPlan: "premium" },
+    });
+    for (const user of [ada, bob]) {
+      await db
+        .collection("users")
+        .insertOne({ _id: new ObjectId(user.userId), companyId });
+    }
+  });
+
+  describe("openDirectRoom", () => {
+    it("reuses the direct room between two users", async () => {
+      const first = await openDirectRoom(io, ada, bob.userId, "test");
+      const second = await openDirectRoom(io, bob, ada.userId, "test");
+      assert.equal(first.created, true);
+      assert.equal(second.created, false);
+      assert.equal(second.room.roomId, first.room.roomId);
+    });
+
+    it("reopens a soft-deleted direct room live", async () => {
+      const { room } = await openDirectRoom(io, ada, bob.userId, "test");
+      await db.collection("rooms").updateOne(
+        { roomId: room.roomId },
+        { $set: { deletedAt: new Date(), deletedBy: ada.userId, purgeAt: new Date() } }
+      );
+      const bobSocket = io.connect(bob);
+      joinRoom(bobSocket, bob.userId);
+
+      const result = await openDirectRoom(io, ada, bob.userId, "test");
+      assert.equal(result.reopened, true);
+      assert.equal(result.room.roomId, room.roomId);
+      for (const field of ["deletedAt", "deletedBy", "purgeAt"]) {
+        assert.equal(field in result.room, false, field);
+      }
+      const stored = await db.collection("rooms").findOne({ roomId: room.roomId });
+      assert.equal(stored.deletedAt, undefined);
+      // The other user gets the room back in their list
+      assert.equal(bobSocket.events("roomCreated").length, 1);
+      assert.ok(bobSocket.rooms.has(room.roomId));
+    });
+  });
+
+  describe("leaving a direct room", () => {
+    it("is refused, so both users can keep posting after a reopen", async () => {
+      const { room } = await openDirectRoom(io, ada, bob.userId, "test");
+
+      const left = await handleLeaveRoom(io.connect(bob), room.roomId);
+      assert.equal(left.success, false);
+      assert.equal(left.status, 400);
+
+      const reopened = await openDirectRoom(io, ada, bob.userId, "test");
+      assert.deepEqual(reopened.room.users, [ada.userId, bob.userId]);
+    });
+  });
+
+  describe("deleting a direct room", () => {
+    it("is refused, so reopening and restoring see the same live room", async () => {
+      const { room } = await openDirectRoom(io, ada, bob.userId, "test");
+
+      const deleted = await deleteRoom(io, ada, room.roomId, "test");
+      assert.equal(deleted.success, false);
+      assert.equal(deleted.status, 400);
+      const stored = await db.collection("rooms").findOne({ roomId: room.roomId });
+      assert.equal(stored.deletedAt, undefined);
+
+      const reopened = await openDirectRoom(io, ada, bob.userId, "test");
+      assert.equal(reopened.room.roomId, room.roomId);
+      assert.equal(reopened.created, false);
+      assert.equal(reopened.reopened, false);
+
+      const restored = await restoreDeletedRoom(io, ada, room.roomId, "test");
+      assert.equal(restored.success, false);
+      assert.equal(restored.status, 400);
+    });
+
+    it("still lets group rooms go through delete and restore", async () => {
+      process.env.ROOM_DELETE_GRACE_HOURS = "24";
+      await db.collection("rooms").insertOne({
+        roomId: "room_group",
+        roomName: "Group",
+        type: "group",
+        users: [ada.userId, bob.userId],
+        creator: ada.userId,
+        companyId,
+        createdAt: new Date(),
+      });
+      try {
+        const deleted = await deleteRoom(io, ada, "room_group", "test");
+        assert.equal(deleted.success, true);
+        assert.ok(deleted.purgeAt);
+
+        const restored = await restoreDeletedRoom(io, ada, "room_group", "test");
+        assert.equal(restored.success, true);
+        assert.equal(restored.room.deletedAt, undefined);
+      } finally {
+        delete process.env.ROOM_DELETE_GRACE_HOURS;
+      }
+    });
+  });
+
+  describe("getRooms", () => {
+    it("lists rooms whose companyId is stored as a string or an ObjectId", async () => {
+      const { room: direct } = await openDirectRoom(io, ada, bob.userId, "test");
+      await db.collection("rooms").insertOne({
+        roomId: "room_group",
+        roomName: "Group",
+        type: "group",
+        users: [ada.userId, bob.userId],
+        creator: ada.userId,
+        companyId,
+        createdAt: new Date(),
+      });
+
+      const res = createResponse();
+      await getRooms({ user: ada, query: {} }, res);
+      assert.equal(res.statusCode, 200);
+      const roomIds = res.body.data.map((room) => room.roomId).sort();
+      assert.deepEqual(roomIds, [direct.roomId, "room_group"].sort());
+    });
+
+    it("counts unread messages without deleted ones or system notices", async () => {
+      const { room } = await openDirectRoom(io, ada, bob.userId, "test");
+      const message = (userId, extra) => ({
+        roomId: room.roomId,
+        userId,
+        message: "hi",
+        timestamp: new Date(),
+        ...extra,
+      });
+      await db.collection("messages").insertMany([
+        message(bob.userId),
+        message(bob.userId, { deletedAt: new Date() }),
+        message("system"),
+        message(ada.userId),
+      ]);
+
+      const res = createResponse();
+      await getRooms({ user: ada, query: {} }, res);
+      assert.equal(res.body.data[0].unreadCount, 1);
+    });
+  });
+});
@@ -0,0 +1,66 @@
+import { beforeEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { ObjectId } from "mongodb";
+import { createResponse } from "./helpers/fakes.js";
+import { mockServices, resetServices } from "./helpers/services.js";
+
+mockServices();
+
+const { searchMessages } = await import("../src/controller/search.controller.js");
+
+const companyId = new ObjectId();
+const ada = {
+  userId: new ObjectId().toString(),
+  role: "user",
+  companyId: companyId.toString(),
+};
+
+const search = async (query) => {
+  const res = createResponse();
+  await searchMessages({ user: ada, query }, res);
+  return res;
+};
+
+describe("searchMessages", () => {
+  let db;
+
+  beforeEach(async () => {
+    ({ db } = resetServices());
+    await db.collection("users").insertOne({ _id: new ObjectId(ada.userId) });
+    await db.collection("rooms").insertOne({
+      roomId: "room_search",
+      roomName: "Search",
+      users: [ada.userId],
+      companyId: ada.companyId,
+    });
+    const message = (text, extra) => ({
+      roomId: "room_search",
+      userId: ada.userId,
+      companyId,
+      message: text,
+      timestamp: new Date(),
+      ...extra,
+    });
+    await db.collection("messages").insertMany([
+      message("plain text"),
+      message("single upload", {
+        file: { filename: "file-1.pdf", originalName: "one.pdf" },
+      }),
+      message("presigned upload", {
+        files: [
+          { filename: "file-2.pdf", originalName: "two.pdf" },
+          { filename: "file-3.png", originalName: "three.png" },
+        ],
+      }),
+    ]);
+  });
+
+  it("finds single and multi-file attachments with has:file", async () => {
+    const res = await search({ q: "has:file" });
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(res.body.data.map((msg) => msg.message).sort(), [
+      "presigned upload",
+      "single upload",
+    ]);
+  });
+});
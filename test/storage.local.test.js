@@ -0,0 +1,97 @@
+import { after, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { once } from "events";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import express from "express";
+
+const root = await fs.mkdtemp(path.join(os.tmpdir(), "chat-storage-"));
+process.env.STORAGE_DRIVER = "local";
+process.env.STORAGE_LOCAL_DIR = root;
+process.env.STORAGE_SIGNING_SECRET = "test-secret";
+
+const { getStorage } = await import("../src/services/storage/index.js");
+const { receiveStoredObject, serveStoredObject } = await import(
+  "../src/controller/storage.controller.js"
+);
+
+// The token is the last path segment of a presigned URL
+const tokenOf = (url) => url.split("/").pop();
+
+describe("local storage", () => {
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    const app = express();
+    app.get("/api/storage/:token", serveStoredObject);
+    app.put("/api/storage/:token", receiveStoredObject);
+    server = app.listen(0);
+    await once(server, "listening");
+    baseUrl = `http://127.0.0.1:${server.address().port}/api/storage`;
+  });
+
+  after(async () => {
+    server.close();
+    await fs.rm(root, { recursive: true, force: true });
+  });
+
+  const put = async (key, body, maxBytes) => {
+    const url = await getStorage().presignPut(key, {
+      contentType: "text/html",
+      maxBytes,
+      expiresIn: 60,
+    });
+    return fetch(`${baseUrl}/${tokenOf(url)}`, { method: "PUT", body });
+  };
+
+  it("stores an upload within its declared size", async () => {
+    const res = await put("uploads/ok.html", "<p>hi</p>", 9);
+    assert.equal(res.status, 200);
+    assert.ok(res.headers.get("etag"));
+    assert.equal((await getStorage().head("uploads/ok.html")).contentLength, 9);
+  });
+
+  it("rejects an upload larger than its declared size", async () => {
+    const res = await put("uploads/big.html", "x".repeat(100), 10);
+    assert.equal(res.status, 413);
+    assert.equal(await getStorage().head("uploads/big.html"), null);
+  });
+
+  it("stops streamed bodies at the declared size", async () => {
+    const storage = getStorage();
+    async function* chunks() {
+      for (let i = 0; i < 4; i++) yield Buffer.alloc(1024);
+    }
+    await assert.rejects(
+      storage.receive({ key: "uploads/stream.bin", maxBytes: 2048 }, chunks()),
+      { status: 413 }
+    );
+    assert.equal(await storage.head("uploads/stream.bin"), null);
+  });
+
+  it("refuses upload links without a size limit", async () => {
+    await assert.rejects(
+      getStorage().receive({ key: "uploads/any.bin" }, Buffer.from("x")),
+      { status: 403 }
+    );
+  });
+
+  it("serves stored files as attachments that are never sniffed", async () => {
+    await getStorage().put("uploads/page.html", Buffer.from("<script>1</script>"), {
+      contentType: "text/html",
+    });
+    const url = await getStorage().presignGet("uploads/page.html", {
+      expiresIn: 60,
+    });
+    const res = await fetch(`${baseUrl}/${tokenOf(url)}`);
+    assert.equal(res.status, 200);
+    assert.equal(
+      res.headers.get("content-disposition"),
+      'attachment; filename="page.html"'
+    );
+    assert.equal(res.headers.get("x-content-type-options"), "nosniff");
+    assert.equal(await res.text(), "<script>1</script>");
+  });
+});
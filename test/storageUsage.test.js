@@ -0,0 +1,58 @@
+import { beforeEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { ObjectId } from "mongodb";
+import { mockServices, resetServices } from "./helpers/services.js";
+
+mockServices();
+
+const { releaseStorage, reserveStorage } = await import(
+  "../src/services/storageUsage.js"
+);
+
+const MB = 1024 * 1024;
+const companyId = new ObjectId().toString();
+
+describe("storage quota", () => {
+  let db;
+
+  const usage = (roomId) =>
+    db.collection("storageUsage").findOne({ companyId, roomId });
+
+  beforeEach(async () => {
+    ({ db } = resetServices());
+    // A basic plan (500MB) with 400MB already used
+    await db.collection("companyregistrations").insertOne({
+      _id: new ObjectId(companyId),
+      planPreferences: { desiredPlan: "basic" },
+    });
+    await db
+      .collection("storageUsage")
+      .insertOne({ companyId, roomId: null, bytes: 400 * MB, files: 4 });
+  });
+
+  it("reserves what fits and counts it for the room", async () => {
+    const result = await reserveStorage(companyId, "room_1", 100 * MB, 2);
+    assert.equal(result.success, true);
+    assert.equal((await usage(null)).bytes, 500 * MB);
+    const room = await usage("room_1");
+    assert.equal(room.bytes, 100 * MB);
+    assert.equal(room.files, 2);
+  });
+
+  it("refuses what does not fit and leaves the counters alone", async () => {
+    const result = await reserveStorage(companyId, "room_1", 101 * MB);
+    assert.equal(result.success, false);
+    assert.equal(result.status, 413);
+    assert.equal(result.usedBytes, 400 * MB);
+    assert.equal(result.quotaBytes, 500 * MB);
+    assert.equal((await usage(null)).bytes, 400 * MB);
+    assert.equal(await usage("room_1"), null);
+  });
+
+  it("gives released storage back", async () => {
+    await reserveStorage(companyId, "room_1", 50 * MB);
+    await releaseStorage(companyId, "room_1", 50 * MB);
+    assert.equal((await usage(null)).bytes, 400 * MB);
+    assert.equal((await usage("room_1")).bytes, 0);
+  });
+});
@@ -0,0 +1,190 @@
+import { after, beforeEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { Readable } from "stream";
+import { ObjectId } from "mongodb";
+import { createFakeIo, createResponse } from "./helpers/fakes.js";
+import { mockServices, resetServices } from "./helpers/services.js";
+
+const root = await fs.mkdtemp(path.join(os.tmpdir(), "chat-uploads-"));
+process.env.STORAGE_DRIVER = "local";
+process.env.STORAGE_LOCAL_DIR = root;
+process.env.STORAGE_SIGNING_SECRET = "test-secret";
+mockServices();
+
+const { getStorage } = await import("../src/services/storage/index.js");
+const { abortUpload, confirmUpload, createUpload } = await import(
+  "../src/controller/upload.controller.js"
+);
+
+const MB = 1024 * 1024;
+const PDF = Buffer.from("%PDF-1.4\n% test\n");
+
+const companyId = new ObjectId().toString();
+const ada = {
+  userId: new ObjectId().toString(),
+  role: "user",
+  companyId,
+  firstName: "Ada",
+};
+
+// Every object key below storage's objects/ directory
+const storedKeys = async () => {
+  const dir = path.join(root, "objects");
+  const entries = await fs.readdir(dir, { recursive: true }).catch(() => []);
+  const keys = [];
+  for (const entry of entries) {
+    if ((await fs.stat(path.join(dir, entry))).isFile()) keys.push(entry);
+  }
+  return keys.sort();
+};
+
+// PUT a body to a presigned URL the way the storage route does
+const putTo = (url, chunks) => {
+  const storage = getStorage();
+  const payload = storage.verifyToken(url.split("/").pop(), "PUT");
+  return storage.receive(payload, Readable.from(chunks));
+};
+
+describe("presigned uploads", () => {
+  let db;
+  let io;
+
+  const request = (extra) => ({
+    user: ada,
+    app: { get: () => io },
+    get: () => null,
+    ...extra,
+  });
+
+  const create = async (files) => {
+    const res = createResponse();
+    await createUpload(request({ body: { files } }), res);
+    assert.equal(res.statusCode, 201, JSON.stringify(res.body));
+    return res.body.data;
+  };
+
+  const confirm = async (uploadId, body = {}) => {
+    const res = createResponse();
+    await confirmUpload(request({ params: { uploadId }, body }), res);
+    return res;
+  };
+
+  beforeEach(async () => {
+    ({ db } = resetServices());
+    io = createFakeIo();
+    await fs.rm(root, { recursive: true, force: true });
+    // Seeded counters, so quotas never need to measure the messages
+    await db
+      .collection("storageUsage")
+      .insertOne({ companyId, roomId: null, bytes: 0, files: 0 });
+  });
+
+  after(async () => {
+    await fs.rm(root, { recursive: true, force: true });
+  });
+
+  it("posts a server-side copy once and refuses a second confirm", async () => {
+    const upload = await create([
+      { name: "notes.pdf", type: "application/pdf", size: PDF.length },
+    ]);
+    await putTo(upload.files[0].url, [PDF]);
+
+    const first = await confirm(upload.uploadId, { message: "see attached" });
+    assert.equal(first.statusCode, 200, JSON.stringify(first.body));
+    const [file] = first.body.data.files;
+    assert.equal(file.originalName, "notes.pdf");
+
+    const message = await db.collection("messages").findOne({});
+    const { s3Key } = message.files[0];
+    assert.match(s3Key, /^uploads\//);
+    // The staged object is gone; only the checked copy remains
+    assert.deepEqual(await storedKeys(), [s3Key]);
+    const usage = await db
+      .collection("storageUsage")
+      .findOne({ companyId, roomId: null });
+    assert.equal(usage.bytes, PDF.length);
+
+    const second = await confirm(upload.uploadId);
+    assert.equal(second.statusCode, 404);
+    assert.equal(await db.collection("messages").countDocuments({}), 1);
+  });
+
+  it("rejects a file whose size differs from the declared one", async () => {
+    const upload = await create([
+      { name: "notes.pdf", type: "application/pdf", size: PDF.length + 10 },
+    ]);
+    await putTo(upload.files[0].url, [PDF]);
+
+    const res = await confirm(upload.uploadId);
+    assert.equal(res.statusCode, 400);
+    assert.match(res.body.error, /expected/);
+    assert.equal(await db.collection("messages").countDocuments({}), 0);
+    // Only the staged object is left, for a retry or the expiry sweep
+    const keys = await storedKeys();
+    assert.equal(keys.length, 1);
+    assert.match(keys[0], /^pending\//);
+  });
+
+  it("discards a multipart upload whose content is not what it claims", async () => {
+    const size = 64 * MB + 1;
+    const upload = await create([
+      { name: "big.pdf", type: "application/pdf", size },
+    ]);
+    const [file] = upload.files;
+    assert.equal(file.method, "MULTIPART");
+
+    const chunk = Buffer.alloc(MB, "x");
+    const parts = [];
+    let remaining = size;
+    for (const part of file.parts) {
+      const length = Math.min(file.partSize, remaining);
+      remaining -= length;
+      const chunks = Array.from({ length: Math.floor(length / MB) }, () => chunk);
+      if (length % MB) chunks.push(chunk.subarray(0, length % MB));
+      parts.push({
+        partNumber: part.partNumber,
+        etag: await putTo(part.url, chunks),
+      });
+    }
+
+    const res = await confirm(upload.uploadId, {
+      parts: { [file.filename]: parts },
+    });
+    assert.equal(res.statusCode, 400);
+    assert.equal(await db.collection("pendingUploads").countDocuments({}), 0);
+    // Neither the assembled staging object nor the checked copy is kept
+    assert.deepEqual(await storedKeys(), []);
+  });
+
+  it("refuses to confirm an expired upload", async () => {
+    const upload = await create([
+      { name: "notes.pdf", type: "application/pdf", size: PDF.length },
+    ]);
+    await putTo(upload.files[0].url, [PDF]);
+    await db
+      .collection("pendingUploads")
+      .updateOne(
+        { _id: new ObjectId(upload.uploadId) },
+        { $set: { expiresAt: new Date(Date.now() - 1000) } }
+      );
+
+    const res = await confirm(upload.uploadId);
+    assert.equal(res.statusCode, 410);
+    assert.equal(await db.collection("messages").countDocuments({}), 0);
+  });
+
+  it("deletes the staged objects when an upload is cancelled", async () => {
+    const upload = await create([
+      { name: "notes.pdf", type: "application/pdf", size: PDF.length },
+    ]);
+    await putTo(upload.files[0].url, [PDF]);
+
+    const res = createResponse();
+    await abortUpload(request({ params: { uploadId: upload.uploadId } }), res);
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(await storedKeys(), []);
+  });
+});
@@ -0,0 +1,123 @@
+import { beforeEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import os from "os";
+import { ObjectId } from "mongodb";
+import { createResponse } from "./helpers/fakes.js";
+import { mockServices, resetServices } from "./helpers/services.js";
+
+process.env.STORAGE_DRIVER = "local";
+process.env.STORAGE_LOCAL_DIR = os.tmpdir();
+process.env.STORAGE_SIGNING_SECRET = "test-secret";
+mockServices();
+
+const { deleteVoice, uploadVoice } = await import(
+  "../src/controller/voiceController.js"
+);
+
+const companyId = new ObjectId().toString();
+const owner = { userId: new ObjectId().toString(), role: "user", companyId };
+const member = { userId: new ObjectId().toString(), role: "user", companyId };
+const roomId = "room_voice";
+
+// Room checks run before anything is stored, so the file is never read
+const upload = async (user) => {
+  const res = createResponse();
+  await uploadVoice(
+    {
+      user,
+      body: { roomId },
+      file: { originalname: "note.ogg", mimetype: "audio/ogg", size: 10 },
+    },
+    res
+  );
+  return res;
+};
+
+describe("uploadVoice room checks", () => {
+  let db;
+  let redis;
+
+  beforeEach(async () => {
+    ({ db, redis } = resetServices());
+    await db.collection("rooms").insertOne({
+      roomId,
+      companyId,
+      creator: owner.userId,
+      users: [owner.userId, member.userId],
+      roles: {},
+    });
+  });
+
+  it("refuses users outside the room", async () => {
+    const res = await upload({ ...member, userId: new ObjectId().toString() });
+    assert.equal(res.statusCode, 403);
+    assert.equal(res.body.error, "Not authorized to upload to this room");
+  });
+
+  it("refuses archived rooms", async () => {
+    await db
+      .collection("rooms")
+      .updateOne({ roomId }, { $set: { archivedAt: new Date() } });
+    const res = await upload(member);
+    assert.equal(res.statusCode, 403);
+    assert.equal(res.body.error, "This room is archived and read-only");
+  });
+
+  it("refuses read-only members", async () => {
+    await db
+      .collection("rooms")
+      .updateOne({ roomId }, { $set: { [`roles.${member.userId}`]: "readonly" } });
+    const res = await upload(member);
+    assert.equal(res.statusCode, 403);
+    assert.equal(res.body.error, "You have read-only access to this room");
+  });
+
+  it("applies slow mode with a Retry-After header", async () => {
+    await db
+      .collection("rooms")
+      .updateOne({ roomId }, { $set: { slowModeSeconds: 30 } });
+    await db.collection("companyregistrations").insertOne({
+      _id: new ObjectId(companyId),
+    });
+    await redis.set(`chat:slow:${roomId}:${member.userId}`, "1", {
+      expiration: { type: "EX", value: 30 },
+    });
+
+    const res = await upload(member);
+    assert.equal(res.statusCode, 429);
+    assert.equal(res.headers["retry-after"], "30");
+    assert.equal(res.body.scope, "slowMode");
+  });
+});
+
+describe("deleteVoice", () => {
+  let db;
+
+  beforeEach(async () => {
+    ({ db } = resetServices());
+    await db.collection("rooms").insertOne({
+      roomId,
+      companyId,
+      creator: owner.userId,
+      users: [owner.userId, member.userId],
+      archivedAt: new Date(),
+    });
+    await db.collection("messages").insertOne({
+      roomId,
+      userId: member.userId,
+      companyId: new ObjectId(companyId),
+      voice: { filename: "voice-1.ogg", s3Key: "voices/voice-1.ogg" },
+    });
+  });
+
+  it("refuses archived rooms and keeps the voice note", async () => {
+    const res = createResponse();
+    await deleteVoice({ user: member, params: { voiceId: "voice-1.ogg" } }, res);
+    assert.equal(res.statusCode, 403);
+    assert.equal(res.body.error, "This room is archived and read-only");
+    const stored = await db
+      .collection("messages")
+      .findOne({ "voice.filename": "voice-1.ogg" });
+    assert.equal(stored.deletedAt, undefined);
+  });
+});